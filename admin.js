@@ -3,8 +3,26 @@ class AdminDashboard {
     constructor() {
         this.currentSection = 'overview';
         this.currentUser = null;
+        // Admin session issued by the server (see handleLogin)
+        this.session = null;
         this.data = null;
+        // Usernames from the server's /teachers route (null when unavailable)
+        this.teacherAccounts = null;
+        // Schools from the server's /schools route (null unless this admin may manage them)
+        this.schools = null;
+        // Last copy confirmed by the server; base for merging conflicting saves
+        this.syncedData = null;
         this.charts = {};
+        // Pushed or polled changes from other devices (shared/live.js)
+        this.live = null;
+        // Polling timer used instead when there is no server copy to follow
+        this.refreshTimer = null;
+        // Storage backends in priority order, shared with the app (shared/storage.js)
+        this.storage = StarStorage.createChain({
+            headers: () => this.authHeaders(),
+            onUnauthorized: () => this.handleSessionExpired(),
+            validate: data => this.validateDataStructure(data)
+        });
         this.theme = localStorage.getItem('admin_theme') || 'dark';
 
         this.initializeApp();
@@ -22,35 +40,57 @@ class AdminDashboard {
 
         // Load data
         await this.loadData();
+        await this.loadTeachers();
+        await this.loadSchools();
 
         // Initialize dashboard
         this.showDashboard();
         this.updateOverview();
         this.initializeCharts();
 
-        // Set up auto-refresh
-        setInterval(() => this.refreshData(), 30000); // Refresh every 30 seconds
+        this.startFollowing();
+    }
+
+    // Follow changes made in the teacher portal and on other devices. Runs
+    // again after every login, so it only ever starts one follower per page.
+    startFollowing() {
+        if (this.live) return;
+        if (this.syncedData) {
+            clearInterval(this.refreshTimer);
+            this.refreshTimer = null;
+            this.live = new StarLive.LiveUpdates(revision => this.checkForUpdates(revision));
+            this.live.start();
+        } else if (!this.refreshTimer) {
+            this.refreshTimer = setInterval(() => this.refreshData(), 30000); // Refresh every 30 seconds
+        }
     }
 
     // Authentication
+    // Admin accounts are verified by the Netlify functions, which hand out a
+    // signed, expiring token. The token is only a key for server requests;
+    // the server checks it on every write.
     checkAuth() {
-        const adminSession = localStorage.getItem('admin_session');
-        const adminUser = localStorage.getItem('admin_user');
-
-        if (!adminSession || !adminUser) return false;
+        // Sessions from before server-side login carry no token
+        localStorage.removeItem('admin_user');
+        localStorage.removeItem('admin_session');
 
-        // Check if session is still valid (24 hours)
-        const sessionTime = parseInt(adminSession);
-        const now = Date.now();
-        const hoursDiff = (now - sessionTime) / (1000 * 60 * 60);
+        try {
+            const session = JSON.parse(localStorage.getItem(StarStorage.localKey('starboard_admin_session')));
+            if (session && session.token && new Date(session.expiresAt) > new Date()) {
+                this.session = session;
+                this.currentUser = session.username;
+                return true;
+            }
+        } catch (e) {}
 
-        if (hoursDiff > 24) {
-            this.logout();
-            return false;
-        }
+        localStorage.removeItem(StarStorage.localKey('starboard_admin_session'));
+        return false;
+    }
 
-        this.currentUser = adminUser;
-        return true;
+    saveSession(session) {
+        this.session = session;
+        this.currentUser = session.username;
+        localStorage.setItem(StarStorage.localKey('starboard_admin_session'), JSON.stringify(session));
     }
 
     showLogin() {
@@ -62,6 +102,7 @@ class AdminDashboard {
         document.getElementById('adminLogin').classList.remove('active');
         document.getElementById('adminDashboard').classList.add('active');
         document.getElementById('adminName').textContent = this.currentUser;
+        document.getElementById('adminUsernameSettings').value = this.currentUser;
     }
 
     async handleLogin(event) {
@@ -70,27 +111,39 @@ class AdminDashboard {
         const username = document.getElementById('adminUsername').value;
         const password = document.getElementById('adminPassword').value;
 
-        // Default admin credentials (in production, use secure authentication)
-        const validCredentials = {
-            'admin': 'starboard2024',
-            'superadmin': 'admin123'
-        };
-
-        if (validCredentials[username] && validCredentials[username] === password) {
-            localStorage.setItem('admin_user', username);
-            localStorage.setItem('admin_session', Date.now().toString());
+        let response;
+        try {
+            response = await this.sendAccountRequest('POST', '/admin/login', { username, password });
+        } catch (error) {
+            this.showToast(error.message, 'error');
+            return;
+        }
 
-            this.currentUser = username;
-            this.showToast('Login successful', 'success');
-            this.initializeApp();
-        } else {
-            this.showToast('Invalid credentials', 'error');
+        if (!response) {
+            this.showToast('Admin login needs the StarBoard server (Netlify Functions)', 'error');
+            return;
         }
+
+        this.saveSession(response);
+        document.getElementById('adminPassword').value = '';
+        this.showToast('Login successful', 'success');
+        this.initializeApp();
+    }
+
+    authHeaders() {
+        return this.session ? { Authorization: `Bearer ${this.session.token}` } : {};
+    }
+
+    // The server no longer accepts our token
+    handleSessionExpired() {
+        if (!this.session) return;
+        this.logout();
+        this.showToast('Your session has expired, please log in again', 'error');
     }
 
     logout() {
-        localStorage.removeItem('admin_user');
-        localStorage.removeItem('admin_session');
+        localStorage.removeItem(StarStorage.localKey('starboard_admin_session'));
+        this.session = null;
         this.currentUser = null;
         this.showLogin();
         this.showToast('Logged out successfully', 'info');
@@ -101,29 +154,20 @@ class AdminDashboard {
         try {
             this.showLoading();
 
-            // Try to load from Supabase first
-            const supabaseData = await this.tryLoadFromSupabase();
-            if (supabaseData) {
-                this.data = supabaseData;
-                this.updateSyncStatus('Synced with Supabase');
-                this.hideLoading();
-                return;
-            }
-
-            // Fallback to Netlify Blobs
-            const netlifyData = await this.tryLoadFromNetlify();
-            if (netlifyData) {
-                this.data = netlifyData;
-                this.updateSyncStatus('Synced with Netlify');
-                this.hideLoading();
-                return;
+            // The shared copy from the first server that answers
+            const loaded = await this.storage.load();
+            if (loaded) {
+                this.data = loaded.data;
+                this.syncedData = JSON.parse(JSON.stringify(loaded.data));
+                this.updateSyncStatus(`Synced with ${loaded.adapter.label}`);
+            } else {
+                // Fallback to the copy kept in this browser
+                const local = await this.storage.loadLocal();
+                this.data = local ? local.data : this.createDefaultData();
+                this.updateSyncStatus('Local data only');
             }
 
-            // Fallback to local storage
-            const localData = this.getDataFromLocalStorage();
-            this.data = localData;
-            this.updateSyncStatus('Local data only');
-
+            this.updateStorageStatus();
             this.hideLoading();
         } catch (error) {
             console.error('Error loading data:', error);
@@ -132,69 +176,42 @@ class AdminDashboard {
         }
     }
 
-    async tryLoadFromSupabase() {
-        try {
-            const response = await fetch('/.netlify/functions/supabase-starboard', {
-                headers: { 'Cache-Control': 'no-store' }
-            });
-            if (!response.ok) return null;
-            const data = await response.json();
-            return this.validateDataStructure(data) ? data : null;
-        } catch (e) {
-            return null;
-        }
-    }
-
-    async tryLoadFromNetlify() {
-        try {
-            const response = await fetch('/.netlify/functions/starboard', {
-                headers: { 'Cache-Control': 'no-store' }
-            });
-            if (!response.ok) return null;
-            const data = await response.json();
-            return this.validateDataStructure(data) ? data : null;
-        } catch (e) {
-            return null;
-        }
-    }
-
-    getDataFromLocalStorage() {
+    async saveData(data, attempt = 0) {
         try {
-            const data = localStorage.getItem('starboard_data');
-            if (!data) return this.createDefaultData();
+            // Keep cached star totals in line with each student's ledger
+            StarLedger.normalizeDocument(data);
 
-            const parsedData = JSON.parse(data);
-            return this.validateDataStructure(parsedData) ? parsedData : this.createDefaultData();
-        } catch (error) {
-            console.error('Error loading from localStorage:', error);
-            return this.createDefaultData();
-        }
-    }
+            const errors = StarSchema.validate(data);
+            if (errors.length > 0) {
+                this.showToast('Invalid data: ' + StarSchema.describe(errors.slice(0, 3)), 'error');
+                return false;
+            }
 
-    async saveData(data) {
-        try {
             // Update memory cache
             this.data = JSON.parse(JSON.stringify(data));
 
-            // Try to save to Supabase first
-            let saved = false;
+            // Send a snapshot: this.data may be edited again before the server answers
+            const snapshot = JSON.parse(JSON.stringify(this.data));
+
+            let saved;
             try {
-                saved = await this.trySaveToSupabase(data);
+                saved = await this.storage.save(snapshot);
             } catch (e) {
-                console.warn('Failed to save to Supabase:', e);
+                if (e instanceof StarMerge.ConflictError) return this.resolveSaveConflict(e.current, attempt);
+                throw e;
             }
 
-            // If Supabase failed, try Netlify Blobs
-            if (!saved) {
-                try {
-                    saved = await this.trySaveToNetlify(data);
-                } catch (e) {
-                    console.warn('Failed to save to Netlify Blobs:', e);
+            if (saved) {
+                // Later edits are now based on the revision the server just stored
+                if (saved.revision !== undefined) {
+                    snapshot.metadata = { ...snapshot.metadata, revision: saved.revision };
                 }
+                this.syncedData = snapshot;
+                this.data.metadata = { ...this.data.metadata, revision: snapshot.metadata?.revision };
             }
 
-            // Always update localStorage
-            localStorage.setItem('starboard_data', JSON.stringify(data, null, 2));
+            // Always keep the copy in this browser
+            await this.storage.saveLocal(this.data);
 
             if (saved) {
                 this.updateSyncStatus('Data saved successfully');
@@ -212,42 +229,121 @@ class AdminDashboard {
         }
     }
 
-    async trySaveToSupabase(data) {
-        try {
-            const response = await fetch('/.netlify/functions/supabase-starboard', {
-                method: 'PUT',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(data)
-            });
-            return response.ok;
-        } catch (e) {
+    // Another device saved first: merge our edits onto the server copy, asking
+    // only when both sides changed the same thing, then retry
+    async resolveSaveConflict(current, attempt) {
+        if (attempt >= 2) {
+            this.updateSyncStatus('Sync conflict');
+            this.showToast('Could not sync changes, please try again', 'error');
             return false;
         }
+
+        const { merged, conflicts } = StarMerge.mergeDocuments(this.syncedData, this.data, current);
+        if (conflicts.length > 0) {
+            const keepMine = await this.askConflictResolution(conflicts, merged);
+            if (!keepMine) StarMerge.useRemote(merged, conflicts);
+        }
+
+        this.syncedData = JSON.parse(JSON.stringify(current));
+        this.data = merged;
+        this.updateOverview();
+        this.switchSection(this.currentSection);
+        this.showToast('Merged with changes made on another device', 'info');
+
+        return this.saveData(merged, attempt + 1);
+    }
+
+    askConflictResolution(conflicts, merged) {
+        return new Promise(resolve => {
+            const items = conflicts.map(conflict => StarRender.html`<li>${StarMerge.describeConflict(conflict, merged)}</li>`);
+            this.showModal('Conflicting Changes', StarRender.html`
+                <p>These items were also changed on another device while you were editing:</p>
+                <ul>${items}</ul>
+                <p>All other changes from both devices have been kept.</p>
+            `, [
+                { text: 'Use Their Version', class: 'btn-secondary', action: () => { this.closeModal(); resolve(false); } },
+                { text: 'Keep My Changes', class: 'btn-primary', action: () => { this.closeModal(); resolve(true); } }
+            ]);
+        });
     }
 
-    async trySaveToNetlify(data) {
+    // Apply one change locally and send just that change to the server.
+    // Resolves to the operation's result, or null when it was refused.
+    // Unlike the teacher portal there is no outbox: with a server copy,
+    // changes are only kept once the server has them.
+    async applyOperation(op) {
+        if (this.syncedData && navigator.onLine === false) {
+            this.showToast('You are offline. Changes can be made once the connection is back.', 'warning');
+            return null;
+        }
+
+        const prepared = StarOperations.prepare(op);
+        const before = this.syncedData ? JSON.stringify(this.data) : null;
+        let result;
         try {
-            const response = await fetch('/.netlify/functions/starboard', {
-                method: 'PUT',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(data)
-            });
-            return response.ok;
-        } catch (e) {
-            return false;
+            result = StarOperations.apply(this.data, prepared, this.currentUser);
+        } catch (error) {
+            if (!(error instanceof StarOperations.OperationError)) throw error;
+            this.showToast(error.message, 'error');
+            return null;
+        }
+
+        let sent = null;
+        try {
+            sent = await this.storage.send(prepared);
+        } catch (error) {
+            if (!(error instanceof StarOperations.OperationError)) throw error;
+            if (error.status === 401) {
+                this.handleSessionExpired();
+                return null;
+            }
+            // The server copy no longer matches ours; start again from it
+            this.showToast('Could not save: ' + error.message, 'error');
+            await this.loadData();
+            this.updateOverview();
+            this.switchSection(this.currentSection);
+            return null;
+        }
+
+        if (sent) {
+            this.trackServerRevision(prepared, sent.revision);
+            this.updateSyncStatus('Data saved successfully');
+        } else if (before) {
+            this.data = JSON.parse(before);
+            this.updateSyncStatus('Server unreachable');
+            this.showToast('Could not reach the server, the change was not saved', 'error');
+            return null;
+        } else {
+            this.updateSyncStatus('Saved locally only');
+            this.showToast('Data saved locally (cloud sync failed)', 'warning');
         }
+        await this.storage.saveLocal(this.data);
+        return result;
     }
 
-    validateDataStructure(data) {
-        if (!data || typeof data !== 'object') return false;
+    // Follow the server revision when nobody else wrote in between
+    trackServerRevision(op, revision) {
+        const known = Number(this.data.metadata?.revision) || 0;
+        if (revision !== known + 1) return;
 
-        const requiredProps = ['classes', 'teachers', 'settings'];
-        for (const prop of requiredProps) {
-            if (!data.hasOwnProperty(prop) || typeof data[prop] !== 'object') {
-                return false;
+        if (this.syncedData) {
+            try {
+                StarOperations.apply(this.syncedData, op, this.currentUser);
+            } catch (_) {
+                return;
             }
+            this.syncedData.metadata = { ...this.syncedData.metadata, revision };
         }
+        this.data.metadata = { ...this.data.metadata, revision };
+    }
 
+    // Same schema as the app and the functions (shared/schema.js)
+    validateDataStructure(data) {
+        const errors = StarSchema.validate(data);
+        if (errors.length > 0) {
+            console.error('Invalid data structure:', StarSchema.describe(errors));
+            return false;
+        }
         return true;
     }
 
@@ -282,6 +378,11 @@ class AdminDashboard {
         // Login form
         document.getElementById('adminLoginForm').addEventListener('submit', (e) => this.handleLogin(e));
 
+        // Stay on the same school when going back to the app
+        document.querySelectorAll('a[href="index.html"]').forEach(link => {
+            link.href = StarStorage.pageUrl('index.html');
+        });
+
         // Navigation
         document.querySelectorAll('.nav-item').forEach(item => {
             item.addEventListener('click', (e) => {
@@ -308,6 +409,78 @@ class AdminDashboard {
         document.getElementById('studentSearch').addEventListener('input', (e) => this.filterStudents(e.target.value));
         document.getElementById('teacherSearch').addEventListener('input', (e) => this.filterTeachers(e.target.value));
 
+        // Past terms
+        document.getElementById('archiveSelect').addEventListener('change', () => this.renderArchive());
+        document.getElementById('archiveClassSelect').addEventListener('change', () => this.renderArchive());
+
+        // A different rule asks for different amounts
+        document.getElementById('achievementEditor').addEventListener('change', (e) => {
+            if (e.target.matches('.achievement-rule')) this.renderAchievementEditor(this.readAchievementEditor());
+        });
+
+        // Buttons and table links carry data-action (shared/render.js)
+        StarRender.delegate(document, {
+            quickAddClass: () => this.quickAddClass(),
+            quickAddTeacher: () => this.quickAddTeacher(),
+            exportAllData: () => this.exportAllData(),
+            generateReport: () => this.generateReport(),
+            showAddClassModal: () => this.showAddClassModal(),
+            showAddStudentModal: () => this.showAddStudentModal(),
+            showAddTeacherModal: () => this.showAddTeacherModal(),
+            showAddSchoolModal: () => this.showAddSchoolModal(),
+            updateAnalytics: () => this.updateAnalytics(),
+            updateAdminCredentials: () => this.updateAdminCredentials(),
+            testDatabaseConnection: () => this.testDatabaseConnection(),
+            saveAllSettings: () => this.saveAllSettings(),
+            resetToDefaults: () => this.resetToDefaults(),
+            createBackup: () => this.createBackup(),
+            chooseRestoreFile: () => document.getElementById('restoreFile').click(),
+            exportCSV: ({ type }) => this.exportCSV(type),
+            closeModal: () => this.closeModal(),
+            cancelConfirm: () => this.cancelConfirm(),
+            editClass: ({ className }) => this.editClass(className),
+            deleteClass: ({ className }) => this.deleteClass(className),
+            editStudent: ({ studentId, className }) => this.editStudent(studentId, className),
+            deleteStudent: ({ studentId, className }) => this.deleteStudent(studentId, className),
+            editTeacher: ({ username }) => this.editTeacher(username),
+            deleteTeacher: ({ username }) => this.deleteTeacher(username),
+            restoreTrash: ({ trashId }) => this.restoreTrash(trashId),
+            purgeTrash: ({ trashId }) => this.purgeTrash(trashId),
+            updateTrashRetention: () => this.updateTrashRetention(),
+            addCategory: () => this.renderCategoryEditor([
+                ...this.readCategoryEditor(), { id: '', name: '', icon: 'star', points: 1 }
+            ]),
+            removeCategory: ({ index }) => this.renderCategoryEditor(
+                this.readCategoryEditor().filter((category, i) => i !== Number(index))
+            ),
+            saveCategories: () => this.saveCategories(this.readCategoryEditor()),
+            resetCategories: () => this.saveCategories(null),
+            addTerm: () => this.renderTermEditor([
+                ...this.readTermEditor(), { id: '', name: '', start: '', end: '' }
+            ]),
+            removeTerm: ({ index }) => this.renderTermEditor(
+                this.readTermEditor().filter((term, i) => i !== Number(index))
+            ),
+            saveTerms: () => this.saveTerms(),
+            addTeam: () => this.renderTeamEditor([
+                ...this.readTeamEditor(), { id: '', name: '', color: '#667eea', crest: 'shield-alt' }
+            ]),
+            removeTeam: ({ index }) => this.renderTeamEditor(
+                this.readTeamEditor().filter((team, i) => i !== Number(index))
+            ),
+            saveTeams: () => this.saveTeams(),
+            addAchievement: () => this.renderAchievementEditor([
+                ...this.readAchievementEditor(),
+                { id: '', name: '', icon: 'medal', color: '#667eea', rule: { type: 'total', stars: 10 } }
+            ]),
+            removeAchievement: ({ index }) => this.renderAchievementEditor(
+                this.readAchievementEditor().filter((achievement, i) => i !== Number(index))
+            ),
+            saveAchievements: () => this.saveAchievements(this.readAchievementEditor()),
+            resetAchievements: () => this.saveAchievements(null),
+            rolloverTerm: () => this.rolloverTerm()
+        });
+
         // Modal close
         document.getElementById('adminModal').addEventListener('click', (e) => {
             if (e.target.id === 'adminModal') this.closeModal();
@@ -330,7 +503,8 @@ class AdminDashboard {
 
         // Update mobile navigation
         document.querySelectorAll('.mobile-nav-item').forEach(item => item.classList.remove('active'));
-        document.querySelector(`.mobile-nav-item[data-section="${section}"]`).classList.add('active');
+        const mobileItem = document.querySelector(`.mobile-nav-item[data-section="${section}"]`);
+        if (mobileItem) mobileItem.classList.add('active');
 
         // Update content
         document.querySelectorAll('.dashboard-section').forEach(sec => sec.classList.remove('active'));
@@ -342,9 +516,11 @@ class AdminDashboard {
             'classes': 'Classes Management',
             'students': 'Students Management',
             'teachers': 'Teachers Management',
+            'schools': 'Schools',
             'analytics': 'Analytics & Reports',
             'settings': 'System Settings',
-            'backup': 'Backup & Restore'
+            'backup': 'Backup & Restore',
+            'trash': 'Trash'
         };
         document.getElementById('sectionTitle').textContent = titles[section] || 'Dashboard';
 
@@ -361,9 +537,21 @@ class AdminDashboard {
             case 'teachers':
                 this.loadTeachers();
                 break;
+            case 'schools':
+                this.loadSchools();
+                break;
             case 'analytics':
                 this.updateAnalytics();
                 break;
+            case 'settings':
+                this.renderCategoryEditor();
+                this.renderTermEditor();
+                this.renderTeamEditor();
+                this.renderAchievementEditor();
+                break;
+            case 'trash':
+                this.loadTrash();
+                break;
         }
     }
 
@@ -404,8 +592,9 @@ class AdminDashboard {
         toast.className = `toast ${type}`;
         toast.innerHTML = `
             <i class="fas fa-${type === 'success' ? 'check-circle' : type === 'error' ? 'exclamation-triangle' : type === 'warning' ? 'exclamation-circle' : 'info-circle'}"></i>
-            <span>${message}</span>
+            <span></span>
         `;
+        toast.querySelector('span').textContent = message;
 
         document.getElementById('toastContainer').appendChild(toast);
 
@@ -423,6 +612,23 @@ class AdminDashboard {
         this.showToast('Data refreshed', 'success');
     }
 
+    // Load the server copy when it is newer than ours; `revision` comes from
+    // a realtime broadcast, polls pass none (shared/live.js)
+    async checkForUpdates(revision) {
+        const known = Number(this.data?.metadata?.revision) || 0;
+        if (revision !== undefined && revision <= known) return;
+
+        // Conditional: an unchanged document costs an empty 304
+        const loaded = await this.storage.load({ conditional: true });
+        const data = loaded && loaded.data;
+        if (!data || (Number(data.metadata?.revision) || 0) <= known) return;
+
+        this.data = data;
+        this.syncedData = JSON.parse(JSON.stringify(data));
+        this.updateOverview();
+        this.switchSection(this.currentSection);
+    }
+
     // Overview Section
     updateOverview() {
         if (!this.data) return;
@@ -432,48 +638,81 @@ class AdminDashboard {
         document.getElementById('totalStudentsCount').textContent = stats.totalStudents;
         document.getElementById('totalStarsCount').textContent = stats.totalStars;
         document.getElementById('totalClassesCount').textContent = Object.keys(this.data.classes || {}).length;
-        document.getElementById('totalTeachersCount').textContent = Object.keys(this.data.teachers || {}).length;
+        document.getElementById('totalTeachersCount').textContent = this.getTeacherUsernames().length;
 
-        // Update achievement counts
-        document.getElementById('goldCount').textContent = stats.goldAchievements;
-        document.getElementById('silverCount').textContent = stats.silverAchievements;
-        document.getElementById('bronzeCount').textContent = stats.bronzeAchievements;
+        this.updateAchievementStats();
+        this.updateTeamTotals();
 
         // Update recent activity
         this.updateRecentActivity();
     }
 
+    // Every team's lifetime stars, as bars in the team colour
+    updateTeamTotals() {
+        const teams = this.teams();
+        const container = document.getElementById('teamTotals');
+        if (teams.length === 0) {
+            container.innerHTML = '<p class="text-muted">No teams yet. Add them under Settings &rarr; Teams.</p>';
+            return;
+        }
+
+        const students = Object.values(this.data.classes || {})
+            .flatMap(classData => Object.values(classData.students || {}));
+        const ranked = StarLedger.teamStandings(teams, students);
+        const most = Math.max(1, ...ranked.map(team => team.stars));
+        container.innerHTML = StarRender.html`${ranked.map(team => StarRender.html`
+            <div class="team-total-row" style="--team-color: ${team.color}">
+                <span class="team-total-name"><i class="fas fa-${team.crest}"></i> ${team.name}</span>
+                <div class="team-total-bar"><div class="team-total-fill" style="width: ${Math.round(team.stars / most * 100)}%"></div></div>
+                <span class="team-total-stars">${team.stars} stars &middot; ${team.members.length} ${team.members.length === 1 ? 'student' : 'students'}</span>
+            </div>
+        `)}`;
+    }
+
     calculateStats() {
         let totalStudents = 0;
         let totalStars = 0;
-        let goldAchievements = 0;
-        let silverAchievements = 0;
-        let bronzeAchievements = 0;
-
-        const thresholds = this.data.settings?.achievementThresholds || { bronze: 10, silver: 25, gold: 50 };
 
         Object.values(this.data.classes || {}).forEach(classData => {
             if (classData.students) {
                 Object.values(classData.students).forEach(student => {
                     totalStudents++;
                     totalStars += student.stars || 0;
-
-                    if (student.stars >= thresholds.gold) goldAchievements++;
-                    else if (student.stars >= thresholds.silver) silverAchievements++;
-                    else if (student.stars >= thresholds.bronze) bronzeAchievements++;
                 });
             }
         });
 
         return {
             totalStudents,
-            totalStars,
-            goldAchievements,
-            silverAchievements,
-            bronzeAchievements
+            totalStars
         };
     }
 
+    // How many students have earned each of the school's achievements
+    updateAchievementStats() {
+        const achievements = StarAchievements.definitions(this.data.settings);
+        const counts = new Map(achievements.map(achievement => [achievement.id, 0]));
+        Object.values(this.data.classes || {}).forEach(classData => {
+            const context = StarAchievements.context(classData.students);
+            Object.values(classData.students || {}).forEach(student => {
+                StarAchievements.earned(student, achievements, context).forEach(achievement => {
+                    counts.set(achievement.id, counts.get(achievement.id) + 1);
+                });
+            });
+        });
+
+        const categories = StarLedger.categories(this.data.settings);
+        document.getElementById('achievementStats').innerHTML = achievements.length === 0
+            ? '<p class="text-muted">No achievements. Add them under Settings &rarr; Achievements.</p>'
+            : StarRender.html`${achievements.map(achievement => StarRender.html`
+                <div class="achievement-stat" title="${StarAchievements.describe(achievement.rule, categories)}">
+                    <i class="fas fa-${achievement.icon}" style="color: ${achievement.color};"></i>
+                    <span class="achievement-label">${achievement.name}</span>
+                    <span class="achievement-count">${counts.get(achievement.id)}</span>
+                </div>
+            `)}`;
+    }
+
     updateRecentActivity() {
         const activityList = document.getElementById('recentActivity');
         // This would typically fetch from a logs system
@@ -509,18 +748,20 @@ class AdminDashboard {
             const studentCount = Object.keys(classData.students || {}).length;
             const totalStars = Object.values(classData.students || {}).reduce((sum, student) => sum + (student.stars || 0), 0);
 
+            const coTeachers = (classData.coTeachers || []).join(', ');
             const row = document.createElement('tr');
-            row.innerHTML = `
+            row.innerHTML = StarRender.html`
                 <td>${className}</td>
+                <td>${classData.owner || StarRender.html`<span class="text-muted">Unassigned</span>`}${coTeachers ? StarRender.html`<br><small>with ${coTeachers}</small>` : ''}</td>
                 <td>${studentCount}</td>
                 <td>${totalStars}</td>
                 <td>${new Date(classData.created || Date.now()).toLocaleDateString()}</td>
                 <td><span class="status-indicator active">Active</span></td>
                 <td class="actions">
-                    <a href="#" class="action-link edit" onclick="adminDashboard.editClass('${className}')">
+                    <a href="#" class="action-link edit" data-action="editClass" data-class-name="${className}">
                         <i class="fas fa-edit"></i> Edit
                     </a>
-                    <a href="#" class="action-link delete" onclick="adminDashboard.deleteClass('${className}')">
+                    <a href="#" class="action-link delete" data-action="deleteClass" data-class-name="${className}">
                         <i class="fas fa-trash"></i> Delete
                     </a>
                 </td>
@@ -546,7 +787,7 @@ class AdminDashboard {
     }
 
     showAddClassModal() {
-        this.showModal('Add New Class', `
+        this.showModal('Add New Class', StarRender.html`
             <div class="form-group">
                 <label for="newClassName">Class Name</label>
                 <input type="text" id="newClassName" class="glass-input" placeholder="Enter class name" required>
@@ -555,6 +796,7 @@ class AdminDashboard {
                 <label for="classDescription">Description (Optional)</label>
                 <textarea id="classDescription" class="glass-input" placeholder="Enter class description" rows="3"></textarea>
             </div>
+            ${this.classStaffFields({})}
         `, [
             { text: 'Cancel', class: 'btn-secondary', action: 'close' },
             { text: 'Create Class', class: 'btn-primary', action: () => this.createClass() }
@@ -570,18 +812,7 @@ class AdminDashboard {
             return;
         }
 
-        if (this.data.classes[className]) {
-            this.showToast('Class already exists', 'error');
-            return;
-        }
-
-        this.data.classes[className] = {
-            students: {},
-            description: description,
-            created: new Date().toISOString()
-        };
-
-        if (await this.saveData(this.data)) {
+        if (await this.applyOperation({ type: 'createClass', className, description, ...this.readClassStaffFields() })) {
             this.loadClasses();
             this.closeModal();
             this.showToast('Class created successfully', 'success');
@@ -590,7 +821,7 @@ class AdminDashboard {
 
     editClass(className) {
         const classData = this.data.classes[className];
-        this.showModal('Edit Class', `
+        this.showModal('Edit Class', StarRender.html`
             <div class="form-group">
                 <label for="editClassName">Class Name</label>
                 <input type="text" id="editClassName" class="glass-input" value="${className}" required>
@@ -599,6 +830,7 @@ class AdminDashboard {
                 <label for="editClassDescription">Description</label>
                 <textarea id="editClassDescription" class="glass-input" rows="3">${classData.description || ''}</textarea>
             </div>
+            ${this.classStaffFields(classData)}
         `, [
             { text: 'Cancel', class: 'btn-secondary', action: 'close' },
             { text: 'Save Changes', class: 'btn-primary', action: () => this.updateClass(className) }
@@ -614,31 +846,57 @@ class AdminDashboard {
             return;
         }
 
-        if (newName !== oldName && this.data.classes[newName]) {
-            this.showToast('Class name already exists', 'error');
-            return;
-        }
-
-        if (newName !== oldName) {
-            this.data.classes[newName] = this.data.classes[oldName];
-            delete this.data.classes[oldName];
-        }
-
-        this.data.classes[newName].description = description;
-
-        if (await this.saveData(this.data)) {
+        const { owner, coTeachers } = this.readClassStaffFields();
+        const op = { type: 'updateClass', className: oldName, newName, description, owner: owner || null, coTeachers };
+        if (await this.applyOperation(op)) {
             this.loadClasses();
             this.closeModal();
             this.showToast('Class updated successfully', 'success');
         }
     }
 
+    // Owner and co-teacher inputs for the class modals. Only teacher
+    // accounts can own a class; viewers can be assigned to read it.
+    classStaffFields(classData) {
+        const coTeachers = classData.coTeachers || [];
+        const owners = this.getTeacherUsernames().filter(username => this.getTeacherRole(username) === 'teacher');
+        const ownerOptions = owners.map(username =>
+            StarRender.html`<option value="${username}" ${username === classData.owner ? 'selected' : ''}>${username}</option>`
+        );
+        const staffOptions = this.getTeacherUsernames().map(username =>
+            StarRender.html`<option value="${username}" ${coTeachers.includes(username) ? 'selected' : ''}>${username} (${this.getTeacherRole(username)})</option>`
+        );
+
+        return StarRender.html`
+            <div class="form-group">
+                <label for="classOwner">Owner</label>
+                <select id="classOwner" class="glass-input">
+                    <option value="">Unassigned (open to all teachers)</option>
+                    ${ownerOptions}
+                </select>
+            </div>
+            <div class="form-group">
+                <label for="classCoTeachers">Co-teachers and viewers</label>
+                <select id="classCoTeachers" class="glass-input" multiple size="4">
+                    ${staffOptions}
+                </select>
+            </div>
+        `;
+    }
+
+    readClassStaffFields() {
+        const owner = document.getElementById('classOwner').value || undefined;
+        const coTeachers = Array.from(document.getElementById('classCoTeachers').selectedOptions, option => option.value)
+            .filter(username => username !== owner);
+        return { owner, coTeachers };
+    }
+
     deleteClass(className) {
-        this.showConfirm(`Are you sure you want to delete the class "${className}"? This will remove all students and their data.`, () => {
-            delete this.data.classes[className];
-            this.saveData(this.data);
-            this.loadClasses();
-            this.showToast('Class deleted successfully', 'success');
+        this.showConfirm(`Are you sure you want to delete the class "${className}"? It moves to the trash with its students and can be restored from there.`, async () => {
+            if (await this.applyOperation({ type: 'deleteClass', className })) {
+                this.loadClasses();
+                this.showToast('Class deleted successfully', 'success');
+            }
         });
     }
 
@@ -656,6 +914,7 @@ class AdminDashboard {
                         id: studentId,
                         name: student.name,
                         class: className,
+                        team: student.team,
                         stars: student.stars || 0,
                         joined: student.created || Date.now()
                     });
@@ -665,20 +924,23 @@ class AdminDashboard {
 
         // Sort by stars (descending)
         allStudents.sort((a, b) => b.stars - a.stars);
+        const teams = this.teams();
+        const achievementContexts = new Map();
 
         allStudents.forEach(student => {
             const row = document.createElement('tr');
-            row.innerHTML = `
+            row.innerHTML = StarRender.html`
                 <td>${student.name}</td>
                 <td>${student.class}</td>
+                <td>${this.teamName(student.team, teams)}</td>
                 <td>${student.stars}</td>
-                <td>${this.getAchievementBadges(student.stars)}</td>
+                <td>${this.achievementBadges(student.class, student.id, achievementContexts)}</td>
                 <td>${new Date(student.joined).toLocaleDateString()}</td>
                 <td class="actions">
-                    <a href="#" class="action-link edit" onclick="adminDashboard.editStudent('${student.id}', '${student.class}')">
+                    <a href="#" class="action-link edit" data-action="editStudent" data-student-id="${student.id}" data-class-name="${student.class}">
                         <i class="fas fa-edit"></i> Edit
                     </a>
-                    <a href="#" class="action-link delete" onclick="adminDashboard.deleteStudent('${student.id}', '${student.class}')">
+                    <a href="#" class="action-link delete" data-action="deleteStudent" data-student-id="${student.id}" data-class-name="${student.class}">
                         <i class="fas fa-trash"></i> Delete
                     </a>
                 </td>
@@ -687,19 +949,17 @@ class AdminDashboard {
         });
     }
 
-    getAchievementBadges(stars) {
-        const thresholds = this.data.settings?.achievementThresholds || { bronze: 10, silver: 25, gold: 50 };
-        let badges = '';
+    // Badges for a student's earned achievements (shared/achievements.js);
+    // `contexts` keeps one engine context per class for the whole table
+    achievementBadges(className, studentId, contexts) {
+        const students = this.data.classes[className].students;
+        if (!contexts.has(className)) contexts.set(className, StarAchievements.context(students));
+        const earned = StarAchievements.earned(students[studentId], StarAchievements.definitions(this.data.settings), contexts.get(className));
+        if (earned.length === 0) return '-';
 
-        if (stars >= thresholds.gold) {
-            badges += '<span class="achievement-badge gold">50</span>';
-        } else if (stars >= thresholds.silver) {
-            badges += '<span class="achievement-badge silver">25</span>';
-        } else if (stars >= thresholds.bronze) {
-            badges += '<span class="achievement-badge bronze">10</span>';
-        }
-
-        return badges || '-';
+        return earned.map(achievement => StarRender.html`
+            <span class="achievement-badge" style="--achievement-color: ${achievement.color}" title="${achievement.name} · ${new Date(achievement.earnedAt).toLocaleDateString()}"><i class="fas fa-${achievement.icon}"></i></span>
+        `);
     }
 
     filterStudents(query) {
@@ -714,14 +974,14 @@ class AdminDashboard {
     }
 
     showAddStudentModal() {
-        const classSelect = '<select id="studentClass" class="glass-input" required>' +
-            '<option value="">Select Class</option>' +
-            Object.keys(this.data.classes || {}).map(className =>
-                `<option value="${className}">${className}</option>`
-            ).join('') +
-            '</select>';
-
-        this.showModal('Add New Student', `
+        const classSelect = StarRender.html`<select id="studentClass" class="glass-input" required>
+            <option value="">Select Class</option>
+            ${Object.keys(this.data.classes || {}).map(className =>
+                StarRender.html`<option value="${className}">${className}</option>`
+            )}
+        </select>`;
+
+        this.showModal('Add New Student', StarRender.html`
             <div class="form-group">
                 <label for="studentName">Student Name</label>
                 <input type="text" id="studentName" class="glass-input" placeholder="Enter student name" required>
@@ -755,18 +1015,15 @@ class AdminDashboard {
             return;
         }
 
-        const studentId = this.generateId();
-        if (!this.data.classes[className].students) {
-            this.data.classes[className].students = {};
-        }
-
-        this.data.classes[className].students[studentId] = {
-            name: name,
-            stars: stars,
-            created: new Date().toISOString()
-        };
+        const added = await this.applyOperation({
+            type: 'addStudent',
+            className,
+            studentId: this.generateId(),
+            name,
+            stars
+        });
 
-        if (await this.saveData(this.data)) {
+        if (added) {
             this.loadStudents();
             this.closeModal();
             this.showToast('Student added successfully', 'success');
@@ -775,13 +1032,19 @@ class AdminDashboard {
 
     editStudent(studentId, className) {
         const student = this.data.classes[className].students[studentId];
-        const classSelect = '<select id="editStudentClass" class="glass-input" required>' +
-            Object.keys(this.data.classes || {}).map(cName =>
-                `<option value="${cName}" ${cName === className ? 'selected' : ''}>${cName}</option>`
-            ).join('') +
-            '</select>';
-
-        this.showModal('Edit Student', `
+        const classSelect = StarRender.html`<select id="editStudentClass" class="glass-input" required>
+            ${Object.keys(this.data.classes || {}).map(cName =>
+                StarRender.html`<option value="${cName}" ${cName === className ? 'selected' : ''}>${cName}</option>`
+            )}
+        </select>`;
+        const teamSelect = StarRender.html`<select id="editStudentTeam" class="glass-input">
+            <option value="">No team</option>
+            ${this.teams().map(team =>
+                StarRender.html`<option value="${team.id}" ${team.id === student.team ? 'selected' : ''}>${team.name}</option>`
+            )}
+        </select>`;
+
+        this.showModal('Edit Student', StarRender.html`
             <div class="form-group">
                 <label for="editStudentName">Student Name</label>
                 <input type="text" id="editStudentName" class="glass-input" value="${student.name}" required>
@@ -790,6 +1053,10 @@ class AdminDashboard {
                 <label for="editStudentClass">Class</label>
                 ${classSelect}
             </div>
+            <div class="form-group">
+                <label for="editStudentTeam">Team</label>
+                ${teamSelect}
+            </div>
             <div class="form-group">
                 <label for="editStudentStars">Stars</label>
                 <input type="number" id="editStudentStars" class="glass-input" value="${student.stars || 0}" min="0">
@@ -800,9 +1067,10 @@ class AdminDashboard {
         ]);
     }
 
-    async updateStudent(oldStudentId, oldClassName) {
+    async updateStudent(studentId, oldClassName) {
         const name = document.getElementById('editStudentName').value.trim();
         const newClassName = document.getElementById('editStudentClass').value;
+        const team = document.getElementById('editStudentTeam').value;
         const stars = parseInt(document.getElementById('editStudentStars').value) || 0;
 
         if (!name || !newClassName) {
@@ -810,22 +1078,27 @@ class AdminDashboard {
             return;
         }
 
-        // Remove from old class
-        delete this.data.classes[oldClassName].students[oldStudentId];
+        const student = this.data.classes[oldClassName].students[studentId];
 
-        // Add to new class
-        if (!this.data.classes[newClassName].students) {
-            this.data.classes[newClassName].students = {};
+        // Moving keeps the id so the history follows the student
+        const teamChanged = team !== (student.team || '');
+        if (name !== student.name || newClassName !== oldClassName || teamChanged) {
+            const op = { type: 'updateStudent', studentId, name, newClassName };
+            if (teamChanged) op.team = team || null;
+            const moved = await this.applyOperation(op);
+            if (!moved) return;
         }
 
-        const newStudentId = this.generateId();
-        this.data.classes[newClassName].students[newStudentId] = {
-            name: name,
-            stars: stars,
-            created: new Date().toISOString()
-        };
+        // Star edits are recorded as an adjustment so the ledger stays complete
+        const adjusted = stars === student.stars || await this.applyOperation({
+            type: 'stars',
+            className: newClassName,
+            studentId,
+            delta: stars - student.stars,
+            reason: 'Adjusted by admin'
+        });
 
-        if (await this.saveData(this.data)) {
+        if (adjusted) {
             this.loadStudents();
             this.closeModal();
             this.showToast('Student updated successfully', 'success');
@@ -834,34 +1107,64 @@ class AdminDashboard {
 
     deleteStudent(studentId, className) {
         const student = this.data.classes[className].students[studentId];
-        this.showConfirm(`Are you sure you want to delete "${student.name}"? This action cannot be undone.`, () => {
-            delete this.data.classes[className].students[studentId];
-            this.saveData(this.data);
-            this.loadStudents();
-            this.showToast('Student deleted successfully', 'success');
+        this.showConfirm(`Are you sure you want to delete "${student.name}"? They move to the trash and can be restored from there.`, async () => {
+            if (await this.applyOperation({ type: 'removeStudent', studentId })) {
+                this.loadStudents();
+                this.showToast('Student deleted successfully', 'success');
+            }
         });
     }
 
     // Teachers Management
-    loadTeachers() {
+    // Accounts live on the server, which never sends passwords to the page.
+    // Without a server (local-only mode) they stay in this.data.teachers.
+    async loadTeachers() {
+        try {
+            this.teacherAccounts = await this.sendAccountRequest('GET', '/teachers');
+        } catch (error) {
+            this.teacherAccounts = null;
+            this.showToast('Could not load teachers: ' + error.message, 'error');
+        }
+        this.renderTeachers();
+    }
+
+    getTeacherUsernames() {
+        if (this.teacherAccounts) return this.teacherAccounts.map(account => account.username);
+        return Object.keys(this.data.teachers || {});
+    }
+
+    // 'teacher' or 'viewer'; local accounts are a bare password or { password, role }
+    getTeacherRole(username) {
+        if (this.teacherAccounts) {
+            const account = this.teacherAccounts.find(entry => entry.username === username);
+            return account ? account.role : 'teacher';
+        }
+        const stored = (this.data.teachers || {})[username];
+        return (stored && stored.role) || 'teacher';
+    }
+
+    renderTeachers() {
         const teachersTable = document.getElementById('teachersTableBody');
         teachersTable.innerHTML = '';
 
-        Object.entries(this.data.teachers || {}).forEach(([username, password]) => {
-            // Count classes assigned to this teacher (simplified - in real app, you'd have teacher-class assignments)
-            const assignedClasses = Object.keys(this.data.classes || {}).length;
+        this.getTeacherUsernames().forEach(username => {
+            const assignedClasses = Object.values(this.data.classes || {}).filter(classData =>
+                classData.owner === username || (classData.coTeachers || []).includes(username)
+            ).length;
+            const role = this.getTeacherRole(username);
 
             const row = document.createElement('tr');
-            row.innerHTML = `
+            row.innerHTML = StarRender.html`
                 <td>${username}</td>
+                <td>${role === 'viewer' ? 'Viewer' : 'Teacher'}</td>
                 <td>${assignedClasses}</td>
                 <td>Last login: Never</td>
                 <td><span class="status-indicator active">Active</span></td>
                 <td class="actions">
-                    <a href="#" class="action-link edit" onclick="adminDashboard.editTeacher('${username}')">
+                    <a href="#" class="action-link edit" data-action="editTeacher" data-username="${username}">
                         <i class="fas fa-edit"></i> Edit
                     </a>
-                    <a href="#" class="action-link delete" onclick="adminDashboard.deleteTeacher('${username}')">
+                    <a href="#" class="action-link delete" data-action="deleteTeacher" data-username="${username}">
                         <i class="fas fa-trash"></i> Delete
                     </a>
                 </td>
@@ -870,6 +1173,223 @@ class AdminDashboard {
         });
     }
 
+    // Send an account request to the first server that answers. Resolves to
+    // the response body, or null when no server is available; throws a
+    // StorageError with the server's message when the request was refused.
+    sendAccountRequest(method, path, body) {
+        return this.storage.request(method, path, body);
+    }
+
+    // Run an account change on the server, or on the local data when there
+    // is no server. Resolves to true when the change was made.
+    // Renames and deletions also move class assignments, so the data is
+    // reloaded afterwards.
+    async changeTeacherAccount(method, path, body, applyLocally) {
+        try {
+            const result = await this.sendAccountRequest(method, path, body);
+            if (result === null) {
+                applyLocally(this.data.teachers);
+                await this.saveData(this.data);
+            } else if (method !== 'POST') {
+                await this.loadData();
+                this.loadClasses();
+            }
+        } catch (error) {
+            this.showToast(error.message, 'error');
+            return false;
+        }
+        await this.loadTeachers();
+        this.updateOverview();
+        return true;
+    }
+
+    // Trash
+    // Deleted classes and students wait here until they are restored or
+    // deleted for good; the server drops expired ones on every read and write.
+    async loadTrash() {
+        document.getElementById('trashRetentionDays').value = StarOperations.retentionDays(this.data.settings);
+
+        for (const trashId of StarOperations.expiredTrash(this.data)) {
+            if (!(await this.applyOperation({ type: 'purgeTrash', trashId }))) break;
+        }
+        this.renderTrash();
+    }
+
+    renderTrash() {
+        const trashTable = document.getElementById('trashTableBody');
+        trashTable.innerHTML = '';
+
+        const days = StarOperations.retentionDays(this.data.settings);
+        const entries = Object.entries(this.data.trash || {})
+            .sort(([, a], [, b]) => new Date(b.deletedAt) - new Date(a.deletedAt));
+
+        entries.forEach(([trashId, entry]) => {
+            const deleted = new Date(entry.deletedAt);
+            const expires = new Date(deleted.getTime() + days * 24 * 60 * 60 * 1000);
+            const row = document.createElement('tr');
+            row.innerHTML = StarRender.html`
+                <td>${entry.type === 'class' ? 'Class' : 'Student'}</td>
+                <td>${entry.type === 'class' ? entry.className : entry.data.name}</td>
+                <td>${entry.className}</td>
+                <td>${deleted.toLocaleString()}</td>
+                <td>${entry.deletedBy || '-'}</td>
+                <td>${expires.toLocaleDateString()}</td>
+                <td class="actions">
+                    <a href="#" class="action-link edit" data-action="restoreTrash" data-trash-id="${trashId}">
+                        <i class="fas fa-undo"></i> Restore
+                    </a>
+                    <a href="#" class="action-link delete" data-action="purgeTrash" data-trash-id="${trashId}">
+                        <i class="fas fa-times"></i> Delete forever
+                    </a>
+                </td>
+            `;
+            trashTable.appendChild(row);
+        });
+
+        if (entries.length === 0) {
+            trashTable.innerHTML = '<tr><td colspan="7">The trash is empty</td></tr>';
+        }
+    }
+
+    async restoreTrash(trashId) {
+        if (await this.applyOperation({ type: 'restoreTrash', trashId })) {
+            this.updateOverview();
+            this.renderTrash();
+            this.showToast('Restored from the trash', 'success');
+        }
+    }
+
+    purgeTrash(trashId) {
+        this.showConfirm('Delete this for good? It cannot be restored afterwards.', async () => {
+            if (await this.applyOperation({ type: 'purgeTrash', trashId })) {
+                this.renderTrash();
+                this.showToast('Deleted for good', 'success');
+            }
+        });
+    }
+
+    updateTrashRetention() {
+        const days = parseInt(document.getElementById('trashRetentionDays').value);
+        if (!(days >= 1 && days <= 3650)) {
+            this.showToast('Keep deleted items for 1 to 3650 days', 'error');
+            return;
+        }
+
+        if (!this.data.settings) this.data.settings = {};
+        this.data.settings.trashRetentionDays = days;
+
+        this.saveData(this.data);
+        this.renderTrash();
+        this.showToast('Trash settings updated', 'success');
+    }
+
+    // Schools Management
+    // Admins of the main school see every school of the deployment and can
+    // add new ones with their first admin account. The server refuses
+    // everyone else, which keeps the section hidden.
+    async loadSchools() {
+        try {
+            this.schools = await this.sendAccountRequest('GET', '/schools');
+        } catch (error) {
+            this.schools = null;
+        }
+        document.getElementById('schoolsNavItem').classList.toggle('hidden', !this.schools);
+        this.renderSchools();
+    }
+
+    renderSchools() {
+        const schoolsTable = document.getElementById('schoolsTableBody');
+        schoolsTable.innerHTML = '';
+
+        (this.schools || []).forEach(school => {
+            const query = `?school=${encodeURIComponent(school.id)}`;
+            const row = document.createElement('tr');
+            row.innerHTML = StarRender.html`
+                <td>${school.id}</td>
+                <td>${school.name}</td>
+                <td>${new Date(school.created || Date.now()).toLocaleDateString()}</td>
+                <td class="actions">
+                    <a href="index.html${query}" class="action-link edit" target="_blank">
+                        <i class="fas fa-star"></i> StarBoard
+                    </a>
+                    <a href="admin.html${query}" class="action-link edit" target="_blank">
+                        <i class="fas fa-user-shield"></i> Admin
+                    </a>
+                </td>
+            `;
+            schoolsTable.appendChild(row);
+        });
+    }
+
+    showAddSchoolModal() {
+        this.showModal('Add New School', `
+            <div class="form-group">
+                <label for="schoolId">School ID</label>
+                <input type="text" id="schoolId" class="glass-input" placeholder="e.g. north (letters, digits and dashes)" required>
+            </div>
+            <div class="form-group">
+                <label for="schoolName">Name</label>
+                <input type="text" id="schoolName" class="glass-input" placeholder="e.g. North Campus">
+            </div>
+            <div class="form-group">
+                <label for="schoolAdminUsername">First Admin Username</label>
+                <input type="text" id="schoolAdminUsername" class="glass-input" placeholder="Enter username" required>
+            </div>
+            <div class="form-group">
+                <label for="schoolAdminPassword">First Admin Password</label>
+                <input type="password" id="schoolAdminPassword" class="glass-input" placeholder="Enter password" required>
+            </div>
+            <div class="form-group">
+                <label for="confirmSchoolAdminPassword">Confirm Password</label>
+                <input type="password" id="confirmSchoolAdminPassword" class="glass-input" placeholder="Confirm password" required>
+            </div>
+        `, [
+            { text: 'Cancel', class: 'btn-secondary', action: 'close' },
+            { text: 'Create School', class: 'btn-primary', action: () => this.createSchool() }
+        ]);
+    }
+
+    async createSchool() {
+        const id = document.getElementById('schoolId').value.trim().toLowerCase();
+        const name = document.getElementById('schoolName').value.trim();
+        const adminUsername = document.getElementById('schoolAdminUsername').value.trim();
+        const adminPassword = document.getElementById('schoolAdminPassword').value;
+        const confirmPassword = document.getElementById('confirmSchoolAdminPassword').value;
+
+        if (!id || !adminUsername || !adminPassword) {
+            this.showToast('Please fill all fields', 'error');
+            return;
+        }
+
+        if (adminPassword !== confirmPassword) {
+            this.showToast('Passwords do not match', 'error');
+            return;
+        }
+
+        try {
+            await this.sendAccountRequest('POST', '/schools', { id, name, adminUsername, adminPassword });
+        } catch (error) {
+            this.showToast(error.message, 'error');
+            return;
+        }
+
+        this.closeModal();
+        await this.loadSchools();
+        this.showToast(`School "${name || id}" created`, 'success');
+    }
+
+    roleField(id, role) {
+        return StarRender.html`
+            <div class="form-group">
+                <label for="${id}">Role</label>
+                <select id="${id}" class="glass-input">
+                    <option value="teacher" ${role === 'teacher' ? 'selected' : ''}>Teacher</option>
+                    <option value="viewer" ${role === 'viewer' ? 'selected' : ''}>Viewer (read-only assistant)</option>
+                </select>
+            </div>
+        `;
+    }
+
     filterTeachers(query) {
         const rows = document.querySelectorAll('#teachersTableBody tr');
         const filterValue = query.toLowerCase();
@@ -881,7 +1401,7 @@ class AdminDashboard {
     }
 
     showAddTeacherModal() {
-        this.showModal('Add New Teacher', `
+        this.showModal('Add New Teacher', StarRender.html`
             <div class="form-group">
                 <label for="teacherUsername">Username</label>
                 <input type="text" id="teacherUsername" class="glass-input" placeholder="Enter username" required>
@@ -894,6 +1414,7 @@ class AdminDashboard {
                 <label for="confirmTeacherPassword">Confirm Password</label>
                 <input type="password" id="confirmTeacherPassword" class="glass-input" placeholder="Confirm password" required>
             </div>
+            ${this.roleField('teacherRole', 'teacher')}
         `, [
             { text: 'Cancel', class: 'btn-secondary', action: 'close' },
             { text: 'Create Teacher', class: 'btn-primary', action: () => this.createTeacher() }
@@ -904,6 +1425,7 @@ class AdminDashboard {
         const username = document.getElementById('teacherUsername').value.trim();
         const password = document.getElementById('teacherPassword').value;
         const confirmPassword = document.getElementById('confirmTeacherPassword').value;
+        const role = document.getElementById('teacherRole').value;
 
         if (!username || !password) {
             this.showToast('Please fill all fields', 'error');
@@ -915,22 +1437,23 @@ class AdminDashboard {
             return;
         }
 
-        if (this.data.teachers[username]) {
+        if (this.getTeacherUsernames().includes(username)) {
             this.showToast('Username already exists', 'error');
             return;
         }
 
-        this.data.teachers[username] = password;
+        const created = await this.changeTeacherAccount('POST', '/teachers', { username, password, role }, teachers => {
+            teachers[username] = { password, role };
+        });
 
-        if (await this.saveData(this.data)) {
-            this.loadTeachers();
+        if (created) {
             this.closeModal();
             this.showToast('Teacher created successfully', 'success');
         }
     }
 
     editTeacher(username) {
-        this.showModal('Edit Teacher', `
+        this.showModal('Edit Teacher', StarRender.html`
             <div class="form-group">
                 <label for="editTeacherUsername">Username</label>
                 <input type="text" id="editTeacherUsername" class="glass-input" value="${username}" required>
@@ -939,6 +1462,7 @@ class AdminDashboard {
                 <label for="editTeacherPassword">New Password (leave blank to keep current)</label>
                 <input type="password" id="editTeacherPassword" class="glass-input" placeholder="Enter new password">
             </div>
+            ${this.roleField('editTeacherRole', this.getTeacherRole(username))}
         `, [
             { text: 'Cancel', class: 'btn-secondary', action: 'close' },
             { text: 'Save Changes', class: 'btn-primary', action: () => this.updateTeacher(username) }
@@ -948,41 +1472,41 @@ class AdminDashboard {
     async updateTeacher(oldUsername) {
         const newUsername = document.getElementById('editTeacherUsername').value.trim();
         const newPassword = document.getElementById('editTeacherPassword').value;
+        const role = document.getElementById('editTeacherRole').value;
 
         if (!newUsername) {
             this.showToast('Username is required', 'error');
             return;
         }
 
-        if (newUsername !== oldUsername && this.data.teachers[newUsername]) {
+        if (newUsername !== oldUsername && this.getTeacherUsernames().includes(newUsername)) {
             this.showToast('Username already exists', 'error');
             return;
         }
 
-        // Update username if changed
-        if (newUsername !== oldUsername) {
-            this.data.teachers[newUsername] = this.data.teachers[oldUsername];
-            delete this.data.teachers[oldUsername];
-        }
-
-        // Update password if provided
-        if (newPassword) {
-            this.data.teachers[newUsername] = newPassword;
-        }
+        const changes = { username: newUsername, password: newPassword || undefined, role };
+        const updated = await this.changeTeacherAccount('PATCH', `/teachers/${encodeURIComponent(oldUsername)}`, changes, teachers => {
+            // Update username if changed, and password if provided
+            const stored = teachers[oldUsername];
+            const password = newPassword || (stored && typeof stored === 'object' ? stored.password : stored);
+            delete teachers[oldUsername];
+            teachers[newUsername] = { password, role };
+            if (newUsername !== oldUsername) StarAccess.renameMember(this.data, oldUsername, newUsername);
+        });
 
-        if (await this.saveData(this.data)) {
-            this.loadTeachers();
+        if (updated) {
             this.closeModal();
             this.showToast('Teacher updated successfully', 'success');
         }
     }
 
     deleteTeacher(username) {
-        this.showConfirm(`Are you sure you want to delete teacher "${username}"?`, () => {
-            delete this.data.teachers[username];
-            this.saveData(this.data);
-            this.loadTeachers();
-            this.showToast('Teacher deleted successfully', 'success');
+        this.showConfirm(`Are you sure you want to delete teacher "${username}"?`, async () => {
+            const deleted = await this.changeTeacherAccount('DELETE', `/teachers/${encodeURIComponent(username)}`, null, teachers => {
+                delete teachers[username];
+                StarAccess.renameMember(this.data, username, null);
+            });
+            if (deleted) this.showToast('Teacher deleted successfully', 'success');
         });
     }
 
@@ -1058,6 +1582,7 @@ class AdminDashboard {
     updateAnalytics() {
         // Update top performers
         this.updateTopPerformers();
+        this.loadArchives();
 
         // Update charts
         if (this.charts.starDistribution) {
@@ -1088,7 +1613,7 @@ class AdminDashboard {
         allStudents.sort((a, b) => b.stars - a.stars);
         const topPerformers = allStudents.slice(0, 5);
 
-        performersList.innerHTML = topPerformers.map((student, index) => `
+        performersList.innerHTML = topPerformers.map((student, index) => StarRender.html`
             <div class="performer-item">
                 <div class="performer-rank">${index + 1}</div>
                 <div class="performer-info">
@@ -1100,9 +1625,57 @@ class AdminDashboard {
         `).join('');
     }
 
+    // Past terms: the standings saved when the school rolled over, read-only
+    loadArchives() {
+        const select = document.getElementById('archiveSelect');
+        const selected = select.value;
+        const archives = Object.entries(this.data.archives || {})
+            .sort(([, a], [, b]) => new Date(b.archivedAt) - new Date(a.archivedAt));
+
+        select.innerHTML = archives.length === 0
+            ? '<option value="">No past terms yet</option>'
+            : StarRender.html`${archives.map(([archiveId, archive]) => StarRender.html`
+                <option value="${archiveId}">${archive.name} (${archive.start} to ${archive.end})</option>
+            `)}`;
+        if (archives.some(([archiveId]) => archiveId === selected)) select.value = selected;
+        this.renderArchive();
+    }
+
+    renderArchive() {
+        const archive = (this.data.archives || {})[document.getElementById('archiveSelect').value];
+        const classSelect = document.getElementById('archiveClassSelect');
+        const tableBody = document.getElementById('archiveTableBody');
+        const classNames = archive ? Object.keys(archive.classes).sort((a, b) => a.localeCompare(b)) : [];
+
+        const className = classSelect.value;
+        classSelect.innerHTML = StarRender.html`
+            <option value="">All classes</option>
+            ${classNames.map(name => StarRender.html`<option value="${name}">${name}</option>`)}
+        `;
+        classSelect.value = classNames.includes(className) ? className : '';
+
+        const rows = classNames
+            .filter(name => !classSelect.value || name === classSelect.value)
+            .reduce((all, name) => all.concat(archive.classes[name].map(entry => ({ ...entry, className: name }))), [])
+            .sort((a, b) => b.stars - a.stars || b.total - a.total);
+
+        tableBody.innerHTML = rows.length === 0
+            ? '<tr><td colspan="5">No past terms yet</td></tr>'
+            : StarRender.html`${rows.map((entry, index) => StarRender.html`
+                <tr>
+                    <td>${index + 1}</td>
+                    <td>${entry.name}</td>
+                    <td>${entry.className}</td>
+                    <td>${entry.stars}</td>
+                    <td>${entry.total === undefined ? '-' : entry.total}</td>
+                </tr>
+            `)}`;
+    }
+
     // Settings
-    updateAdminCredentials() {
+    async updateAdminCredentials() {
         const username = document.getElementById('adminUsernameSettings').value.trim();
+        const currentPassword = document.getElementById('currentAdminPassword').value;
         const newPassword = document.getElementById('newAdminPassword').value;
         const confirmPassword = document.getElementById('confirmAdminPassword').value;
 
@@ -1111,58 +1684,318 @@ class AdminDashboard {
             return;
         }
 
-        if (newPassword) {
-            if (newPassword !== confirmPassword) {
-                this.showToast('Passwords do not match', 'error');
+        if (!currentPassword) {
+            this.showToast('Enter your current password to change admin settings', 'error');
+            return;
+        }
+
+        if (newPassword && newPassword !== confirmPassword) {
+            this.showToast('Passwords do not match', 'error');
+            return;
+        }
+
+        let session;
+        try {
+            session = await this.sendAccountRequest('PATCH', '/admin/credentials', {
+                currentPassword,
+                username,
+                password: newPassword || undefined
+            });
+        } catch (error) {
+            this.showToast(error.message, 'error');
+            return;
+        }
+
+        if (!session) {
+            this.showToast('Admin settings need the StarBoard server (Netlify Functions)', 'error');
+            return;
+        }
+
+        // The server issues a new token for the (possibly renamed) account
+        this.saveSession(session);
+        document.getElementById('adminName').textContent = this.currentUser;
+        ['currentAdminPassword', 'newAdminPassword', 'confirmAdminPassword'].forEach(id => {
+            document.getElementById(id).value = '';
+        });
+        this.showToast('Admin settings updated', 'success');
+    }
+
+    // Star categories: the reasons teachers give stars for, each with an icon
+    // and the points its button on the teacher portal gives
+    renderCategoryEditor(categories = StarLedger.categories(this.data.settings)) {
+        document.getElementById('categoryEditor').innerHTML = StarRender.html`${categories.map((category, index) => StarRender.html`
+            <div class="category-edit-row" data-category-id="${category.id}">
+                <select class="category-icon glass-input" aria-label="Icon">
+                    ${StarSchema.ICONS.map(icon => StarRender.html`
+                        <option value="${icon}" ${icon === category.icon ? StarRender.raw('selected') : ''}>${icon}</option>
+                    `)}
+                </select>
+                <input type="text" class="category-name glass-input" value="${category.name}" placeholder="Category name" maxlength="100">
+                <input type="number" class="category-points glass-input" value="${category.points}" step="1" min="-100" max="100" aria-label="Points">
+                <a href="#" class="action-link delete" data-action="removeCategory" data-index="${index}" title="Remove category">
+                    <i class="fas fa-times"></i>
+                </a>
+            </div>
+        `)}`;
+    }
+
+    // The categories as edited so far; new rows get an id here
+    readCategoryEditor() {
+        return [...document.querySelectorAll('#categoryEditor .category-edit-row')].map(row => ({
+            id: row.dataset.categoryId || 'cat_' + this.generateId(),
+            name: row.querySelector('.category-name').value.trim(),
+            icon: row.querySelector('.category-icon').value,
+            points: Number(row.querySelector('.category-points').value)
+        }));
+    }
+
+    // `categories` null goes back to the default categories
+    async saveCategories(categories) {
+        if (categories) {
+            const invalid = categories.find(category => !category.name || !Number.isInteger(category.points) || category.points === 0);
+            if (invalid) {
+                this.showToast('Every category needs a name and whole-number points other than 0', 'error');
                 return;
             }
+        }
 
-            // In a real app, you'd hash the password
-            // For demo purposes, we'll just update it
-            this.showToast('Password updated successfully', 'success');
+        if (await this.applyOperation({ type: 'setCategories', categories })) {
+            this.renderCategoryEditor();
+            this.showToast(categories ? 'Star categories saved' : 'Star categories reset to defaults', 'success');
         }
+    }
 
-        this.showToast('Admin settings updated', 'success');
+    // Terms: named date ranges the term leaderboard counts stars in; the
+    // school is in one of them at a time and rolls over to the next
+    renderTermEditor(terms = (this.data.settings && this.data.settings.terms) || []) {
+        document.getElementById('termEditor').innerHTML = StarRender.html`${terms.map((term, index) => StarRender.html`
+            <div class="term-edit-row" data-term-id="${term.id}">
+                <input type="text" class="term-name glass-input" value="${term.name}" placeholder="Term name, e.g. Autumn 2026" maxlength="100">
+                <input type="date" class="term-start glass-input" value="${term.start}" aria-label="First day">
+                <input type="date" class="term-end glass-input" value="${term.end}" aria-label="Last day">
+                <a href="#" class="action-link delete" data-action="removeTerm" data-index="${index}" title="Remove term">
+                    <i class="fas fa-times"></i>
+                </a>
+            </div>
+        `)}`;
+
+        const settings = this.data.settings || {};
+        const current = StarLedger.currentTerm(settings);
+        const others = (settings.terms || []).filter(term => !current || term.id !== current.id);
+        document.getElementById('currentTermName').textContent = current ? current.name : 'none';
+        document.getElementById('rolloverTermSelect').innerHTML = others.length === 0
+            ? '<option value="">Save another term to roll over to</option>'
+            : StarRender.html`${others.map(term => StarRender.html`<option value="${term.id}">${term.name}</option>`)}`;
+    }
+
+    // The terms as edited so far; new rows get an id here
+    readTermEditor() {
+        return [...document.querySelectorAll('#termEditor .term-edit-row')].map(row => ({
+            id: row.dataset.termId || 'term_' + this.generateId(),
+            name: row.querySelector('.term-name').value.trim(),
+            start: row.querySelector('.term-start').value,
+            end: row.querySelector('.term-end').value
+        }));
+    }
+
+    async saveTerms() {
+        const terms = this.readTermEditor();
+        if (terms.some(term => !term.name || !term.start || !term.end)) {
+            this.showToast('Every term needs a name, a first day and a last day', 'error');
+            return;
+        }
+
+        if (await this.applyOperation({ type: 'setTerms', terms })) {
+            this.renderTermEditor();
+            this.showToast('Terms saved', 'success');
+        }
     }
 
-    updateAchievementSettings() {
-        const bronze = parseInt(document.getElementById('bronzeThreshold').value) || 10;
-        const silver = parseInt(document.getElementById('silverThreshold').value) || 25;
-        const gold = parseInt(document.getElementById('goldThreshold').value) || 50;
+    rolloverTerm() {
+        const settings = this.data.settings || {};
+        const term = (settings.terms || []).find(item => item.id === document.getElementById('rolloverTermSelect').value);
+        if (!term) {
+            this.showToast('Choose the term to roll over to', 'error');
+            return;
+        }
+
+        const current = StarLedger.currentTerm(settings);
+        const message = current
+            ? `Roll over from "${current.name}" to "${term.name}"? The final standings of "${current.name}" are saved under Past Terms and the term leaderboard starts again from zero. Lifetime stars are kept.`
+            : `Make "${term.name}" the current term? The term leaderboard will count the stars earned in it.`;
+        this.showConfirm(message, async () => {
+            if (await this.applyOperation({ type: 'rolloverTerm', termId: term.id })) {
+                this.renderTermEditor();
+                this.showToast(`"${term.name}" is now the current term`, 'success');
+            }
+        });
+    }
+
+    teams() {
+        return (this.data.settings && this.data.settings.teams) || [];
+    }
+
+    // The team's name for a table cell; students of a removed team have none
+    teamName(teamId, teams) {
+        const team = teamId && teams.find(item => item.id === teamId);
+        return team ? team.name : StarRender.html`<span class="text-muted">-</span>`;
+    }
+
+    // Teams (houses): a name, colour and crest each; students join one from
+    // the Edit Student dialog here or in the teacher portal
+    renderTeamEditor(teams = this.teams()) {
+        document.getElementById('teamEditor').innerHTML = StarRender.html`${teams.map((team, index) => StarRender.html`
+            <div class="team-edit-row" data-team-id="${team.id}">
+                <select class="team-crest glass-input" aria-label="Crest">
+                    ${StarSchema.CRESTS.map(crest => StarRender.html`
+                        <option value="${crest}" ${crest === team.crest ? StarRender.raw('selected') : ''}>${crest}</option>
+                    `)}
+                </select>
+                <input type="text" class="team-name glass-input" value="${team.name}" placeholder="Team name, e.g. Falcons" maxlength="100">
+                <input type="color" class="team-color" value="${team.color}" aria-label="Colour">
+                <a href="#" class="action-link delete" data-action="removeTeam" data-index="${index}" title="Remove team">
+                    <i class="fas fa-times"></i>
+                </a>
+            </div>
+        `)}`;
+    }
+
+    // The teams as edited so far; new rows get an id here
+    readTeamEditor() {
+        return [...document.querySelectorAll('#teamEditor .team-edit-row')].map(row => ({
+            id: row.dataset.teamId || 'team_' + this.generateId(),
+            name: row.querySelector('.team-name').value.trim(),
+            color: row.querySelector('.team-color').value,
+            crest: row.querySelector('.team-crest').value
+        }));
+    }
 
-        if (bronze >= silver || silver >= gold) {
-            this.showToast('Thresholds must be in ascending order', 'error');
+    async saveTeams() {
+        const teams = this.readTeamEditor();
+        if (teams.some(team => !team.name)) {
+            this.showToast('Every team needs a name', 'error');
             return;
         }
 
-        if (!this.data.settings) this.data.settings = {};
-        this.data.settings.achievementThresholds = { bronze, silver, gold };
+        if (await this.applyOperation({ type: 'setTeams', teams })) {
+            this.renderTeamEditor();
+            this.updateTeamTotals();
+            this.showToast('Teams saved', 'success');
+        }
+    }
 
-        this.saveData(this.data);
-        this.showToast('Achievement settings updated', 'success');
+    // Achievements: a name, icon and colour each, and the rule a student
+    // earns it by (shared/achievements.js). Without any saved, the school
+    // has the default bronze, silver and gold medals.
+    renderAchievementEditor(achievements = StarAchievements.definitions(this.data.settings)) {
+        const categories = StarLedger.categories(this.data.settings);
+        const rules = { total: 'Total stars', streak: 'School-day streak', category: 'Stars in a category', firstOfWeek: 'First star of the week' };
+        document.getElementById('achievementEditor').innerHTML = StarRender.html`${achievements.map((achievement, index) => {
+            const { rule } = achievement;
+            return StarRender.html`
+                <div class="achievement-edit-row" data-achievement-id="${achievement.id}">
+                    <select class="achievement-icon glass-input" aria-label="Icon">
+                        ${StarSchema.BADGES.map(icon => StarRender.html`
+                            <option value="${icon}" ${icon === achievement.icon ? StarRender.raw('selected') : ''}>${icon}</option>
+                        `)}
+                    </select>
+                    <input type="text" class="achievement-name glass-input" value="${achievement.name}" placeholder="Achievement name" maxlength="100">
+                    <input type="color" class="achievement-color" value="${achievement.color}" aria-label="Colour">
+                    <select class="achievement-rule glass-input" aria-label="Rule">
+                        ${StarAchievements.RULES.map(type => StarRender.html`
+                            <option value="${type}" ${type === rule.type ? StarRender.raw('selected') : ''}>${rules[type]}</option>
+                        `)}
+                    </select>
+                    ${rule.type === 'firstOfWeek' ? '' : StarRender.html`
+                        <input type="number" class="achievement-amount glass-input" value="${rule.type === 'streak' ? rule.days : rule.stars}" step="1" min="${rule.type === 'streak' ? 2 : 1}" aria-label="${rule.type === 'streak' ? 'Days' : 'Stars'}" title="${rule.type === 'streak' ? 'Days' : 'Stars'}">
+                    `}
+                    ${rule.type === 'category' ? StarRender.html`
+                        <select class="achievement-category glass-input" aria-label="Category">
+                            ${categories.map(category => StarRender.html`
+                                <option value="${category.id}" ${category.id === rule.category ? StarRender.raw('selected') : ''}>${category.name}</option>
+                            `)}
+                        </select>
+                    ` : ''}
+                    <a href="#" class="action-link delete" data-action="removeAchievement" data-index="${index}" title="Remove achievement">
+                        <i class="fas fa-times"></i>
+                    </a>
+                </div>
+            `;
+        })}`;
+    }
+
+    // The achievements as edited so far; new rows get an id here. The amount
+    // is kept when the rule changes, as stars or days.
+    readAchievementEditor() {
+        return [...document.querySelectorAll('#achievementEditor .achievement-edit-row')].map(row => {
+            const type = row.querySelector('.achievement-rule').value;
+            const amountInput = row.querySelector('.achievement-amount');
+            const amount = amountInput ? Number(amountInput.value) : 10;
+            const categoryInput = row.querySelector('.achievement-category');
+
+            const rule = { type };
+            if (type === 'streak') rule.days = Math.max(amount, 2);
+            else if (type !== 'firstOfWeek') rule.stars = amount;
+            if (type === 'category') {
+                rule.category = categoryInput ? categoryInput.value : StarLedger.categories(this.data.settings)[0]?.id;
+            }
+            return {
+                id: row.dataset.achievementId || 'ach_' + this.generateId(),
+                name: row.querySelector('.achievement-name').value.trim(),
+                icon: row.querySelector('.achievement-icon').value,
+                color: row.querySelector('.achievement-color').value,
+                rule
+            };
+        });
+    }
+
+    // `achievements` null goes back to the default medals
+    async saveAchievements(achievements) {
+        if (achievements) {
+            if (achievements.some(achievement => !achievement.name)) {
+                this.showToast('Every achievement needs a name', 'error');
+                return;
+            }
+            const amounts = achievements.map(({ rule }) => rule.stars ?? rule.days).filter(amount => amount !== undefined);
+            if (amounts.some(amount => !Number.isInteger(amount) || amount < 1)) {
+                this.showToast('Every achievement needs a whole number of stars or days', 'error');
+                return;
+            }
+        }
+
+        if (await this.applyOperation({ type: 'setAchievements', achievements })) {
+            this.renderAchievementEditor();
+            this.updateAchievementStats();
+            this.showToast(achievements ? 'Achievements saved' : 'Achievements reset to the default medals', 'success');
+        }
     }
 
     async testDatabaseConnection() {
         this.showLoading();
-        try {
-            const response = await fetch('/.netlify/functions/supabase-starboard', {
-                headers: { 'Cache-Control': 'no-store' }
-            });
+        const health = await this.storage.checkHealth();
+        this.updateStorageStatus();
 
-            if (response.ok) {
-                this.updateSyncStatus('Database connection successful');
-                this.showToast('Database connection successful', 'success');
-            } else {
-                this.updateSyncStatus('Database connection failed');
-                this.showToast('Database connection failed', 'error');
-            }
-        } catch (error) {
+        if (health.some(entry => entry.remote && entry.state === 'ok')) {
+            this.updateSyncStatus('Database connection successful');
+            this.showToast('Database connection successful', 'success');
+        } else {
             this.updateSyncStatus('Database connection failed');
-            this.showToast('Database connection failed: ' + error.message, 'error');
+            this.showToast('Database connection failed', 'error');
         }
         this.hideLoading();
     }
 
+    // Database Settings panel: the backend in use and every adapter's health
+    updateStorageStatus() {
+        const active = this.storage.active;
+        document.getElementById('storageType').textContent = active ? active.label : 'This browser only';
+        document.getElementById('dbStatus').innerHTML = this.storage.health().map(entry => StarRender.html`
+            <span class="storage-health storage-health-${entry.state}" title="${entry.error || ''}">
+                ${entry.label}: ${entry.state}
+            </span>
+        `).join('');
+    }
+
     saveAllSettings() {
         // Collect all settings
         const settings = {
@@ -1,53 +1,62 @@
 // Netlify Function: StarBoard storage using Netlify Blobs
-// Methods:
-// - GET: returns current JSON data
-// - PUT: replaces JSON data with request body
+// Routes (relative to /.netlify/functions/starboard):
+// - GET    /  returns current JSON data without teacher credentials;
+//             metadata.revision identifies the stored copy. Answers with an
+//             ETag, and with 304 when If-None-Match still matches it.
+// - PUT    /  replaces JSON data with request body if body.metadata.revision matches
+//             the stored revision, otherwise responds 409 with the current copy.
+//             Stored teacher accounts are kept as they are. Documents that do
+//             not fit shared/schema.js get a 400 listing the failed paths.
+// - POST   /login                               {username, password} -> {token, expiresAt}
+// - POST   /admin/login                         admin account login, same shape
+// - PATCH  /admin/credentials                   {currentPassword, username, password}
+// - GET    /teachers                            account list (usernames and roles)
+// - POST   /teachers                            {username, password, role}
+// - PATCH  /teachers/:username                  {username, password, role}
+// - DELETE /teachers/:username
+// - POST   /classes                             {name, description, owner, coTeachers}
+// - PATCH  /classes/:class                      {name, description, owner, coTeachers}
+// - DELETE /classes/:class                      {trashId}  moves the class to the trash
+// - POST   /classes/:class/students             {id, name, stars}
+// - POST   /classes/:class/students/:id/stars   {delta, reason, category}
+// - POST   /classes/:class/stars                {awards: [{studentId}], delta, reason, category}
+//                                              stars for several students, all or none
+// - PUT    /classes/:class/groups/:group        {studentIds}  saves a group of students
+// - DELETE /classes/:class/groups/:group
+// - PUT    /categories                          {categories: [{id, name, icon, points}]}  star categories
+// - DELETE /categories                          back to the default categories
+// - PUT    /terms                               {terms: [{id, name, start, end}]}  school terms (admin)
+// - POST   /terms/:id/rollover                  {archiveId}  makes it the current term and
+//                                              archives the old one's standings (admin)
+// - PUT    /teams                               {teams: [{id, name, color, crest}]}  teams / houses (admin)
+// - PUT    /achievements                        {achievements: [{id, name, icon, color, rule}]}
+//                                              achievements students earn (admin)
+// - DELETE /achievements                        back to the default medals (admin)
+// - PATCH  /students/:id                        {name, className, team}  rename / move / change team
+// - DELETE /students/:id                        {trashId}  moves the student to the trash
+// - POST   /trash/:id/restore                   puts a deleted class or student back
+// - DELETE /trash/:id                           deletes it for good (admin)
+// - GET    /classes, /classes/:class/students, /students/:id/events
+//                                              read views, as in the Supabase function
+// - GET    /schools, POST /schools              schools of the deployment, as in the
+//                                              Supabase function
+// Write routes change one thing and answer with { ...result, revision }.
+// Everything except the GET routes and the logins needs `Authorization: Bearer <token>`;
+// /teachers and /admin/credentials need an admin session. Teachers may only
+// change the classes they own or co-teach, viewers nothing (shared/access.js).
+// Each school has its own data (see netlify/lib/schools.js).
 
 import { getStore } from '@netlify/blobs';
+import { handleDocumentRequest } from '../lib/document-function.js';
+
+const FUNCTION_NAME = 'starboard';
 
 export async function handler(event) {
+  let store;
   try {
-    const store = getStore('starboard');
-    const key = 'data.json';
-
-    if (event.httpMethod === 'GET') {
-      const value = await store.get(key, { type: 'json' });
-      const data = value || createDefaultData();
-      return json(200, data, { 'Cache-Control': 'no-store' });
-    }
-
-    if (event.httpMethod === 'PUT') {
-      const body = event.body || '{}';
-      const parsed = JSON.parse(body);
-      // Lightweight validation
-      if (!parsed || typeof parsed !== 'object' || !parsed.classes) {
-        return json(400, { error: 'Invalid data' });
-      }
-      await store.setJSON(key, parsed);
-      return json(200, { ok: true });
-    }
-
-    return json(405, { error: 'Method not allowed' }, { Allow: 'GET, PUT' });
+    store = getStore('starboard');
   } catch (err) {
-    return json(500, { error: err.message });
+    return { statusCode: 500, headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ error: err.message }) };
   }
+  return handleDocumentRequest(event, store, FUNCTION_NAME);
 }
-
-function json(statusCode, body, headers = {}) {
-  return {
-    statusCode,
-    headers: { 'Content-Type': 'application/json', ...headers },
-    body: JSON.stringify(body)
-  };
-}
-
-function createDefaultData() {
-  const now = new Date().toISOString();
-  return {
-    classes: {},
-    teachers: { teacher: 'starboard' },
-    settings: { theme: 'dark', soundEnabled: true, autoBackup: true },
-    metadata: { version: '2.0', created: now, lastModified: now, backupCount: 0 }
-  };
-}
-
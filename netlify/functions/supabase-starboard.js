@@ -1,96 +1,296 @@
 // Netlify Function: StarBoard storage using Supabase
 // This replaces the Firebase integration with Supabase
+// Routes (relative to /.netlify/functions/supabase-starboard):
+// - GET  /                         whole document without teacher credentials;
+//                                  metadata.revision identifies the stored copy. Answers with
+//                                  an ETag, and with 304 when If-None-Match still matches it.
+// - PUT  /                         replaces the whole document, but only if body.metadata.revision
+//                                  matches the stored revision. Stale writes get a 409 with the
+//                                  current server copy. Teacher accounts are left as they are.
+//                                  Documents that do not fit shared/schema.js get a 400 listing
+//                                  the failed paths ({error, errors: [{path, message}]}).
+// - POST /login                    {username, password} -> {token, expiresAt}
+// - POST /admin/login              admin account login, same shape
+// - PATCH /admin/credentials       {currentPassword, username, password} -> new admin session
+// - GET  /classes                  class list with student counts and star totals
+// - GET  /classes/:class/students  students of one class
+// - GET  /students/:id/events      star ledger of one student, newest first
+// - GET  /realtime                 {url, anonKey, channel, event} for live updates, 404 when
+//                                  SUPABASE_ANON_KEY is not set (see netlify/lib/realtime.js)
+// - POST /migrate                  one-shot split of the legacy `starboard_data` row into the
+//                                  normalized tables (see supabase/schema.sql)
+// - GET  /schools                  schools of this deployment besides the default one
+// - POST /schools                  {id, name, adminUsername, adminPassword} creates a school
+//                                  and its first admin account
+// Granular writes, each answering with { ...result, revision }:
+// - POST   /classes                            {name, description, owner, coTeachers}
+// - PATCH  /classes/:class                     {name, description, owner, coTeachers}
+// - DELETE /classes/:class                     {trashId}  moves the class to the trash
+// - POST   /classes/:class/students            {id, name, stars}
+// - POST   /classes/:class/students/:id/stars  {delta, reason, category}
+// - POST   /classes/:class/stars               {awards: [{studentId}], delta, reason, category}
+//                                              stars for several students, all or none
+// - PUT    /classes/:class/groups/:group       {studentIds}  saves a group of students
+// - DELETE /classes/:class/groups/:group
+// - PUT    /categories                         {categories: [{id, name, icon, points}]}  star categories
+// - DELETE /categories                         back to the default categories
+// - PUT    /terms                              {terms: [{id, name, start, end}]}  school terms (admin)
+// - POST   /terms/:id/rollover                 {archiveId}  makes it the current term and
+//                                              archives the old one's standings (admin)
+// - PUT    /teams                              {teams: [{id, name, color, crest}]}  teams / houses (admin)
+// - PUT    /achievements                       {achievements: [{id, name, icon, color, rule}]}
+//                                             achievements students earn (admin)
+// - DELETE /achievements                       back to the default medals (admin)
+// - PATCH  /students/:id                       {name, className, team}  rename / move / change team
+// - DELETE /students/:id                       {trashId}  moves the student to the trash
+// - POST   /trash/:id/restore                  puts a deleted class or student back
+// - DELETE /trash/:id                          deletes it for good (admin)
+// Teacher accounts:
+// - GET    /teachers                           account list (usernames and roles)
+// - POST   /teachers                           {username, password, role}
+// - PATCH  /teachers/:username                 {username, password, role}
+// - DELETE /teachers/:username
+// Everything except the GET routes and the logins needs `Authorization: Bearer <token>`;
+// /teachers, /migrate and /admin/credentials need an admin session. Teachers may only
+// change the classes they own or co-teach, viewers nothing (shared/access.js).
+// Every route works on one school, named by the X-StarBoard-School header, the
+// `school` query parameter or the subdomain (netlify/lib/schools.js); sessions
+// only work at their own school. /schools needs an admin of the default school.
 
 import { createClient } from '@supabase/supabase-js';
+import '../../shared/access.js';
+import {
+  forSchool,
+  listSchools,
+  schoolExists,
+  createSchool,
+  resolveMode,
+  loadDocument,
+  replaceDocument,
+  loadLegacyDocument,
+  replaceLegacyDocument,
+  listClasses,
+  listStudents,
+  listStudentEvents,
+  migrateLegacy,
+  applyOperation,
+  loadTeachers,
+  storeTeachers,
+  storeLegacyTeachers,
+  loadAdmins,
+  storeAdmins
+} from '../lib/supabase-store.js';
+import {
+  AuthError,
+  authRoute,
+  adminRoute,
+  schoolRoute,
+  requireSession,
+  requireAdmin,
+  upgradePasswords,
+  withoutCredentials
+} from '../lib/auth.js';
+import {
+  OperationError,
+  routeSegments,
+  operationFromRequest,
+  applyToDocument,
+  operationStatus
+} from '../lib/operations.js';
+import { DEFAULT_SCHOOL, SchoolError, schoolFromRequest } from '../lib/schools.js';
+import { realtimeConfig, broadcastRevision } from '../lib/realtime.js';
+import { documentResponse } from '../lib/conditional.js';
+import { parseDocument } from '../lib/validation.js';
 
 // Initialize Supabase client using environment variables
 const supabaseUrl = process.env.SUPABASE_URL;
 const supabaseKey = process.env.SUPABASE_SERVICE_KEY || process.env.SUPABASE_ANON_KEY;
 
+const FUNCTION_NAME = 'supabase-starboard';
+const { StarOperations, StarAccess } = globalThis;
+
 export async function handler(event) {
   try {
+    if (event.httpMethod === 'OPTIONS') {
+      // Handle CORS preflight
+      return json(200, {}, {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization, If-None-Match, X-StarBoard-School',
+        'Access-Control-Allow-Methods': 'GET, PUT, POST, PATCH, DELETE, OPTIONS'
+      });
+    }
+
     // Check if Supabase is configured
     if (!supabaseUrl || !supabaseKey) {
-      return json(500, { 
-        error: 'Supabase not configured. Please set SUPABASE_URL and SUPABASE_SERVICE_KEY environment variables.' 
+      return json(500, {
+        error: 'Supabase not configured. Please set SUPABASE_URL and SUPABASE_SERVICE_KEY environment variables.'
       });
     }
 
-    const supabase = createClient(supabaseUrl, supabaseKey);
-
-    if (event.httpMethod === 'GET') {
-      // Fetch data from Supabase
-      const { data, error } = await supabase
-        .from('starboard_data')
-        .select('*')
-        .eq('id', 'main')
-        .single();
-
-      if (error && error.code === 'PGRST116') {
-        // No data found, return default
-        const defaultData = createDefaultData();
-        // Try to insert default data
-        await supabase
-          .from('starboard_data')
-          .insert([{ id: 'main', data: defaultData }]);
-        return json(200, defaultData);
-      }
+    const school = schoolFromRequest(event);
+    const supabase = forSchool(createClient(supabaseUrl, supabaseKey), school);
+    const route = routeSegments(event.path, FUNCTION_NAME);
 
-      if (error) {
-        throw error;
-      }
+    if (school !== DEFAULT_SCHOOL && !(await schoolExists(supabase, school))) {
+      return json(404, { error: 'School not found' });
+    }
 
-      return json(200, data.data || createDefaultData());
+    if (route[0] === 'realtime' && route.length === 1 && event.httpMethod === 'GET') {
+      const config = realtimeConfig(school);
+      return config ? json(200, config) : json(404, { error: 'Realtime not configured' });
     }
 
-    if (event.httpMethod === 'PUT') {
-      const body = event.body || '{}';
-      const parsed = JSON.parse(body);
-      
-      // Validate data structure
-      if (!parsed || typeof parsed !== 'object' || !parsed.classes) {
-        return json(400, { error: 'Invalid data structure' });
-      }
+    const mode = await resolveMode(supabase, createDefaultData);
 
-      // Update or insert data in Supabase
-      const { error } = await supabase
-        .from('starboard_data')
-        .upsert([{ 
-          id: 'main', 
-          data: parsed,
-          updated_at: new Date().toISOString()
-        }]);
-
-      if (error) {
-        throw error;
-      }
+    if (route.length === 0) {
+      return handleDocument(event, supabase, mode);
+    }
 
-      return json(200, { success: true });
+    if (route[0] === 'migrate') {
+      if (event.httpMethod !== 'POST') {
+        return json(405, { error: 'Method not allowed' }, { Allow: 'POST, OPTIONS' });
+      }
+      requireAdmin(event);
+      return json(200, await migrateLegacy(supabase));
     }
 
-    if (event.httpMethod === 'OPTIONS') {
-      // Handle CORS preflight
-      return json(200, {}, {
-        'Access-Control-Allow-Origin': '*',
-        'Access-Control-Allow-Headers': 'Content-Type',
-        'Access-Control-Allow-Methods': 'GET, PUT, OPTIONS'
+    const auth = await authRoute(event, route, teacherAccounts(supabase, mode))
+      || await adminRoute(event, route, {
+        load: () => loadAdmins(supabase),
+        save: (admins) => storeAdmins(supabase, admins)
+      })
+      || await schoolRoute(event, route, {
+        list: () => listSchools(supabase),
+        create: (entry, admins) => createSchool(supabase, entry, admins)
       });
+    if (auth) return json(auth.status, auth.body);
+
+    const op = operationFromRequest(event, route);
+    if (op) {
+      const session = requireSession(event);
+      const result = mode === 'legacy'
+        ? await applyToDocument(op, session, {
+          load: () => loadLegacyDocument(supabase, createDefaultData),
+          save: (doc, baseRevision) => replaceLegacyDocument(supabase, doc, baseRevision)
+        })
+        : await applyOperation(supabase, op, session);
+      await broadcastRevision(result.revision, school);
+      return json(operationStatus(op), result);
+    }
+
+    if (event.httpMethod !== 'GET') {
+      return json(405, { error: 'Method not allowed' }, { Allow: 'GET, OPTIONS' });
+    }
+
+    if (mode === 'legacy') {
+      return json(409, { error: 'Data has not been migrated yet. POST /migrate first.' });
+    }
+
+    // GET /classes
+    if (route[0] === 'classes' && route.length === 1) {
+      return json(200, await listClasses(supabase));
+    }
+
+    // GET /classes/:class/students
+    if (route[0] === 'classes' && route[2] === 'students' && route.length === 3) {
+      const students = await listStudents(supabase, route[1]);
+      return students ? json(200, students) : json(404, { error: 'Class not found' });
     }
 
-    return json(405, { error: 'Method not allowed' }, { Allow: 'GET, PUT, OPTIONS' });
+    // GET /students/:id/events
+    if (route[0] === 'students' && route[2] === 'events' && route.length === 3) {
+      const events = await listStudentEvents(supabase, route[1]);
+      return events ? json(200, events) : json(404, { error: 'Student not found' });
+    }
+
+    return json(404, { error: 'Not found' });
   } catch (err) {
+    if (err instanceof OperationError || err instanceof AuthError || err instanceof SchoolError) {
+      return json(err.status, { error: err.message });
+    }
     console.error('Supabase error:', err);
     return json(500, { error: err.message });
   }
 }
 
+async function handleDocument(event, supabase, mode) {
+  if (event.httpMethod === 'GET') {
+    const data = mode === 'legacy'
+      ? await loadLegacyDocument(supabase, createDefaultData)
+      : await loadDocument(supabase);
+    StarOperations.dropExpiredTrash(data);
+
+    // Hash passwords stored before hashing was introduced
+    if (await upgradePasswords(data.teachers)) {
+      await teacherAccounts(supabase, mode).save(data.teachers);
+    }
+    return documentResponse(event, withoutCredentials(data), {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Expose-Headers': 'ETag'
+    });
+  }
+
+  if (event.httpMethod === 'PUT') {
+    const session = requireSession(event);
+    StarAccess.requireWriter(session);
+    const { doc: parsed, error } = parseDocument(event.body);
+    if (error) return json(400, error);
+    // Expired trash entries are not written back, whatever the copy holds
+    StarOperations.dropExpiredTrash(parsed);
+
+    const current = mode === 'legacy'
+      ? await loadLegacyDocument(supabase, createDefaultData)
+      : await loadDocument(supabase);
+
+    // Accounts are only changed through /teachers
+    if (mode === 'legacy') {
+      parsed.teachers = current.teachers || {};
+    }
+
+    // Reject writes based on an older copy than the one stored. The write
+    // below only succeeds while the revision is still the one checked here.
+    const baseRevision = Number(parsed.metadata?.revision) || 0;
+    if (baseRevision !== (Number(current.metadata?.revision) || 0)) {
+      return json(409, { error: 'Data was changed by someone else', current: withoutCredentials(current) });
+    }
+    StarAccess.checkDocument(current, parsed, session);
+
+    const result = mode === 'legacy'
+      ? await replaceLegacyDocument(supabase, parsed, baseRevision)
+      : await replaceDocument(supabase, parsed, baseRevision);
+
+    if (result.conflict) {
+      return json(409, { error: 'Data was changed by someone else', current: withoutCredentials(result.conflict) });
+    }
+
+    await broadcastRevision(result.revision, supabase.school);
+    return json(200, { success: true, revision: result.revision });
+  }
+
+  return json(405, { error: 'Method not allowed' }, { Allow: 'GET, PUT, OPTIONS' });
+}
+
+// Where the username -> account map lives in each storage mode
+function teacherAccounts(supabase, mode) {
+  if (mode === 'legacy') {
+    return {
+      load: async () => (await loadLegacyDocument(supabase, createDefaultData)).teachers || {},
+      save: (teachers, renamed) => storeLegacyTeachers(supabase, teachers, renamed)
+    };
+  }
+  return {
+    load: () => loadTeachers(supabase),
+    save: (teachers, renamed) => storeTeachers(supabase, teachers, renamed)
+  };
+}
+
 function json(statusCode, body, headers = {}) {
   return {
     statusCode,
-    headers: { 
+    headers: {
       'Content-Type': 'application/json',
       'Access-Control-Allow-Origin': '*',
-      ...headers 
+      ...headers
     },
     body: JSON.stringify(body)
   };
@@ -100,8 +300,9 @@ function createDefaultData() {
   const now = new Date().toISOString();
   return {
     classes: {},
-    teachers: { teacher: 'starboard' },
+    // No built-in login: an admin creates the teacher accounts
+    teachers: {},
     settings: { theme: 'dark', soundEnabled: true, autoBackup: true },
-    metadata: { version: '2.0', created: now, lastModified: now, backupCount: 0 }
+    metadata: { version: '2.0', created: now, lastModified: now, backupCount: 0, revision: 0 }
   };
-}
\ No newline at end of file
+}
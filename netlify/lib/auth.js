@@ -0,0 +1,377 @@
+// Teacher and admin authentication for the Netlify functions
+// Passwords are stored as salted scrypt hashes ("scrypt$<salt>$<hash>").
+// A successful login returns a session token signed with
+// STARBOARD_SESSION_SECRET; write routes require it as a Bearer token.
+// Teacher-portal accounts are teachers or viewers; the role travels in the
+// token and is checked against class assignments by shared/access.js.
+// Admin accounts are kept apart from teacher accounts. While none exist, the
+// first admin logs in with STARBOARD_ADMIN_USERNAME / STARBOARD_ADMIN_PASSWORD,
+// which creates the account.
+// Sessions belong to one school (netlify/lib/schools.js) and are refused on
+// requests for another.
+
+import { scrypt, randomBytes, timingSafeEqual, createHmac } from 'node:crypto';
+import { DEFAULT_SCHOOL, cleanSchoolId, schoolFromRequest } from './schools.js';
+
+const HASH_SCHEME = 'scrypt';
+const KEY_LENGTH = 32;
+// Session lifetime per role
+const SESSION_HOURS = { teacher: 12, viewer: 12, admin: 4 };
+// Roles a teacher-portal account can have (admins have their own accounts)
+const ACCOUNT_ROLES = ['teacher', 'viewer'];
+
+// Thrown for requests without a valid session or with wrong credentials
+export class AuthError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Password hashing
+// ---------------------------------------------------------------------------
+
+function deriveKey(password, salt) {
+  return new Promise((resolve, reject) => {
+    scrypt(String(password), salt, KEY_LENGTH, (err, key) => (err ? reject(err) : resolve(key)));
+  });
+}
+
+export function isHashed(stored) {
+  return typeof stored === 'string' && stored.startsWith(HASH_SCHEME + '$');
+}
+
+export async function hashPassword(password) {
+  const salt = randomBytes(16);
+  const key = await deriveKey(password, salt);
+  return [HASH_SCHEME, salt.toString('base64'), key.toString('base64')].join('$');
+}
+
+// Compare a password with a stored hash. Entries written before hashing was
+// introduced are still plaintext; they are compared in constant time too and
+// replaced by upgradePasswords.
+export async function verifyPassword(password, stored) {
+  if (typeof stored !== 'string' || typeof password !== 'string') return false;
+
+  if (!isHashed(stored)) {
+    const a = Buffer.from(password);
+    const b = Buffer.from(stored);
+    return a.length === b.length && timingSafeEqual(a, b);
+  }
+
+  const [, salt, hash] = stored.split('$');
+  const expected = Buffer.from(hash, 'base64');
+  const actual = await deriveKey(password, Buffer.from(salt, 'base64'));
+  return actual.length === expected.length && timingSafeEqual(actual, expected);
+}
+
+// Teacher accounts are stored as { password, role }; older entries are a
+// bare password (or hash) string and belong to a teacher
+export function accountEntry(stored) {
+  if (stored && typeof stored === 'object') {
+    return { password: stored.password, role: ACCOUNT_ROLES.includes(stored.role) ? stored.role : 'teacher' };
+  }
+  return { password: stored, role: 'teacher' };
+}
+
+// Hash every plaintext password in a username -> account map in place.
+// Returns true when something was changed and needs to be stored.
+export async function upgradePasswords(accounts) {
+  let changed = false;
+  for (const [username, stored] of Object.entries(accounts || {})) {
+    const { password } = accountEntry(stored);
+    if (typeof password === 'string' && !isHashed(password)) {
+      const hash = await hashPassword(password);
+      accounts[username] = typeof stored === 'object' ? { ...stored, password: hash } : hash;
+      changed = true;
+    }
+  }
+  return changed;
+}
+
+// ---------------------------------------------------------------------------
+// Session tokens
+// ---------------------------------------------------------------------------
+
+function sessionSecret() {
+  const secret = process.env.STARBOARD_SESSION_SECRET;
+  if (!secret) {
+    throw new AuthError(500, 'Sessions not configured. Please set the STARBOARD_SESSION_SECRET environment variable.');
+  }
+  return secret;
+}
+
+function sign(payload) {
+  return createHmac('sha256', sessionSecret()).update(payload).digest('base64url');
+}
+
+export function issueToken(username, role = 'teacher', school = DEFAULT_SCHOOL) {
+  const expiresAt = Date.now() + SESSION_HOURS[role] * 60 * 60 * 1000;
+  const payload = Buffer.from(JSON.stringify({ sub: username, role, school, exp: expiresAt })).toString('base64url');
+  return { token: `${payload}.${sign(payload)}`, username, role, school, expiresAt: new Date(expiresAt).toISOString() };
+}
+
+// Session carried by the token, or null when it is missing, forged or expired
+export function verifyToken(token) {
+  if (typeof token !== 'string' || !token.includes('.')) return null;
+
+  const [payload, signature] = token.split('.');
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature || '');
+  if (actual.length !== expected.length || !timingSafeEqual(actual, expected)) return null;
+
+  try {
+    const session = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    if (!(session.exp > Date.now())) return null;
+    return {
+      username: session.sub,
+      role: session.role || 'teacher',
+      // Tokens from before schools belong to the default one
+      school: session.school || DEFAULT_SCHOOL,
+      expiresAt: session.exp
+    };
+  } catch (e) {
+    return null;
+  }
+}
+
+// Session of the request's Bearer token; throws a 401 AuthError without one
+// or with a session for another school
+export function requireSession(event) {
+  const header = event.headers?.authorization || event.headers?.Authorization || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  const session = match ? verifyToken(match[1]) : null;
+  if (!session || session.school !== schoolFromRequest(event)) throw new AuthError(401, 'Sign in required');
+  return session;
+}
+
+// Like requireSession, but only for admin sessions (403 for teachers)
+export function requireAdmin(event) {
+  const session = requireSession(event);
+  if (session.role !== 'admin') throw new AuthError(403, 'Admin access required');
+  return session;
+}
+
+// ---------------------------------------------------------------------------
+// Login and account management on a whole document
+// ---------------------------------------------------------------------------
+
+// Credentials never leave the server
+export function withoutCredentials(doc) {
+  return doc ? { ...doc, teachers: {} } : doc;
+}
+
+// Session at `school` for a username and password; the role comes from the
+// account unless given (admin logins)
+export async function login(accounts, username, password, school, role) {
+  const stored = typeof username === 'string' ? accounts?.[username] : undefined;
+  const entry = accountEntry(stored);
+  if (!(await verifyPassword(password, entry.password))) {
+    throw new AuthError(401, 'Invalid credentials');
+  }
+  return issueToken(username, role || entry.role, school);
+}
+
+// Apply an account request (see accountRequest) to a username -> account map
+// in place; resolves to the response body
+export async function applyAccountChange(teachers, { method, username, body }) {
+  if (method === 'GET') {
+    return Object.keys(teachers).sort().map(name => ({ username: name, role: accountEntry(teachers[name]).role }));
+  }
+
+  if (method === 'POST') {
+    const name = cleanUsername(body.username);
+    if (teachers[name]) throw new AuthError(409, 'Username already exists');
+    const role = cleanRole(body.role) || 'teacher';
+    teachers[name] = { password: await hashPassword(requirePassword(body.password)), role };
+    return { username: name, role };
+  }
+
+  if (!teachers[username]) throw new AuthError(404, 'Teacher not found');
+
+  if (method === 'PATCH') {
+    const name = body.username === undefined ? username : cleanUsername(body.username);
+    if (name !== username && teachers[name]) throw new AuthError(409, 'Username already exists');
+
+    const current = accountEntry(teachers[username]);
+    const password = body.password ? await hashPassword(requirePassword(body.password)) : current.password;
+    const role = cleanRole(body.role) || current.role;
+    delete teachers[username];
+    teachers[name] = { password, role };
+    return { username: name, role };
+  }
+
+  delete teachers[username];
+  return { username };
+}
+
+// The JSON object sent with a request; {} when there is no body
+export function parseBody(event) {
+  if (!event.body) return {};
+  let body;
+  try {
+    body = JSON.parse(event.body);
+  } catch (e) {
+    throw new AuthError(400, 'Request body must be JSON');
+  }
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw new AuthError(400, 'Request body must be a JSON object');
+  }
+  return body;
+}
+
+// Account route addressed by a request: GET/POST /teachers or
+// PATCH/DELETE /teachers/:username. Null for other routes.
+export function accountRequest(event, route) {
+  if (route[0] !== 'teachers') return null;
+
+  const method = event.httpMethod;
+  const allowed = route.length === 1 ? ['GET', 'POST'] : route.length === 2 ? ['PATCH', 'DELETE'] : [];
+  if (!allowed.includes(method)) return null;
+
+  return { method, username: route[1], body: parseBody(event) };
+}
+
+function cleanUsername(value) {
+  const name = typeof value === 'string' ? value.trim() : '';
+  if (!name) throw new AuthError(400, 'Username is required');
+  return name;
+}
+
+function cleanRole(value) {
+  if (value === undefined) return undefined;
+  if (!ACCOUNT_ROLES.includes(value)) {
+    throw new AuthError(400, `Role must be one of: ${ACCOUNT_ROLES.join(', ')}`);
+  }
+  return value;
+}
+
+function requirePassword(value) {
+  if (typeof value !== 'string' || value.length < 6) {
+    throw new AuthError(400, 'Password must be at least 6 characters');
+  }
+  return value;
+}
+
+// Handle POST /login and the /teachers account routes. `accounts` loads and
+// stores the username -> account map for the function's storage; `save`
+// also receives { from, to } when an account was renamed (or deleted, with
+// `to` null) so class assignments can follow, and { upgrade: true } when
+// only password hashes were upgraded at login. Resolves to { status, body },
+// or null when the request is for another route.
+export async function authRoute(event, route, accounts) {
+  if (route[0] === 'login' && route.length === 1) {
+    if (event.httpMethod !== 'POST') return { status: 405, body: { error: 'Method not allowed' } };
+
+    const { username, password } = parseBody(event);
+    const teachers = await accounts.load();
+    const session = await login(teachers, username, password, schoolFromRequest(event));
+    if (await upgradePasswords(teachers)) await accounts.save(teachers, null, { upgrade: true });
+    return { status: 200, body: session };
+  }
+
+  const request = accountRequest(event, route);
+  if (!request) return null;
+
+  requireAdmin(event);
+  const teachers = await accounts.load();
+  const body = await applyAccountChange(teachers, request);
+  if (request.method !== 'GET') {
+    const to = request.method === 'DELETE' ? null : body.username;
+    const renamed = request.username && to !== request.username ? { from: request.username, to } : null;
+    await accounts.save(teachers, renamed);
+  }
+  return { status: request.method === 'POST' ? 201 : 200, body };
+}
+
+// Create the first admin account of the default school from the environment,
+// when there is none. Other schools get theirs when they are created.
+async function bootstrapAdmin(admins, username, password) {
+  const bootUsername = process.env.STARBOARD_ADMIN_USERNAME || 'admin';
+  const bootPassword = process.env.STARBOARD_ADMIN_PASSWORD;
+  if (Object.keys(admins).length > 0 || !bootPassword) return false;
+  if (username !== bootUsername || password !== bootPassword) return false;
+
+  admins[bootUsername] = await hashPassword(bootPassword);
+  return true;
+}
+
+// Handle the admin routes. `admins` loads and stores the admin
+// username -> hash map. Resolves to { status, body }, or null for other routes.
+// - POST  /admin/login        {username, password} -> {token, expiresAt}
+// - PATCH /admin/credentials  {currentPassword, username, password} -> new session
+export async function adminRoute(event, route, admins) {
+  if (route[0] !== 'admin' || route.length !== 2) return null;
+
+  const body = parseBody(event);
+
+  if (route[1] === 'login' && event.httpMethod === 'POST') {
+    const school = schoolFromRequest(event);
+    const accounts = await admins.load();
+    if (school === DEFAULT_SCHOOL && await bootstrapAdmin(accounts, body.username, body.password)) {
+      await admins.save(accounts);
+    }
+    return { status: 200, body: await login(accounts, body.username, body.password, school, 'admin') };
+  }
+
+  if (route[1] === 'credentials' && event.httpMethod === 'PATCH') {
+    const session = requireAdmin(event);
+    const accounts = await admins.load();
+    if (!(await verifyPassword(body.currentPassword, accounts[session.username]))) {
+      throw new AuthError(403, 'Current password is incorrect');
+    }
+
+    const name = body.username === undefined ? session.username : cleanUsername(body.username);
+    if (name !== session.username && accounts[name]) throw new AuthError(409, 'Username already exists');
+
+    const stored = body.password ? await hashPassword(requirePassword(body.password)) : accounts[session.username];
+    delete accounts[session.username];
+    accounts[name] = stored;
+    await admins.save(accounts);
+
+    // The old token names the old username, so hand out a fresh one
+    return { status: 200, body: issueToken(name, 'admin', session.school) };
+  }
+
+  return { status: 405, body: { error: 'Method not allowed' } };
+}
+
+// Handle the school routes, open to admins of the default school only.
+// `schools` lists the registered schools ([{ id, name, created }]) and
+// creates one with its first admin accounts (username -> hash). Resolves to
+// { status, body }, or null for other routes.
+// - GET  /schools  school list
+// - POST /schools  {id, name, adminUsername, adminPassword} -> {id, name, created, admin}
+export async function schoolRoute(event, route, schools) {
+  if (route[0] !== 'schools' || route.length !== 1) return null;
+
+  const session = requireAdmin(event);
+  if (session.school !== DEFAULT_SCHOOL) {
+    throw new AuthError(403, 'Only admins of the main school can manage schools');
+  }
+
+  if (event.httpMethod === 'GET') {
+    return { status: 200, body: await schools.list() };
+  }
+
+  if (event.httpMethod === 'POST') {
+    const body = parseBody(event);
+    const id = cleanSchoolId(body.id);
+    const name = typeof body.name === 'string' && body.name.trim() ? body.name.trim() : id;
+    const admin = cleanUsername(body.adminUsername);
+    const password = await hashPassword(requirePassword(body.adminPassword));
+
+    const existing = await schools.list();
+    if (id === DEFAULT_SCHOOL || existing.some(school => school.id === id)) {
+      throw new AuthError(409, 'School already exists');
+    }
+
+    const school = { id, name, created: new Date().toISOString() };
+    await schools.create(school, { [admin]: password });
+    return { status: 201, body: { ...school, admin } };
+  }
+
+  return { status: 405, body: { error: 'Method not allowed' } };
+}
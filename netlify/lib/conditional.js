@@ -0,0 +1,31 @@
+// Conditional GET for the storage functions
+// Document responses carry an ETag (a hash of the body). Clients send it back
+// in If-None-Match and get an empty 304 while nothing has changed, so refresh
+// loops do not download the whole document every time.
+
+import { createHash } from 'node:crypto';
+
+export function etagFor(body) {
+  return `"${createHash('sha1').update(body).digest('base64url')}"`;
+}
+
+// True when an If-None-Match header names `etag`. Proxies may weaken tags
+// (W/"...") when they compress the response, which still counts as a match.
+export function matchesEtag(headers, etag) {
+  const header = headers?.['if-none-match'] || headers?.['If-None-Match'];
+  if (!header) return false;
+  if (header.trim() === '*') return true;
+  return header.split(',').some(tag => tag.trim().replace(/^W\//, '') === etag);
+}
+
+// JSON response for a document, or a 304 when the client already has it
+export function documentResponse(event, value, headers = {}) {
+  const body = JSON.stringify(value);
+  const etag = etagFor(body);
+  const common = { ...headers, ETag: etag, 'Cache-Control': 'no-cache' };
+
+  if (matchesEtag(event.headers, etag)) {
+    return { statusCode: 304, headers: common, body: '' };
+  }
+  return { statusCode: 200, headers: { 'Content-Type': 'application/json', ...common }, body };
+}
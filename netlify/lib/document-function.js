@@ -0,0 +1,257 @@
+// StarBoard storage on a single JSON document
+// The request handling of the Netlify Blobs function, written against a
+// Blobs-like store ({ get(key, { type: 'json' }), setJSON(key, value) }) so
+// the self-hosted server (server/index.js) can run it on plain files.
+// See netlify/functions/starboard.js for the routes.
+// The default school keeps the original keys (data.json, admins.json); other
+// schools keep theirs under schools/<id>/, and schools.json lists them.
+
+import '../../shared/access.js';
+import {
+  AuthError,
+  authRoute,
+  adminRoute,
+  schoolRoute,
+  requireSession,
+  upgradePasswords,
+  withoutCredentials
+} from './auth.js';
+import { DEFAULT_SCHOOL, SchoolError, schoolFromRequest } from './schools.js';
+import {
+  OperationError,
+  routeSegments,
+  operationFromRequest,
+  applyToDocument,
+  operationStatus
+} from './operations.js';
+import { documentResponse } from './conditional.js';
+import { parseDocument } from './validation.js';
+
+const { StarLedger, StarOperations, StarAccess } = globalThis;
+
+const SCHOOLS_KEY = 'schools.json';
+
+// Store key of one of a school's files
+function schoolKey(school, name) {
+  return school === DEFAULT_SCHOOL ? name : `schools/${school}/${name}`;
+}
+
+// Answer one request; `functionName` is the last path segment before the routes
+export async function handleDocumentRequest(event, store, functionName) {
+  try {
+    const route = routeSegments(event.path, functionName);
+    const school = schoolFromRequest(event);
+    const schools = (await store.get(SCHOOLS_KEY, { type: 'json' })) || {};
+    if (school !== DEFAULT_SCHOOL && !schools[school]) {
+      return json(404, { error: 'School not found' });
+    }
+
+    const dataKey = schoolKey(school, 'data.json');
+    const adminsKey = schoolKey(school, 'admins.json');
+
+    if (route.length > 0) {
+      // Accounts as loaded, to tell this request's changes from other writes
+      // made while passwords were being hashed
+      let loaded = {};
+      const auth = await authRoute(event, route, {
+        load: async () => {
+          const teachers = ((await store.get(dataKey, { type: 'json' })) || createDefaultData()).teachers || {};
+          loaded = structuredClone(teachers);
+          return teachers;
+        },
+        save: async (teachers, renamed, { upgrade = false } = {}) => {
+          const current = (await store.get(dataKey, { type: 'json' })) || createDefaultData();
+          const merged = mergeAccounts(current.teachers || {}, loaded, teachers);
+          if (!merged) {
+            // Password upgrades are made again at the next login
+            if (upgrade) return;
+            throw new AuthError(409, 'The account was changed by someone else, please try again');
+          }
+          // Class assignments follow renamed accounts, which is a data change
+          if (renamed && StarAccess.renameMember(current, renamed.from, renamed.to)) {
+            const revision = (Number(current.metadata?.revision) || 0) + 1;
+            current.metadata = { ...current.metadata, revision };
+          }
+          await store.setJSON(dataKey, { ...current, teachers: merged });
+        }
+      });
+      if (auth) return json(auth.status, auth.body);
+
+      // Admin accounts are stored next to the data, never inside it
+      const admin = await adminRoute(event, route, {
+        load: async () => (await store.get(adminsKey, { type: 'json' })) || {},
+        save: (admins) => store.setJSON(adminsKey, admins)
+      });
+      if (admin) return json(admin.status, admin.body);
+
+      const registry = await schoolRoute(event, route, {
+        list: async () => Object.entries(schools).map(([id, entry]) => ({ id, ...entry })),
+        create: async ({ id, ...entry }, admins) => {
+          await store.setJSON(schoolKey(id, 'admins.json'), admins);
+          await store.setJSON(SCHOOLS_KEY, { ...schools, [id]: entry });
+        }
+      });
+      if (registry) return json(registry.status, registry.body);
+
+      const op = operationFromRequest(event, route);
+      if (op) {
+        const session = requireSession(event);
+        const result = await applyToDocument(op, session, {
+          load: async () => (await store.get(dataKey, { type: 'json' })) || createDefaultData(),
+          save: async (doc, baseRevision) => {
+            const current = await store.get(dataKey, { type: 'json' });
+            const currentRevision = Number(current?.metadata?.revision) || 0;
+            if (current && baseRevision !== currentRevision) return { conflict: true };
+
+            const revision = currentRevision + 1;
+            await store.setJSON(dataKey, { ...doc, metadata: { ...doc.metadata, revision } });
+            return { revision };
+          }
+        });
+        return json(operationStatus(op), result);
+      }
+
+      if (event.httpMethod === 'GET') {
+        const doc = (await store.get(dataKey, { type: 'json' })) || createDefaultData();
+        StarLedger.normalizeDocument(doc);
+        const view = readRoute(doc, route);
+        if (view !== undefined) {
+          return view === null ? json(404, { error: notFoundMessage(route) }) : json(200, view);
+        }
+      }
+
+      return json(404, { error: 'Not found' });
+    }
+
+    if (event.httpMethod === 'GET') {
+      const value = await store.get(dataKey, { type: 'json' });
+      // Hash passwords stored before hashing was introduced, keeping any
+      // change written while they were hashed
+      const teachers = structuredClone(value?.teachers || {});
+      if (await upgradePasswords(teachers)) {
+        const current = await store.get(dataKey, { type: 'json' });
+        const merged = current && mergeAccounts(current.teachers || {}, value.teachers, teachers);
+        if (merged) await store.setJSON(dataKey, { ...current, teachers: merged });
+      }
+      const data = value || createDefaultData();
+      StarOperations.dropExpiredTrash(data);
+      return documentResponse(event, withoutCredentials(data));
+    }
+
+    if (event.httpMethod === 'PUT') {
+      const session = requireSession(event);
+      StarAccess.requireWriter(session);
+      const { doc: parsed, error } = parseDocument(event.body);
+      if (error) return json(400, error);
+      // Expired trash entries are not written back, whatever the copy holds
+      StarOperations.dropExpiredTrash(parsed);
+      // Reject writes based on an older copy than the one stored
+      const current = await store.get(dataKey, { type: 'json' });
+      const currentRevision = Number(current?.metadata?.revision) || 0;
+      const baseRevision = Number(parsed.metadata?.revision) || 0;
+      if (current && baseRevision !== currentRevision) {
+        return json(409, { error: 'Data was changed by someone else', current: withoutCredentials(current) });
+      }
+
+      StarAccess.checkDocument(current || createDefaultData(), parsed, session);
+
+      // Accounts are only changed through /teachers
+      const teachers = (current || createDefaultData()).teachers;
+      const revision = currentRevision + 1;
+      await store.setJSON(dataKey, { ...parsed, teachers, metadata: { ...parsed.metadata, revision } });
+      return json(200, { ok: true, revision });
+    }
+
+    return json(405, { error: 'Method not allowed' }, { Allow: 'GET, PUT' });
+  } catch (err) {
+    if (err instanceof OperationError || err instanceof AuthError || err instanceof SchoolError) {
+      return json(err.status, { error: err.message });
+    }
+    return json(500, { error: err.message });
+  }
+}
+
+// The read routes of the Supabase function, answered from the document.
+// Resolves to the response body, null when the class or student does not
+// exist, or undefined for other routes.
+function readRoute(doc, route) {
+  const classes = doc.classes || {};
+
+  // GET /classes
+  if (route[0] === 'classes' && route.length === 1) {
+    return Object.keys(classes).sort().map(name => {
+      const { students = {}, owner, coTeachers, description, created } = classes[name];
+      const members = Object.values(students);
+      return {
+        name,
+        description,
+        owner,
+        coTeachers: coTeachers || [],
+        created,
+        studentCount: members.length,
+        totalStars: members.reduce((sum, student) => sum + (Number(student.stars) || 0), 0)
+      };
+    });
+  }
+
+  // GET /classes/:class/students
+  if (route[0] === 'classes' && route[2] === 'students' && route.length === 3) {
+    const classData = classes[route[1]];
+    if (!classData) return null;
+    return Object.keys(classData.students || {}).sort().map(id => {
+      const { ledger, ...student } = classData.students[id];
+      return { ...student, id };
+    });
+  }
+
+  // GET /students/:id/events
+  if (route[0] === 'students' && route[2] === 'events' && route.length === 3) {
+    for (const classData of Object.values(classes)) {
+      const student = classData.students?.[route[1]];
+      if (student) {
+        return [...(student.ledger || [])].sort((a, b) => String(b.timestamp).localeCompare(String(a.timestamp)));
+      }
+    }
+    return null;
+  }
+
+  return undefined;
+}
+
+function notFoundMessage(route) {
+  return route[0] === 'classes' ? 'Class not found' : 'Student not found';
+}
+
+// `stored` with the accounts that differ between `loaded` and `teachers`
+// replaced; null when someone else changed one of those accounts since
+// `loaded` was read
+function mergeAccounts(stored, loaded, teachers) {
+  const merged = { ...stored };
+  const usernames = new Set([...Object.keys(loaded), ...Object.keys(teachers)]);
+  for (const username of usernames) {
+    if (JSON.stringify(loaded[username]) === JSON.stringify(teachers[username])) continue;
+    if (JSON.stringify(stored[username]) !== JSON.stringify(loaded[username])) return null;
+    if (teachers[username] === undefined) delete merged[username];
+    else merged[username] = teachers[username];
+  }
+  return merged;
+}
+
+function json(statusCode, body, headers = {}) {
+  return {
+    statusCode,
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body)
+  };
+}
+
+export function createDefaultData() {
+  const now = new Date().toISOString();
+  return {
+    classes: {},
+    // No built-in login: an admin creates the teacher accounts
+    teachers: {},
+    settings: { theme: 'dark', soundEnabled: true, autoBackup: true },
+    metadata: { version: '2.0', created: now, lastModified: now, backupCount: 0, revision: 0 }
+  };
+}
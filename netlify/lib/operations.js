@@ -0,0 +1,70 @@
+// Server side of the granular write routes shared by both Netlify functions.
+// Operations themselves are defined in shared/operations.js so the pages and
+// the functions agree on what each change does.
+
+import '../../shared/ledger.js';
+import '../../shared/schema.js';
+import '../../shared/achievements.js';
+import '../../shared/operations.js';
+import '../../shared/access.js';
+
+const { StarLedger, StarOperations, StarAccess } = globalThis;
+
+const MAX_ATTEMPTS = 3;
+
+export const { OperationError } = StarOperations;
+
+// Path segments after the function name, e.g. ['classes', '4B', 'students']
+export function routeSegments(path = '', functionName) {
+  const segments = path.split('/').filter(Boolean);
+  const start = segments.indexOf(functionName);
+  return segments.slice(start + 1).map(segment => {
+    try {
+      return decodeURIComponent(segment);
+    } catch (e) {
+      throw new OperationError(400, 'Request path is not valid');
+    }
+  });
+}
+
+// Operation addressed by a write request, or null for other routes (such
+// as a whole-document PUT /)
+export function operationFromRequest(event, route) {
+  if (route.length === 0 || !['POST', 'PUT', 'PATCH', 'DELETE'].includes(event.httpMethod)) return null;
+  let body = {};
+  try {
+    if (event.body) body = JSON.parse(event.body);
+  } catch (e) {
+    throw new OperationError(400, 'Request body must be JSON');
+  }
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw new OperationError(400, 'Request body must be a JSON object');
+  }
+  return StarOperations.fromRequest(event.httpMethod, route, body);
+}
+
+// Apply an operation to a whole stored document by reading, changing and
+// writing it back on behalf of `user` (a session). Expired trash entries are
+// dropped on the way. `save(doc, baseRevision)` resolves to { revision } or
+// { conflict }; on conflict the operation is re-applied to the fresh copy.
+export async function applyToDocument(op, user, { load, save }) {
+  for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+    const doc = await load();
+    StarLedger.normalizeDocument(doc);
+    StarOperations.dropExpiredTrash(doc);
+
+    const baseRevision = Number(doc.metadata?.revision) || 0;
+    StarAccess.authorize(doc, StarOperations.validate(op), user);
+    const result = StarOperations.apply(doc, op, user.username);
+    doc.metadata = { ...doc.metadata, lastModified: new Date().toISOString() };
+
+    const saved = await save(doc, baseRevision);
+    if (!saved.conflict) return { ...result, revision: saved.revision };
+  }
+  throw new OperationError(503, 'The data is busy, please try again');
+}
+
+// 201 for operations that create something, 200 otherwise
+export function operationStatus(op) {
+  return op.type === 'createClass' || op.type === 'addStudent' ? 201 : 200;
+}
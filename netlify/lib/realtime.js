@@ -0,0 +1,44 @@
+// Live updates over Supabase Realtime
+// After every write the function broadcasts the new revision on a public
+// Realtime channel. Pages subscribe with the project's anon key (handed out
+// by GET /realtime) and reload when the revision moves past theirs; without
+// realtime they poll instead (see shared/live.js).
+// Messages carry only the revision number, never data. Each school has its
+// own channel, so pages only hear about their own school's writes.
+
+import { DEFAULT_SCHOOL } from './schools.js';
+
+const CHANNEL = 'starboard';
+const EVENT = 'revision';
+
+function channelFor(school) {
+  return school === DEFAULT_SCHOOL ? CHANNEL : `${CHANNEL}:${school}`;
+}
+
+// Settings for the browser client, or null when realtime is not configured.
+// Needs SUPABASE_ANON_KEY for the browsers and SUPABASE_SERVICE_KEY for the
+// functions, so the anon key is never what protects the tables.
+export function realtimeConfig(school = DEFAULT_SCHOOL) {
+  const { SUPABASE_URL, SUPABASE_ANON_KEY, SUPABASE_SERVICE_KEY } = process.env;
+  if (!SUPABASE_URL || !SUPABASE_ANON_KEY || !SUPABASE_SERVICE_KEY) return null;
+  return { url: SUPABASE_URL, anonKey: SUPABASE_ANON_KEY, channel: channelFor(school), event: EVENT };
+}
+
+// Tell subscribed pages about a new revision. A failed broadcast never fails
+// the write; pages still catch up on their next poll.
+export async function broadcastRevision(revision, school = DEFAULT_SCHOOL) {
+  const config = realtimeConfig(school);
+  if (!config || revision === undefined) return;
+
+  const key = process.env.SUPABASE_SERVICE_KEY;
+  try {
+    const res = await fetch(`${config.url}/realtime/v1/api/broadcast`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', apikey: key, Authorization: `Bearer ${key}` },
+      body: JSON.stringify({ messages: [{ topic: config.channel, event: EVENT, payload: { revision } }] })
+    });
+    if (!res.ok) console.warn('Realtime broadcast failed:', res.status);
+  } catch (err) {
+    console.warn('Realtime broadcast failed:', err.message);
+  }
+}
@@ -0,0 +1,54 @@
+// Schools (tenants) for the storage functions
+// One deployment can hold several schools, each with its own classes,
+// teachers, admins and revision. A request names its school in the
+// X-StarBoard-School header or the `school` query parameter; with
+// STARBOARD_SCHOOL_DOMAIN set (e.g. starboard.district.org), a subdomain such
+// as north.starboard.district.org names it too. Requests naming none belong
+// to the default school, which is where single-school installs keep their
+// data. Admins of the default school create the others (see schoolRoute in
+// netlify/lib/auth.js).
+
+export const DEFAULT_SCHOOL = 'main';
+
+const SCHOOL_HEADER = 'x-starboard-school';
+const SCHOOL_ID = /^[a-z0-9](?:[a-z0-9-]{0,38}[a-z0-9])?$/;
+
+// Thrown for requests naming a malformed or unknown school
+export class SchoolError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'SchoolError';
+    this.status = status;
+  }
+}
+
+// Lowercase school id; throws a 400 SchoolError for anything that could not
+// be a subdomain
+export function cleanSchoolId(value) {
+  const id = typeof value === 'string' ? value.trim().toLowerCase() : '';
+  if (!SCHOOL_ID.test(id)) {
+    throw new SchoolError(400, 'School ids are 1-40 letters, digits or dashes');
+  }
+  return id;
+}
+
+function header(event, name) {
+  const headers = event.headers || {};
+  const key = Object.keys(headers).find(candidate => candidate.toLowerCase() === name);
+  return key ? headers[key] : undefined;
+}
+
+// The school a request is for
+export function schoolFromRequest(event) {
+  const named = header(event, SCHOOL_HEADER) || event.queryStringParameters?.school;
+  if (named) return cleanSchoolId(named);
+
+  const domain = process.env.STARBOARD_SCHOOL_DOMAIN;
+  const host = (header(event, 'host') || '').split(':')[0].toLowerCase();
+  if (domain && host.endsWith('.' + domain.toLowerCase())) {
+    const subdomain = host.slice(0, -(domain.length + 1));
+    if (!subdomain.includes('.')) return cleanSchoolId(subdomain);
+  }
+
+  return DEFAULT_SCHOOL;
+}
@@ -0,0 +1,1358 @@
+// StarBoard storage on normalized Supabase tables (see supabase/schema.sql)
+// Classes, students, teachers and star events each live in their own table;
+// settings, metadata and the document revision live in starboard_settings.
+// Deleted classes and students wait in starboard_trash until they are
+// restored or purged; finished terms' standings are kept in
+// starboard_term_archives.
+// The single-row `starboard_data` table is still served until POST /migrate
+// has split it out ("legacy" mode), and is left untouched as a backup after.
+// Every function takes a client scoped to one school (see forSchool): the
+// school's rows carry its id in school_id, and its settings and legacy rows
+// use it as their id.
+
+import '../../shared/ledger.js';
+import '../../shared/schema.js';
+import '../../shared/achievements.js';
+import '../../shared/operations.js';
+import '../../shared/access.js';
+import { accountEntry, upgradePasswords } from './auth.js';
+
+const { StarLedger, StarSchema, StarAchievements, StarOperations, StarAccess } = globalThis;
+const { OperationError } = StarOperations;
+
+const PAGE_SIZE = 1000;
+const CHUNK_SIZE = 500;
+const MISSING_TABLE_CODES = ['42P01', 'PGRST205'];
+const UNIQUE_VIOLATION = '23505';
+// Tables holding rows of every school, told apart by school_id
+const SCHOOL_TABLES = [
+  'starboard_classes',
+  'starboard_students',
+  'starboard_teachers',
+  'starboard_admins',
+  'starboard_star_events',
+  'starboard_trash',
+  'starboard_term_archives'
+];
+
+// ---------------------------------------------------------------------------
+// Schools
+// ---------------------------------------------------------------------------
+
+// A stand-in for the Supabase client that only sees one school's rows:
+// reads, updates and deletes on the school tables are filtered by school_id
+// and inserted rows get it. Other tables pass through unchanged.
+export function forSchool(client, school) {
+  return {
+    client,
+    school,
+    rpc: (fn, args) => client.rpc(fn, args),
+    from(table) {
+      const query = client.from(table);
+      if (!SCHOOL_TABLES.includes(table)) return query;
+
+      const withSchool = rows => rows.map(row => ({ ...row, school_id: school }));
+      return {
+        select: (...args) => query.select(...args).eq('school_id', school),
+        insert: (rows, options) => query.insert(withSchool(rows), options),
+        upsert: (rows, options) => query.upsert(withSchool(rows), options),
+        update: (values, options) => query.update(values, options).eq('school_id', school),
+        delete: options => query.delete(options).eq('school_id', school)
+      };
+    }
+  };
+}
+
+// [{ id, name, created }] for every school but the default one
+export async function listSchools(supabase) {
+  const rows = await selectAll(() => supabase.client.from('starboard_schools').select('*').order('id'));
+  return rows.map(row => ({ id: row.id, name: row.name, created: row.created_at }));
+}
+
+export async function schoolExists(supabase, id) {
+  const { data, error } = await supabase.client
+    .from('starboard_schools')
+    .select('id')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) throw error;
+  return Boolean(data);
+}
+
+// Register a school and store its first admin accounts (username -> hash).
+// Its tables fill on the first request (see resolveMode).
+export async function createSchool(supabase, school, admins) {
+  const { error } = await supabase.client
+    .from('starboard_schools')
+    .insert([{ id: school.id, name: school.name, created_at: school.created }]);
+
+  if (error && error.code === UNIQUE_VIOLATION) throw new OperationError(409, 'School already exists');
+  if (error) throw error;
+  await storeAdmins(forSchool(supabase.client, school.id), admins);
+}
+
+// ---------------------------------------------------------------------------
+// Mode detection
+// ---------------------------------------------------------------------------
+
+// 'normalized' once the tables are in use, 'legacy' while only the old
+// single-row table holds data. Fresh installs start out normalized.
+export async function resolveMode(supabase, createDefaultData) {
+  const settings = await getSettingsRow(supabase);
+  if (settings === undefined) return 'legacy'; // schema.sql not applied yet
+  if (settings?.migrated_at) return 'normalized';
+
+  const legacy = await getLegacyRow(supabase);
+  if (legacy) return 'legacy';
+
+  await initialize(supabase, createDefaultData());
+  return 'normalized';
+}
+
+async function getSettingsRow(supabase) {
+  const { data, error } = await supabase
+    .from('starboard_settings')
+    .select('*')
+    .eq('id', supabase.school)
+    .maybeSingle();
+
+  if (error && MISSING_TABLE_CODES.includes(error.code)) return undefined;
+  if (error) throw error;
+  return data;
+}
+
+async function getLegacyRow(supabase) {
+  const { data, error } = await supabase
+    .from('starboard_data')
+    .select('*')
+    .eq('id', supabase.school)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+async function initialize(supabase, doc) {
+  const { error } = await supabase
+    .from('starboard_settings')
+    .upsert([{ id: supabase.school, revision: 0, migrated_at: new Date().toISOString() }]);
+
+  if (error) throw error;
+  await writeDocument(supabase, doc);
+}
+
+// ---------------------------------------------------------------------------
+// Whole-document access (the GET/PUT shape existing clients use)
+// ---------------------------------------------------------------------------
+
+export async function loadDocument(supabase) {
+  const [settings, classes, students, teachers, events, trash, archives] = await Promise.all([
+    getSettingsRow(supabase),
+    selectAll(() => supabase.from('starboard_classes').select('*').order('name')),
+    selectAll(() => supabase.from('starboard_students').select('*').order('id')),
+    selectAll(() => supabase.from('starboard_teachers').select('*').order('username')),
+    selectAll(() => supabase.from('starboard_star_events').select('*').order('id')),
+    selectAll(() => supabase.from('starboard_trash').select('*').order('id')),
+    selectAll(() => supabase.from('starboard_term_archives').select('*').order('id'))
+  ]);
+
+  // Entries that expired since the last write are left out
+  const doc = toDocument(settings || {}, classes, students, teachers, events, trash, archives);
+  StarOperations.dropExpiredTrash(doc);
+  return doc;
+}
+
+// Replace the stored document, provided nobody saved since `baseRevision`.
+// Resolves to { revision } on success or { conflict: currentDocument }.
+// Teacher accounts are managed separately and left as they are; expired
+// trash entries are deleted.
+export async function replaceDocument(supabase, doc, baseRevision) {
+  const revision = await claimRevision(supabase, baseRevision);
+  if (revision === null) {
+    return { conflict: await loadDocument(supabase) };
+  }
+
+  StarLedger.normalizeDocument(doc);
+  StarOperations.dropExpiredTrash(doc);
+  doc.metadata = { ...doc.metadata, revision };
+  await writeDocument(supabase, doc, { teachers: false });
+  return { revision };
+}
+
+// Moves the document to its next revision; returns null when `expected`
+// is given and no longer matches the stored revision
+export async function claimRevision(supabase, expected = null) {
+  const { data, error } = await supabase.rpc('starboard_claim_revision', { expected, school: supabase.school });
+  if (error) throw error;
+  return data ?? null;
+}
+
+function toDocument(settings, classRows, studentRows, teacherRows, eventRows, trashRows = [], archiveRows = []) {
+  const doc = {
+    ...(settings.extra || {}),
+    classes: {},
+    trash: {},
+    archives: {},
+    teachers: {},
+    settings: settings.settings || {},
+    metadata: { ...(settings.metadata || {}), revision: settings.revision || 0 }
+  };
+
+  classRows.forEach(row => {
+    doc.classes[row.name] = {
+      ...row.data,
+      ...(row.description ? { description: row.description } : {}),
+      ...classStaff(row),
+      students: {},
+      created: row.created_at
+    };
+  });
+
+  const ledgers = {};
+  eventRows.forEach(row => {
+    (ledgers[row.student_id] = ledgers[row.student_id] || []).push(toEvent(row));
+  });
+
+  studentRows.forEach(row => {
+    const classData = doc.classes[row.class_name];
+    if (!classData) return;
+
+    const ledger = (ledgers[row.id] || []).sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    const student = { ...row.data, name: row.name, ledger, created: row.created_at };
+    student.stars = StarLedger.deriveStars(student);
+    classData.students[row.id] = student;
+  });
+
+  teacherRows.forEach(row => {
+    doc.teachers[row.username] = { password: row.password, role: row.role };
+  });
+
+  trashRows.forEach(row => {
+    doc.trash[row.id] = toTrashEntry(row);
+  });
+
+  archiveRows.forEach(row => {
+    doc.archives[row.id] = toArchive(row);
+  });
+
+  return doc;
+}
+
+function toTrashEntry(row) {
+  const entry = {
+    type: row.type,
+    className: row.class_name,
+    data: row.data,
+    deletedAt: row.deleted_at
+  };
+  if (row.student_id) entry.studentId = row.student_id;
+  if (row.deleted_by) entry.deletedBy = row.deleted_by;
+  return entry;
+}
+
+function toTrashRow(id, entry) {
+  return {
+    id,
+    type: entry.type,
+    class_name: entry.className,
+    student_id: entry.studentId || null,
+    data: entry.data,
+    deleted_by: entry.deletedBy || null,
+    deleted_at: entry.deletedAt || new Date().toISOString()
+  };
+}
+
+function toArchive(row) {
+  const archive = {
+    termId: row.term_id,
+    name: row.name,
+    start: row.start_day,
+    end: row.end_day,
+    archivedAt: row.archived_at,
+    classes: row.classes || {}
+  };
+  if (row.archived_by) archive.archivedBy = row.archived_by;
+  return archive;
+}
+
+function toArchiveRow(id, archive) {
+  return {
+    id,
+    term_id: archive.termId,
+    name: archive.name,
+    start_day: archive.start,
+    end_day: archive.end,
+    classes: archive.classes || {},
+    archived_by: archive.archivedBy || null,
+    archived_at: archive.archivedAt || new Date().toISOString()
+  };
+}
+
+// A class row's owner / coTeachers in document form
+function classStaff(row) {
+  const staff = {};
+  if (row.owner) staff.owner = row.owner;
+  if (row.co_teachers && row.co_teachers.length > 0) staff.coTeachers = row.co_teachers;
+  return staff;
+}
+
+export function toEvent(row) {
+  const event = {
+    id: row.id,
+    studentId: row.student_id,
+    className: row.class_name,
+    delta: row.delta,
+    teacher: row.teacher,
+    timestamp: row.created_at
+  };
+  if (row.reason) event.reason = row.reason;
+  if (row.category) event.category = row.category;
+  return event;
+}
+
+function fromDocument(doc) {
+  const { classes = {}, trash = {}, archives = {}, teachers = {}, settings = {}, metadata = {}, ...extra } = doc;
+  const rows = { classes: [], students: [], events: [], teachers: [], trash: [], archives: [] };
+
+  Object.entries(classes).forEach(([className, classData]) => {
+    const { students = {}, description, owner, coTeachers, created, ...classExtra } = classData;
+    rows.classes.push({
+      name: className,
+      description: description || null,
+      owner: owner || null,
+      co_teachers: Array.isArray(coTeachers) ? coTeachers : [],
+      data: classExtra,
+      created_at: created || new Date().toISOString()
+    });
+
+    Object.entries(students).forEach(([studentId, student]) => {
+      const { name, stars, ledger = [], created: studentCreated, ...studentExtra } = student;
+      rows.students.push({
+        id: studentId,
+        class_name: className,
+        name,
+        stars: Math.max(0, Number(stars) || 0),
+        data: studentExtra,
+        created_at: studentCreated || new Date().toISOString()
+      });
+      ledger.forEach(event => rows.events.push(toEventRow(event, studentId, className)));
+    });
+  });
+
+  Object.entries(teachers).forEach(([username, stored]) => {
+    const { password, role } = accountEntry(stored);
+    rows.teachers.push({ username, password: String(password), role });
+  });
+
+  Object.entries(trash).forEach(([id, entry]) => rows.trash.push(toTrashRow(id, entry)));
+  Object.entries(archives).forEach(([id, archive]) => rows.archives.push(toArchiveRow(id, archive)));
+
+  return { rows, settings, metadata, extra };
+}
+
+export function toEventRow(event, studentId, className) {
+  return {
+    id: event.id,
+    student_id: event.studentId || studentId,
+    class_name: event.className || className,
+    delta: Number(event.delta) || 0,
+    teacher: event.teacher || null,
+    reason: event.reason || null,
+    category: event.category || null,
+    created_at: event.timestamp || new Date().toISOString()
+  };
+}
+
+// Write every table to match `doc`. Star events are only ever added.
+async function writeDocument(supabase, doc, { teachers = true } = {}) {
+  const { rows, settings, metadata, extra } = fromDocument(doc);
+
+  const [classNames, studentIds, usernames, trashIds, archiveIds] = await Promise.all([
+    selectColumn(supabase, 'starboard_classes', 'name'),
+    selectColumn(supabase, 'starboard_students', 'id'),
+    selectColumn(supabase, 'starboard_teachers', 'username'),
+    selectColumn(supabase, 'starboard_trash', 'id'),
+    selectColumn(supabase, 'starboard_term_archives', 'id')
+  ]);
+
+  // Parents before children, so renamed classes exist before students move in
+  await upsertChunks(supabase, 'starboard_classes', rows.classes, { onConflict: 'school_id,name' });
+  await upsertChunks(supabase, 'starboard_students', rows.students, { onConflict: 'school_id,id' });
+  await upsertChunks(supabase, 'starboard_star_events', rows.events, { onConflict: 'school_id,id', ignoreDuplicates: true });
+  await upsertChunks(supabase, 'starboard_trash', rows.trash, { onConflict: 'school_id,id' });
+  await upsertChunks(supabase, 'starboard_term_archives', rows.archives, { onConflict: 'school_id,id' });
+  if (teachers) {
+    await upsertChunks(supabase, 'starboard_teachers', rows.teachers, { onConflict: 'school_id,username' });
+  }
+
+  await deleteMissing(supabase, 'starboard_students', 'id', studentIds, rows.students.map(row => row.id));
+  await deleteMissing(supabase, 'starboard_classes', 'name', classNames, rows.classes.map(row => row.name));
+  await deleteMissing(supabase, 'starboard_trash', 'id', trashIds, rows.trash.map(row => row.id));
+  await deleteMissing(supabase, 'starboard_term_archives', 'id', archiveIds, rows.archives.map(row => row.id));
+  if (teachers) {
+    await deleteMissing(supabase, 'starboard_teachers', 'username', usernames, rows.teachers.map(row => row.username));
+  }
+
+  const { error } = await supabase
+    .from('starboard_settings')
+    .update({ settings, metadata, extra, updated_at: new Date().toISOString() })
+    .eq('id', supabase.school);
+
+  if (error) throw error;
+}
+
+// ---------------------------------------------------------------------------
+// Granular reads
+// ---------------------------------------------------------------------------
+
+export async function listClasses(supabase) {
+  const [classes, students] = await Promise.all([
+    selectAll(() => supabase.from('starboard_classes').select('*').order('name')),
+    selectAll(() => supabase.from('starboard_students').select('class_name, stars').order('id'))
+  ]);
+
+  return classes.map(row => {
+    const members = students.filter(student => student.class_name === row.name);
+    return {
+      name: row.name,
+      description: row.description,
+      ...classStaff(row),
+      created: row.created_at,
+      studentCount: members.length,
+      totalStars: members.reduce((sum, student) => sum + student.stars, 0)
+    };
+  });
+}
+
+// Resolves to null when the class does not exist
+export async function listStudents(supabase, className) {
+  const { data: classRow, error } = await supabase
+    .from('starboard_classes')
+    .select('name')
+    .eq('name', className)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!classRow) return null;
+
+  const students = await selectAll(() => supabase
+    .from('starboard_students')
+    .select('*')
+    .eq('class_name', className)
+    .order('id'));
+
+  return students.map(row => ({
+    ...row.data,
+    id: row.id,
+    name: row.name,
+    stars: row.stars,
+    created: row.created_at
+  }));
+}
+
+// Resolves to null when the student does not exist
+export async function listStudentEvents(supabase, studentId) {
+  const { data: student, error } = await supabase
+    .from('starboard_students')
+    .select('id')
+    .eq('id', studentId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!student) return null;
+
+  const events = await selectAll(() => supabase
+    .from('starboard_star_events')
+    .select('*')
+    .eq('student_id', studentId)
+    .order('created_at', { ascending: false })
+    .order('id'));
+
+  return events.map(toEvent);
+}
+
+// ---------------------------------------------------------------------------
+// Teacher and admin accounts
+// ---------------------------------------------------------------------------
+
+// username -> { password hash, role }
+export async function loadTeachers(supabase) {
+  const rows = await selectAll(() => supabase.from('starboard_teachers').select('username, password, role').order('username'));
+  return Object.fromEntries(rows.map(row => [row.username, { password: row.password, role: row.role }]));
+}
+
+// Store the teacher accounts; `renamed` ({ from, to }) moves the account's
+// class assignments along
+export async function storeTeachers(supabase, teachers, renamed = null) {
+  const rows = Object.entries(teachers).map(([username, stored]) => ({ username, ...accountEntry(stored) }));
+  await storeAccounts(supabase, 'starboard_teachers', rows);
+  if (renamed) await renameClassStaff(supabase, renamed.from, renamed.to);
+}
+
+// username -> password hash
+export async function loadAdmins(supabase) {
+  const rows = await selectAll(() => supabase.from('starboard_admins').select('username, password').order('username'));
+  return Object.fromEntries(rows.map(row => [row.username, row.password]));
+}
+
+export function storeAdmins(supabase, admins) {
+  const rows = Object.entries(admins).map(([username, password]) => ({ username, password }));
+  return storeAccounts(supabase, 'starboard_admins', rows);
+}
+
+async function storeAccounts(supabase, table, rows) {
+  const usernames = await selectColumn(supabase, table, 'username');
+  await upsertChunks(supabase, table, rows, { onConflict: 'school_id,username' });
+  await deleteMissing(supabase, table, 'username', usernames, rows.map(row => row.username));
+}
+
+async function renameClassStaff(supabase, from, to) {
+  const rows = await selectAll(() => supabase.from('starboard_classes').select('name, owner, co_teachers').order('name'));
+
+  let changed = false;
+  for (const row of rows) {
+    const doc = { classes: { [row.name]: classStaff(row) } };
+    if (!StarAccess.renameMember(doc, from, to)) continue;
+
+    const staff = doc.classes[row.name];
+    const { error } = await supabase
+      .from('starboard_classes')
+      .update({ owner: staff.owner || null, co_teachers: staff.coTeachers || [] })
+      .eq('name', row.name);
+    if (error) throw error;
+    changed = true;
+  }
+  if (changed) await claimRevision(supabase);
+}
+
+// ---------------------------------------------------------------------------
+// Granular writes
+// ---------------------------------------------------------------------------
+
+// Apply one operation (see shared/operations.js) on behalf of `user` (a
+// session) directly to the tables and move the document to its next
+// revision. Expired trash entries are purged first. Resolves to
+// { ...result, revision } with the same result the operation gives when
+// applied to a whole document.
+export async function applyOperation(supabase, op, user) {
+  const clean = StarOperations.validate(op);
+  if (user.role !== 'admin') {
+    StarAccess.authorize(await accessDocument(supabase, clean), clean, user);
+  }
+  await purgeExpiredTrash(supabase);
+  const result = await operationHandlers[clean.type](supabase, clean, user.username);
+  const revision = await claimRevision(supabase);
+  return { ...result, revision };
+}
+
+// The classes (and student) an operation touches, in the document shape
+// StarAccess.authorize expects
+async function accessDocument(supabase, op) {
+  const names = [op.className, op.newClassName];
+
+  let student = null;
+  if (op.type === 'updateStudent' || op.type === 'removeStudent') {
+    const { data, error } = await supabase
+      .from('starboard_students')
+      .select('id, class_name')
+      .eq('id', op.studentId)
+      .maybeSingle();
+    if (error) throw error;
+    student = data;
+    if (student) names.push(student.class_name);
+  }
+
+  const doc = { classes: {}, trash: {} };
+  if (op.type === 'restoreTrash') {
+    const { data, error } = await supabase
+      .from('starboard_trash')
+      .select('*')
+      .eq('id', op.trashId)
+      .maybeSingle();
+    if (error) throw error;
+    if (data) {
+      doc.trash[data.id] = toTrashEntry(data);
+      names.push(data.class_name);
+    }
+  }
+
+  const wanted = [...new Set(names.filter(Boolean))];
+  if (wanted.length === 0) return doc;
+
+  const { data: rows, error } = await supabase
+    .from('starboard_classes')
+    .select('name, owner, co_teachers')
+    .in('name', wanted);
+  if (error) throw error;
+
+  rows.forEach(row => {
+    doc.classes[row.name] = { ...classStaff(row), students: {} };
+  });
+  if (student && doc.classes[student.class_name]) {
+    doc.classes[student.class_name].students[student.id] = {};
+  }
+  return doc;
+}
+
+const operationHandlers = {
+  async createClass(supabase, op) {
+    const { error } = await supabase
+      .from('starboard_classes')
+      .insert([{
+        name: op.className,
+        description: op.description || null,
+        owner: op.owner || null,
+        co_teachers: (op.coTeachers || []).filter(name => name !== op.owner),
+        data: {},
+        created_at: op.timestamp || new Date().toISOString()
+      }]);
+
+    if (error && error.code === UNIQUE_VIOLATION) throw new OperationError(409, 'Class already exists');
+    if (error) throw error;
+    return { className: op.className };
+  },
+
+  async updateClass(supabase, op) {
+    const row = await requireClassRow(supabase, op.className);
+
+    const newName = op.newName || op.className;
+    const changes = {};
+    if (newName !== op.className) changes.name = newName;
+    if (op.description !== undefined) changes.description = op.description || null;
+    if (op.owner !== undefined || op.coTeachers !== undefined) {
+      const staff = classStaff(row);
+      StarOperations.assignStaff(staff, op);
+      changes.owner = staff.owner || null;
+      changes.co_teachers = staff.coTeachers || [];
+    }
+    if (Object.keys(changes).length === 0) return { className: newName };
+
+    // Students follow the rename through ON UPDATE CASCADE
+    const { error } = await supabase
+      .from('starboard_classes')
+      .update(changes)
+      .eq('name', op.className);
+
+    if (error && error.code === UNIQUE_VIOLATION) throw new OperationError(409, 'Class already exists');
+    if (error) throw error;
+    return { className: newName };
+  },
+
+  async deleteClass(supabase, op, actor) {
+    const classData = await classSnapshot(supabase, op.className);
+    const trashId = await moveToTrash(supabase, op, actor, { type: 'class', className: op.className, data: classData });
+
+    const { data, error } = await supabase
+      .from('starboard_classes')
+      .delete()
+      .eq('name', op.className)
+      .select('name');
+
+    if (error) throw error;
+    if (data.length === 0) {
+      await supabase.from('starboard_trash').delete().eq('id', trashId);
+      throw new OperationError(404, `Class "${op.className}" not found`);
+    }
+    return { className: op.className, trashId };
+  },
+
+  async addStudent(supabase, op, actor) {
+    await requireClassRow(supabase, op.className);
+
+    const created = op.timestamp || new Date().toISOString();
+    const { error } = await supabase
+      .from('starboard_students')
+      .insert([{ id: op.studentId, class_name: op.className, name: op.name, stars: 0, data: {}, created_at: created }]);
+
+    if (error && error.code === UNIQUE_VIOLATION) throw new OperationError(409, 'Student already exists');
+    if (error) throw error;
+
+    if (op.stars > 0) {
+      const event = StarLedger.createEvent({
+        id: op.eventId,
+        studentId: op.studentId,
+        className: op.className,
+        delta: op.stars,
+        teacher: actor,
+        reason: 'Initial stars',
+        timestamp: created
+      });
+      await insertEvent(supabase, event);
+    }
+    return { className: op.className, studentId: op.studentId };
+  },
+
+  // A student's team lives in the row's `data`, with their other extra fields
+  async updateStudent(supabase, op) {
+    const student = await requireStudentRow(supabase, op.studentId);
+
+    const changes = {};
+    if (op.name) changes.name = op.name;
+    if (op.newClassName && op.newClassName !== student.class_name) {
+      await requireClassRow(supabase, op.newClassName);
+      changes.class_name = op.newClassName;
+    }
+    if (op.team !== undefined) {
+      if (op.team) {
+        const row = await getSettingsRow(supabase);
+        const teams = (row && row.settings && row.settings.teams) || [];
+        if (!teams.some(team => team.id === op.team)) throw new OperationError(404, 'Team not found');
+      }
+      const { team, ...data } = student.data || {};
+      changes.data = op.team ? { ...data, team: op.team } : data;
+    }
+
+    if (Object.keys(changes).length > 0) {
+      const { error } = await supabase
+        .from('starboard_students')
+        .update(changes)
+        .eq('id', op.studentId);
+      if (error) throw error;
+    }
+    return { className: changes.class_name || student.class_name, studentId: op.studentId };
+  },
+
+  async removeStudent(supabase, op, actor) {
+    const { className, student } = await studentSnapshot(supabase, op.studentId);
+    const trashId = await moveToTrash(supabase, op, actor, { type: 'student', className, studentId: op.studentId, data: student });
+
+    const { data, error } = await supabase
+      .from('starboard_students')
+      .delete()
+      .eq('id', op.studentId)
+      .select('class_name');
+
+    if (error) throw error;
+    if (data.length === 0) {
+      await supabase.from('starboard_trash').delete().eq('id', trashId);
+      throw new OperationError(404, 'Student not found');
+    }
+    return { className: data[0].class_name, studentId: op.studentId, trashId };
+  },
+
+  async stars(supabase, op, actor) {
+    const student = await requireStudentRow(supabase, op.studentId);
+    if (student.class_name !== op.className) throw new OperationError(404, 'Student not found');
+
+    const result = { className: op.className, studentId: op.studentId };
+
+    // A retried request must not award the same stars twice
+    if (op.eventId) {
+      const { data: existing, error } = await supabase
+        .from('starboard_star_events')
+        .select('*')
+        .eq('id', op.eventId)
+        .maybeSingle();
+      if (error) throw error;
+      if (existing) return { ...result, event: toEvent(existing), stars: student.stars };
+    }
+
+    // Same clamping as StarLedger.record: never drop below zero
+    const delta = Math.max(op.delta, -student.stars);
+    if (!delta) return { ...result, event: null, stars: student.stars };
+
+    const event = StarLedger.createEvent({
+      id: op.eventId,
+      studentId: op.studentId,
+      className: op.className,
+      delta,
+      teacher: actor,
+      reason: op.reason,
+      category: op.category,
+      timestamp: op.timestamp
+    });
+    const recorded = (await recordStars(supabase, [event])).get(event.id) || null;
+    const { stars } = await requireStudentRow(supabase, op.studentId);
+    const [achievements] = recorded && recorded.delta > 0 ? await recordAchievements(supabase, op, [op.studentId]) : [[]];
+    return { ...result, event: recorded, stars, achievements };
+  },
+
+  // One database call for every event, so either all students get their stars or none
+  async bulkStars(supabase, op, actor) {
+    await requireClassRow(supabase, op.className);
+    const rows = await selectAll(() => supabase
+      .from('starboard_students')
+      .select('id, stars')
+      .eq('class_name', op.className)
+      .order('id'));
+    const students = new Map(rows.map(row => [row.id, row]));
+    if (op.awards.some(award => !students.has(award.studentId))) throw new OperationError(404, 'Student not found');
+
+    // A retried request must not award the same stars twice
+    const existing = new Map();
+    const eventIds = op.awards.map(award => award.eventId).filter(Boolean);
+    for (let i = 0; i < eventIds.length; i += CHUNK_SIZE) {
+      const { data, error } = await supabase
+        .from('starboard_star_events')
+        .select('*')
+        .in('id', eventIds.slice(i, i + CHUNK_SIZE));
+      if (error) throw error;
+      data.forEach(row => existing.set(row.id, toEvent(row)));
+    }
+
+    const planned = op.awards.map(award => {
+      const student = students.get(award.studentId);
+      if (existing.has(award.eventId)) return null;
+
+      // Same clamping as StarLedger.record: never drop below zero
+      const delta = Math.max(award.delta || op.delta, -student.stars);
+      if (!delta) return null;
+
+      return StarLedger.createEvent({
+        id: award.eventId,
+        studentId: award.studentId,
+        className: op.className,
+        delta,
+        teacher: actor,
+        reason: op.reason,
+        category: op.category,
+        timestamp: op.timestamp
+      });
+    });
+
+    const events = planned.filter(Boolean);
+    const recorded = events.length > 0 ? await recordStars(supabase, events) : new Map();
+    if (recorded.size > 0) {
+      const totals = await selectAll(() => supabase
+        .from('starboard_students')
+        .select('id, stars')
+        .eq('class_name', op.className)
+        .order('id'));
+      totals.forEach(row => students.set(row.id, row));
+    }
+
+    const awards = op.awards.map((award, index) => {
+      const event = existing.get(award.eventId) || (planned[index] && recorded.get(planned[index].id)) || null;
+      return { studentId: award.studentId, event, stars: students.get(award.studentId).stars };
+    });
+
+    const gained = [...recorded.values()].filter(event => event.delta > 0).map(event => event.studentId);
+    const earned = await recordAchievements(supabase, op, gained);
+    awards.forEach(award => {
+      const index = gained.indexOf(award.studentId);
+      award.achievements = index === -1 ? [] : earned[index];
+    });
+    return { className: op.className, awards };
+  },
+
+  async setCategories(supabase, op) {
+    const row = await getSettingsRow(supabase);
+    const settings = { ...(row && row.settings) };
+    if (op.categories) settings.categories = op.categories;
+    else delete settings.categories;
+
+    await storeSettings(supabase, settings);
+    return { categories: StarLedger.categories(settings) };
+  },
+
+  async setTerms(supabase, op) {
+    const row = await getSettingsRow(supabase);
+    const settings = { ...(row && row.settings) };
+    if (settings.currentTerm && !op.terms.some(term => term.id === settings.currentTerm)) {
+      throw new OperationError(409, 'The current term cannot be removed');
+    }
+    settings.terms = op.terms;
+
+    await storeSettings(supabase, settings);
+    return { terms: op.terms };
+  },
+
+  // Same as StarOperations' rolloverTerm, with the standings worked out
+  // from the events of the archived stretch only
+  async rolloverTerm(supabase, op, actor) {
+    const row = await getSettingsRow(supabase);
+    const settings = { ...(row && row.settings) };
+    const { term, previous } = StarOperations.rolloverTerms(settings, op);
+
+    let archiveId = null;
+    if (previous) {
+      const archiveIds = await selectColumn(supabase, 'starboard_term_archives', 'id');
+      if (archiveIds.length >= StarSchema.LIMITS.archives) throw new OperationError(409, 'Too many archived terms');
+
+      archiveId = op.archiveId || StarOperations.generateArchiveId();
+      const classes = await termStandings(supabase, StarOperations.archiveRange(previous, term, op));
+      const { error } = await supabase
+        .from('starboard_term_archives')
+        .insert([toArchiveRow(archiveId, {
+          termId: previous.id,
+          name: previous.name,
+          start: previous.start,
+          end: previous.end,
+          archivedAt: op.timestamp || new Date().toISOString(),
+          archivedBy: actor,
+          classes
+        })]);
+      if (error) throw error;
+    }
+
+    settings.currentTerm = term.id;
+    await storeSettings(supabase, settings);
+    return { termId: term.id, archiveId };
+  },
+
+  async setTeams(supabase, op) {
+    const row = await getSettingsRow(supabase);
+    await storeSettings(supabase, { ...(row && row.settings), teams: op.teams });
+    return { teams: op.teams };
+  },
+
+  async setAchievements(supabase, op) {
+    const row = await getSettingsRow(supabase);
+    const settings = { ...(row && row.settings) };
+    if (op.achievements) settings.achievements = op.achievements;
+    else delete settings.achievements;
+
+    await storeSettings(supabase, settings);
+    return { achievements: StarAchievements.definitions(settings) };
+  },
+
+  // Groups live in the class row's `data`, with the class's other extra fields
+  async setGroup(supabase, op) {
+    const { data: row, error } = await supabase
+      .from('starboard_classes')
+      .select('name, data')
+      .eq('name', op.className)
+      .maybeSingle();
+    if (error) throw error;
+    if (!row) throw new OperationError(404, `Class "${op.className}" not found`);
+
+    const groups = { ...(row.data && row.data.groups) };
+    if (op.studentIds) {
+      const students = await selectAll(() => supabase
+        .from('starboard_students')
+        .select('id')
+        .eq('class_name', op.className)
+        .order('id'));
+      const inClass = new Set(students.map(student => student.id));
+      groups[op.group] = op.studentIds.filter(studentId => inClass.has(studentId));
+    } else {
+      delete groups[op.group];
+    }
+
+    const { error: updateError } = await supabase
+      .from('starboard_classes')
+      .update({ data: { ...row.data, groups } })
+      .eq('name', op.className);
+    if (updateError) throw updateError;
+    return { className: op.className, group: op.group };
+  },
+
+  // A deleted class with its students and their ledgers, or one student
+  async restoreTrash(supabase, op) {
+    const entry = await requireTrashEntry(supabase, op.trashId);
+    const result = { className: entry.className, studentId: entry.studentId, trashId: op.trashId };
+
+    if (entry.type === 'class') {
+      const { rows } = fromDocument({ classes: { [entry.className]: entry.data } });
+      const { error } = await supabase.from('starboard_classes').insert(rows.classes);
+
+      if (error && error.code === UNIQUE_VIOLATION) throw new OperationError(409, 'Class already exists');
+      if (error) throw error;
+
+      try {
+        await insertStudents(supabase, rows);
+      } catch (err) {
+        // Students already inserted go with the class (ON DELETE CASCADE)
+        await supabase.from('starboard_classes').delete().eq('name', entry.className);
+        throw err;
+      }
+    } else {
+      await requireClassRow(supabase, entry.className);
+      const { rows } = fromDocument({ classes: { [entry.className]: { students: { [entry.studentId]: entry.data } } } });
+      await insertStudents(supabase, rows);
+    }
+
+    const { error } = await supabase.from('starboard_trash').delete().eq('id', op.trashId);
+    if (error) throw error;
+    return result;
+  },
+
+  async purgeTrash(supabase, op) {
+    const { data, error } = await supabase
+      .from('starboard_trash')
+      .delete()
+      .eq('id', op.trashId)
+      .select('id');
+
+    if (error) throw error;
+    if (data.length === 0) throw new OperationError(404, 'Not found in the trash');
+    return { trashId: op.trashId };
+  }
+};
+
+async function storeSettings(supabase, settings) {
+  const { error } = await supabase
+    .from('starboard_settings')
+    .update({ settings, updated_at: new Date().toISOString() })
+    .eq('id', supabase.school);
+  if (error) throw error;
+}
+
+// StarAchievements.award for students of the operation's class who were just
+// given stars, kept in their rows' `data`; returns the new achievement ids per
+// student. Only the ledgers a rule needs are read: the whole class's for
+// firstOfWeek, otherwise those of the students still missing an achievement.
+async function recordAchievements(supabase, op, studentIds) {
+  if (studentIds.length === 0) return [];
+  const row = await getSettingsRow(supabase);
+  const achievements = StarAchievements.definitions(row && row.settings);
+
+  const rows = await selectAll(() => supabase
+    .from('starboard_students')
+    .select('id, data, created_at')
+    .eq('class_name', op.className)
+    .order('id'));
+  const records = new Map(rows.map(student => [student.id, student.data || {}]));
+  const created = new Map(rows.map(student => [student.id, student.created_at]));
+  const missing = studentIds.filter(studentId => {
+    const earned = records.get(studentId).achievements || {};
+    return achievements.some(achievement => !earned[achievement.id]);
+  });
+  if (missing.length === 0) return studentIds.map(() => []);
+
+  const readIds = achievements.some(achievement => achievement.rule.type === 'firstOfWeek') ? [...records.keys()] : missing;
+  const ledgers = {};
+  for (let i = 0; i < readIds.length; i += CHUNK_SIZE) {
+    const events = await selectAll(() => supabase
+      .from('starboard_star_events')
+      .select('*')
+      .in('student_id', readIds.slice(i, i + CHUNK_SIZE))
+      .order('id'));
+    events.forEach(event => {
+      (ledgers[event.student_id] = ledgers[event.student_id] || []).push(toEvent(event));
+    });
+  }
+
+  const students = {};
+  readIds.forEach(studentId => {
+    students[studentId] = { ...records.get(studentId), created: created.get(studentId), ledger: ledgers[studentId] || [] };
+  });
+  const context = StarAchievements.context(students, op.timezoneOffset);
+
+  const earned = [];
+  for (const studentId of studentIds) {
+    const student = students[studentId];
+    const added = student ? StarAchievements.award(student, achievements, context) : [];
+    if (added.length > 0) {
+      const { error } = await supabase
+        .from('starboard_students')
+        .update({ data: { ...records.get(studentId), achievements: student.achievements } })
+        .eq('id', studentId);
+      if (error) throw error;
+    }
+    earned.push(added);
+  }
+  return earned;
+}
+
+// StarLedger.standings for `range`, reading only the events inside it
+async function termStandings(supabase, range) {
+  const [classes, students, events] = await Promise.all([
+    selectAll(() => supabase.from('starboard_classes').select('name').order('name')),
+    selectAll(() => supabase.from('starboard_students').select('id, class_name, name, stars, data').order('id')),
+    selectAll(() => supabase
+      .from('starboard_star_events')
+      .select('id, student_id, delta, created_at')
+      .gte('created_at', range.start.toISOString())
+      .lt('created_at', range.end.toISOString())
+      .order('id'))
+  ]);
+
+  const ledgers = {};
+  events.forEach(event => {
+    (ledgers[event.student_id] = ledgers[event.student_id] || []).push({ delta: event.delta, timestamp: event.created_at });
+  });
+
+  const doc = { classes: {} };
+  classes.forEach(row => {
+    doc.classes[row.name] = { students: {} };
+  });
+  students.forEach(row => {
+    const classData = doc.classes[row.class_name];
+    if (!classData) return;
+    classData.students[row.id] = { name: row.name, stars: row.stars, team: row.data && row.data.team, ledger: ledgers[row.id] || [] };
+  });
+  return StarLedger.standings(doc, range);
+}
+
+async function requireClassRow(supabase, className) {
+  const { data, error } = await supabase
+    .from('starboard_classes')
+    .select('name, owner, co_teachers')
+    .eq('name', className)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) throw new OperationError(404, `Class "${className}" not found`);
+  return data;
+}
+
+async function requireStudentRow(supabase, studentId) {
+  const { data, error } = await supabase
+    .from('starboard_students')
+    .select('id, class_name, stars, data')
+    .eq('id', studentId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) throw new OperationError(404, 'Student not found');
+  return data;
+}
+
+async function requireTrashEntry(supabase, trashId) {
+  const { data, error } = await supabase
+    .from('starboard_trash')
+    .select('*')
+    .eq('id', trashId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) throw new OperationError(404, 'Not found in the trash');
+  return toTrashEntry(data);
+}
+
+// A class as it is stored in the document, with its students and ledgers
+async function classSnapshot(supabase, className) {
+  const { data: row, error } = await supabase
+    .from('starboard_classes')
+    .select('*')
+    .eq('name', className)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!row) throw new OperationError(404, `Class "${className}" not found`);
+
+  const students = await selectAll(() => supabase
+    .from('starboard_students')
+    .select('*')
+    .eq('class_name', className)
+    .order('id'));
+  const events = await selectEvents(supabase, students.map(student => student.id));
+  return toDocument({}, [row], students, [], events).classes[className];
+}
+
+async function studentSnapshot(supabase, studentId) {
+  const { data: row, error } = await supabase
+    .from('starboard_students')
+    .select('*')
+    .eq('id', studentId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!row) throw new OperationError(404, 'Student not found');
+
+  const events = await selectEvents(supabase, [studentId]);
+  const doc = toDocument({}, [{ name: row.class_name }], [row], [], events);
+  return { className: row.class_name, student: doc.classes[row.class_name].students[studentId] };
+}
+
+async function selectEvents(supabase, studentIds) {
+  const events = [];
+  for (let i = 0; i < studentIds.length; i += CHUNK_SIZE) {
+    const ids = studentIds.slice(i, i + CHUNK_SIZE);
+    events.push(...await selectAll(() => supabase
+      .from('starboard_star_events')
+      .select('*')
+      .in('student_id', ids)
+      .order('id')));
+  }
+  return events;
+}
+
+// Delete the trash entries that have expired at `now`
+async function purgeExpiredTrash(supabase, now = new Date()) {
+  const settings = await getSettingsRow(supabase);
+  const cutoff = new Date(StarOperations.trashCutoff((settings && settings.settings) || {}, now)).toISOString();
+  const { error } = await supabase.from('starboard_trash').delete().lt('deleted_at', cutoff);
+  if (error) throw error;
+}
+
+// Same as StarOperations' moveToTrash; applyOperation has already purged
+// the entries past the retention period
+async function moveToTrash(supabase, op, actor, entry) {
+  const deletedAt = op.timestamp || new Date().toISOString();
+  const trashId = op.trashId || StarOperations.generateTrashId();
+  const { error } = await supabase
+    .from('starboard_trash')
+    .insert([toTrashRow(trashId, { ...entry, deletedAt, deletedBy: actor })]);
+  if (error && error.code === UNIQUE_VIOLATION) throw new OperationError(409, 'Trash entry already exists');
+  if (error) throw error;
+  return trashId;
+}
+
+// Restored students and their star events; the trigger recounts their stars
+async function insertStudents(supabase, rows) {
+  for (let i = 0; i < rows.students.length; i += CHUNK_SIZE) {
+    const { error } = await supabase.from('starboard_students').insert(rows.students.slice(i, i + CHUNK_SIZE));
+    if (error && error.code === UNIQUE_VIOLATION) throw new OperationError(409, 'Student already exists');
+    if (error) throw error;
+  }
+  await upsertChunks(supabase, 'starboard_star_events', rows.events, { onConflict: 'school_id,id', ignoreDuplicates: true });
+}
+
+// Record star changes through starboard_record_stars, which clamps each one
+// against the locked student row. Returns the recorded events by id, with the
+// delta that was actually applied; events clamped to nothing are left out.
+async function recordStars(supabase, events) {
+  const { data, error } = await supabase.rpc('starboard_record_stars', {
+    events: events.map(event => toEventRow(event)),
+    school: supabase.school
+  });
+  if (error) throw error;
+  return new Map((data || []).map(row => [row.id, toEvent(row)]));
+}
+
+// The starboard_star_events trigger refreshes the student's cached total
+async function insertEvent(supabase, event) {
+  const { error } = await supabase
+    .from('starboard_star_events')
+    .insert([toEventRow(event)]);
+  if (error) throw error;
+}
+
+// ---------------------------------------------------------------------------
+// Migration from the single JSONB row
+// ---------------------------------------------------------------------------
+
+// Split the legacy `main` document into the normalized tables. Runs once;
+// later calls report that the data was already migrated.
+export async function migrateLegacy(supabase) {
+  const settings = await getSettingsRow(supabase);
+  if (settings === undefined) {
+    throw new Error('Normalized tables not found. Run supabase/schema.sql first.');
+  }
+  if (settings?.migrated_at) {
+    return { migrated: false, message: 'Data was already migrated', migratedAt: settings.migrated_at };
+  }
+
+  const legacy = await getLegacyRow(supabase);
+  const doc = legacy?.data || {};
+  StarLedger.normalizeDocument(doc);
+  await upgradePasswords(doc.teachers);
+
+  const { error } = await supabase
+    .from('starboard_settings')
+    .upsert([{ id: supabase.school, revision: legacy?.revision || 0 }]);
+  if (error) throw error;
+
+  await writeDocument(supabase, doc);
+
+  const { error: doneError } = await supabase
+    .from('starboard_settings')
+    .update({ migrated_at: new Date().toISOString() })
+    .eq('id', supabase.school);
+  if (doneError) throw doneError;
+
+  const { rows } = fromDocument(doc);
+  return {
+    migrated: true,
+    classes: rows.classes.length,
+    students: rows.students.length,
+    events: rows.events.length,
+    teachers: rows.teachers.length
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Legacy single-row access (until migrated)
+// ---------------------------------------------------------------------------
+
+export async function loadLegacyDocument(supabase, createDefaultData) {
+  const row = await getLegacyRow(supabase);
+  if (!row) {
+    const defaultData = createDefaultData();
+    const { error } = await supabase
+      .from('starboard_data')
+      .insert([{ id: supabase.school, data: defaultData, revision: 0 }]);
+    if (error) throw error;
+    return defaultData;
+  }
+  return withRevision(row.data, row.revision);
+}
+
+export async function replaceLegacyDocument(supabase, doc, baseRevision) {
+  const revision = baseRevision + 1;
+  const { data: updated, error } = await supabase
+    .from('starboard_data')
+    .update({
+      data: withRevision(doc, revision),
+      revision,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', supabase.school)
+    .eq('revision', baseRevision)
+    .select('revision');
+
+  if (error) throw error;
+  if (updated.length > 0) return { revision };
+
+  const current = await getLegacyRow(supabase);
+  if (current) {
+    return { conflict: withRevision(current.data, current.revision) };
+  }
+
+  // First write ever: nothing to conflict with
+  const { error: insertError } = await supabase
+    .from('starboard_data')
+    .insert([{ id: supabase.school, data: withRevision(doc, 1), revision: 1 }]);
+  if (insertError) throw insertError;
+  return { revision: 1 };
+}
+
+// Teacher accounts live inside the legacy document; changing them does not
+// move the revision unless a renamed account's class assignments move too
+export async function storeLegacyTeachers(supabase, teachers, renamed = null) {
+  const row = await getLegacyRow(supabase);
+  if (!row) throw new Error('No data stored yet');
+
+  const data = { ...row.data, teachers };
+  const moved = renamed && StarAccess.renameMember(data, renamed.from, renamed.to);
+  const revision = (Number(row.revision) || 0) + (moved ? 1 : 0);
+
+  const { error } = await supabase
+    .from('starboard_data')
+    .update({ data: withRevision(data, revision), revision, updated_at: new Date().toISOString() })
+    .eq('id', supabase.school);
+  if (error) throw error;
+}
+
+function withRevision(data, revision) {
+  return { ...data, metadata: { ...data.metadata, revision: Number(revision) || 0 } };
+}
+
+// ---------------------------------------------------------------------------
+// Query helpers
+// ---------------------------------------------------------------------------
+
+// PostgREST caps result sizes, so read large tables page by page
+async function selectAll(buildQuery) {
+  const rows = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await buildQuery().range(from, from + PAGE_SIZE - 1);
+    if (error) throw error;
+    rows.push(...data);
+    if (data.length < PAGE_SIZE) return rows;
+  }
+}
+
+async function selectColumn(supabase, table, column) {
+  const rows = await selectAll(() => supabase.from(table).select(column).order(column));
+  return rows.map(row => row[column]);
+}
+
+async function upsertChunks(supabase, table, rows, options) {
+  for (let i = 0; i < rows.length; i += CHUNK_SIZE) {
+    const { error } = await supabase.from(table).upsert(rows.slice(i, i + CHUNK_SIZE), options);
+    if (error) throw error;
+  }
+}
+
+async function deleteMissing(supabase, table, column, existing, kept) {
+  const keep = new Set(kept);
+  const removed = existing.filter(value => !keep.has(value));
+  for (let i = 0; i < removed.length; i += CHUNK_SIZE) {
+    const { error } = await supabase.from(table).delete().in(column, removed.slice(i, i + CHUNK_SIZE));
+    if (error) throw error;
+  }
+}
@@ -0,0 +1,31 @@
+// Checking whole documents sent to the storage functions
+// Uses the schema the pages check against before saving (shared/schema.js),
+// so both sides agree on what a valid document is.
+
+import '../../shared/schema.js';
+
+const { StarSchema } = globalThis;
+
+// Parse and check a PUT body. Returns { doc } when it is a valid document,
+// otherwise { error } with a 400 answer listing the paths that failed:
+// { error: 'Invalid data: ...', errors: [{ path, message }] }
+export function parseDocument(body) {
+  const text = body || '{}';
+  if (text.length > StarSchema.LIMITS.documentBytes) {
+    return invalid(StarSchema.validate(null, text.length));
+  }
+
+  let doc;
+  try {
+    doc = JSON.parse(text);
+  } catch (err) {
+    return { error: { error: 'Invalid data: body is not valid JSON', errors: [{ path: '', message: err.message }] } };
+  }
+
+  const errors = StarSchema.validate(doc, text.length);
+  return errors.length > 0 ? invalid(errors) : { doc };
+}
+
+function invalid(errors) {
+  return { error: { error: `Invalid data: ${StarSchema.describe(errors)}`, errors } };
+}
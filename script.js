@@ -1,30 +1,64 @@
 // StarBoard - Student Star Rating System
 // Pure JavaScript implementation with IndexedDB-backed local database
 
+// Undo entries kept per teacher, and how long a toast offers to undo
+const UNDO_LIMIT = 50;
+const UNDO_TOAST_DURATION = 6000;
+
 class StarBoard {
     constructor() {
-        this.currentUser = null;
+        // Teacher session issued by the server (see handleLogin)
+        this.session = this.loadSession();
+        this.currentUser = this.session ? this.session.username : null;
+        // 'teacher' or 'viewer'; decides which classes can be changed (see shared/access.js)
+        this.currentRole = this.session ? this.session.role || 'teacher' : null;
         this.currentView = 'public';
         this.currentClass = null;
         this.searchQuery = '';
+        // 'class', 'global' (every class) or 'team' (settings.teams, e.g. houses)
         this.leaderboardType = 'class';
+        // Team cards opened to show their members, kept across redraws
+        this.openTeams = new Set();
+        // Stars counted on the leaderboard: 'week', 'month', 'term' or 'all'
+        // (StarLedger.PERIODS), or 'archive:<id>' for a past term's standings.
+        // null shows the current term once the school has one, else all time.
+        this.leaderboardPeriod = null;
+        this.periodOptionsKey = null;
+        // Redraws the leaderboard when its period ends, so it starts again from zero
+        this.periodTimer = null;
         this.theme = localStorage.getItem('starboard_theme') || 'dark';
         this.soundEnabled = localStorage.getItem('starboard_sound') !== 'false';
         this.animationQueue = [];
         // In-memory cache for fast synchronous reads
         this.memoryCache = null;
+        // Last copy confirmed by the server; base for merging conflicting saves
+        this.syncedData = null;
+        // Number of operations waiting in the IndexedDB outbox
+        this.pendingCount = 0;
+        this.outboxFlush = null;
+        // Pushed or polled changes from other devices (shared/live.js)
+        this.live = null;
+        this.liveCheck = null;
+        // Leaderboard positions from the last render, for rank-change animations
+        this.leaderboardKey = null;
+        // The signed-in teacher's undo and redo stacks (see recordHistory)
+        this.history = this.loadHistory();
+        // Students ticked in the teacher portal for bulk star awards
+        this.selectedStudents = new Set();
+        // Storage backends in priority order (shared/storage.js)
+        this.storage = StarStorage.createChain({
+            headers: () => this.authHeaders(),
+            onUnauthorized: () => this.handleSessionExpired(),
+            validate: data => this.validateDataStructure(data)
+        });
 
-        // Supabase state
-        this.supabaseUrl = null;
-        this.supabaseKey = null;
-        this.supabase = null;
-        
         this.initializeApp();
         this.bindEvents();
         this.applyTheme();
         this.loadFromURL();
         this.initializeAudio();
         this.startAnimationLoop();
+        this.registerServiceWorker();
     }
 
     // Initialize the application with enhanced data management
@@ -32,54 +66,75 @@ class StarBoard {
         // Initialize data storage
         await this.initializeDataStorage();
 
+        // Older documents only carry bare star counts; give them a ledger
+        if (StarLedger.normalizeDocument(this.getData())) {
+            await this.saveData(this.getData());
+        }
+
         this.loadClasses();
         this.updateUI();
         this.initializeParticleEffects();
         this.updateWelcomeStats();
 
+        // Send changes left over from an earlier offline session
+        await this.updatePendingIndicator();
+        this.flushOutbox();
+
+        this.startLiveUpdates();
+
         // Set up periodic data validation
         setInterval(() => {
             this.validateAndCleanupData();
         }, 300000); // Every 5 minutes
+
+        // Retry queued changes; the 'online' event does not fire for every kind of outage
+        setInterval(() => {
+            if (this.pendingCount > 0) this.flushOutbox();
+        }, 30000);
     }
 
     async initializeDataStorage() {
-        // Try Supabase through Netlify Function first, then local IndexedDB
+        // Offline start (e.g. an installed app on a classroom tablet): skip
+        // the network and boot from the copy saved on this device
+        if (navigator.onLine === false) {
+            await this.loadLocalCopy();
+            this.showToast('You are offline, showing the data saved on this device', 'info');
+            return;
+        }
+
+        // The shared copy from the first server that answers (shared/storage.js)
         try {
-            const supabaseData = await this.tryLoadFromSupabase();
-            if (supabaseData) {
-                this.memoryCache = supabaseData;
-                await this.dbInit();
-                await this.dbSave(supabaseData);
-                localStorage.setItem('starboard_data', JSON.stringify(supabaseData, null, 2));
+            const loaded = await this.storage.load();
+            if (loaded) {
+                this.memoryCache = loaded.data;
+                this.syncedData = JSON.parse(JSON.stringify(loaded.data));
+                // Changes still in the outbox are not on the server yet
+                await this.replayOutbox(loaded.data);
+                await this.storage.saveLocal(loaded.data);
+                localStorage.setItem(StarStorage.localKey('starboard_server_backed'), 'true');
                 return;
             }
         } catch (e) {
-            console.warn('Supabase unavailable, falling back to local storage:', e);
+            console.warn('Server storage unavailable, falling back to local storage:', e);
         }
 
-        // Try legacy Netlify Blobs function
-        try {
-            const netlifyData = await this.tryLoadFromNetlify();
-            if (netlifyData) {
-                this.memoryCache = netlifyData;
-                await this.dbInit();
-                await this.dbSave(netlifyData);
-                localStorage.setItem('starboard_data', JSON.stringify(netlifyData, null, 2));
-                return;
-            }
-        } catch (_) {}
+        await this.loadLocalCopy();
+    }
 
-        // Initialize local DB and prime cache
-        await this.dbInit();
-        const existing = await this.dbLoad();
-        if (existing) {
-            this.memoryCache = existing;
-            } else {
-                const defaultData = this.createDefaultData();
-            this.memoryCache = defaultData;
-            await this.dbSave(defaultData);
-        }
+    // Prime the cache from the copy on this device (IndexedDB, then
+    // localStorage), else start fresh
+    async loadLocalCopy() {
+        const local = await this.storage.loadLocal();
+        this.memoryCache = local ? local.data : this.createDefaultData();
+        await this.storage.saveLocal(this.memoryCache);
+    }
+
+    // Cache the app shell so StarBoard starts without a network (see sw.js)
+    registerServiceWorker() {
+        if (!('serviceWorker' in navigator) || location.protocol === 'file:') return;
+        navigator.serviceWorker.register('sw.js').catch(error => {
+            console.warn('Service worker registration failed:', error);
+        });
     }
 
     // Local database-backed Data Storage System
@@ -89,22 +144,31 @@ class StarBoard {
         const cached = this.getDataFromLocalStorage();
         this.memoryCache = cached;
         // Kick off async write to IndexedDB if needed
-        this.dbSave(cached).catch(() => {});
+        this.storage.saveLocal(cached).catch(() => {});
         return cached;
     }
 
-    // Save data to Firestore when available, otherwise IndexedDB; always refresh localStorage cache
-    async saveData(data) {
+    // Save data to the first server that takes it (shared/storage.js) and
+    // always to the copy on this device
+    async saveData(data, attempt = 0) {
         try {
+            // Queued operations go first so the server sees changes in order
+            if (this.pendingCount > 0) await this.flushOutbox();
+
+            // Keep cached star totals in line with each student's ledger
+            StarLedger.normalizeDocument(data);
+
             // Validate before saving
-            if (!this.validateDataStructure(data)) {
-                console.error('Invalid data structure, refusing to save');
-                this.showToast('Invalid data structure', 'error');
+            const errors = StarSchema.validate(data);
+            if (errors.length > 0) {
+                console.error('Invalid data structure, refusing to save:', StarSchema.describe(errors));
+                this.showToast('Invalid data: ' + StarSchema.describe(errors.slice(0, 3)), 'error');
                 return false;
             }
             
-            // Create timestamp and version info
+            // Create timestamp and version info (the revision stays as the base for the server check)
             data.metadata = {
+                ...data.metadata,
                 lastModified: new Date().toISOString(),
                 version: '2.0',
                 backupCount: (data.metadata?.backupCount || 0) + 1
@@ -112,32 +176,27 @@ class StarBoard {
             
             // Update memory cache immediately
             this.memoryCache = JSON.parse(JSON.stringify(data));
+
+            // Send a snapshot: the memory cache may be edited again before the server answers
+            const snapshot = JSON.parse(JSON.stringify(this.memoryCache));
             
-            // Try Supabase first, then Netlify Blobs, else local
-            let saved = false;
-            
-            // Try Supabase
+            let saved;
             try {
-                saved = await this.trySaveToSupabase(this.memoryCache);
+                saved = await this.storage.save(snapshot);
             } catch (e) {
-                console.warn('Failed to save to Supabase:', e);
+                if (e instanceof StarMerge.ConflictError) return this.resolveSaveConflict(e.current, attempt);
+                throw e;
             }
-            
-            // If Supabase failed, try Netlify Blobs
-            if (!saved) {
-                try {
-                    saved = await this.trySaveToNetlify(this.memoryCache);
-                } catch (e) {
-                    console.warn('Failed to save to Netlify Blobs:', e);
+
+            if (saved) {
+                // Later edits are now based on the revision the server just stored
+                if (saved.revision !== undefined) {
+                    snapshot.metadata = { ...snapshot.metadata, revision: saved.revision };
                 }
+                this.syncedData = snapshot;
+                this.memoryCache.metadata.revision = snapshot.metadata.revision;
             }
-            
-            // If both failed, save locally
-            if (!saved) {
-                await this.dbSave(this.memoryCache);
-            }
-            // Always update localStorage cache for quick reloads
-            localStorage.setItem('starboard_data', JSON.stringify(this.memoryCache, null, 2));
+            await this.storage.saveLocal(this.memoryCache);
             return true;
             
         } catch (error) {
@@ -147,66 +206,363 @@ class StarBoard {
         }
     }
 
-    // Supabase I/O through Netlify Function
-    async tryLoadFromSupabase() {
-        try {
-            const res = await fetch('/.netlify/functions/supabase-starboard', {
-                headers: { 'Cache-Control': 'no-store' }
-            });
-            if (!res.ok) return null;
-            const data = await res.json();
-            if (this.validateDataStructure(data)) return data;
-            return null;
-        } catch (e) {
-            console.error('Error loading from Supabase:', e);
-            return null;
+    // Another device saved first: merge our edits onto the server copy, asking
+    // the teacher only when both sides changed the same thing, then retry
+    async resolveSaveConflict(current, attempt) {
+        if (attempt >= 2) {
+            this.showToast('Could not sync changes, please try again', 'error');
+            return false;
+        }
+
+        const { merged, conflicts } = StarMerge.mergeDocuments(this.syncedData, this.memoryCache, current);
+        if (conflicts.length > 0) {
+            const keepMine = await this.askConflictResolution(conflicts, merged);
+            if (!keepMine) StarMerge.useRemote(merged, conflicts);
         }
+
+        this.syncedData = JSON.parse(JSON.stringify(current));
+        this.memoryCache = merged;
+        this.refreshViews();
+        this.showToast('Merged with changes made on another device', 'info');
+
+        return this.saveData(merged, attempt + 1);
     }
 
-    async trySaveToSupabase(data) {
-        try {
-            const res = await fetch('/.netlify/functions/supabase-starboard', {
-                method: 'PUT',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(data)
-            });
-            return res.ok;
-        } catch (e) {
-            console.error('Error saving to Supabase:', e);
-            return false;
+    askConflictResolution(conflicts, merged) {
+        return new Promise(resolve => {
+            const items = conflicts.map(conflict => StarRender.html`<li>${StarMerge.describeConflict(conflict, merged)}</li>`);
+            this.showModal('Conflicting Changes',
+                StarRender.html`<p>These items were also changed on another device while you were editing:</p><ul>${items}</ul><p class="text-muted">All other changes from both devices have been kept.</p>`,
+                [
+                    { text: 'Use Their Version', class: 'btn-secondary', action: () => { this.closeModal(); resolve(false); } },
+                    { text: 'Keep My Changes', class: 'btn-primary', action: () => { this.closeModal(); resolve(true); } }
+                ]
+            );
+        });
+    }
+
+    // Apply a single change to the local copy right away and send just that
+    // change to the server. Returns the operation's result, or null when it
+    // could not be applied (the reason is shown as a toast). The change can
+    // be undone until the teacher signs out.
+    applyOperation(op) {
+        const done = this.runOperations([op]);
+        if (!done) return null;
+
+        this.recordHistory([op], done.inverses);
+        return done.results[0];
+    }
+
+    // Apply operations in order and queue each for the server. Resolves to
+    // { results, inverses }, where `inverses` undo them (last change first),
+    // or null when one was refused; the ones before it stay applied.
+    runOperations(ops) {
+        const results = [];
+        const inverses = [];
+        for (const op of ops) {
+            const prepared = StarOperations.prepare(op);
+            try {
+                const data = this.getData();
+                const clean = StarOperations.validate(prepared);
+                StarAccess.authorize(data, clean, this.currentAccount());
+                const inverse = StarOperations.inverse(data, clean);
+                results.push(StarOperations.apply(data, prepared, this.currentUser));
+                if (inverse) inverses.unshift(inverse);
+            } catch (error) {
+                if (!(error instanceof StarOperations.OperationError)) throw error;
+                this.showToast(error.message, 'error');
+                return null;
+            }
+            this.syncOperation(prepared).catch(error => this.reportSyncFailure(error));
         }
+        return { results, inverses };
     }
 
-    // Legacy Netlify Blobs Function I/O
-    async tryLoadFromNetlify() {
+    // Undo history. Each entry is one teacher action: the operations it made
+    // and the operations that take it back. Undoing replays the inverses as
+    // new changes, so the server and the star ledger see ordinary operations.
+    // Kept in sessionStorage, so it survives reloads until the tab is closed
+    // or the teacher signs out.
+    loadHistory() {
         try {
-            const res = await fetch('/.netlify/functions/starboard', { headers: { 'Cache-Control': 'no-store' } });
-            if (!res.ok) return null;
-            const data = await res.json();
-            if (this.validateDataStructure(data)) return data;
-            return null;
+            const stored = JSON.parse(sessionStorage.getItem(StarStorage.localKey('starboard_history')));
+            if (stored && stored.user === this.currentUser) return stored;
+        } catch (e) {}
+        return { user: this.currentUser, undo: [], redo: [] };
+    }
+
+    saveHistory() {
+        try {
+            sessionStorage.setItem(StarStorage.localKey('starboard_history'), JSON.stringify(this.history));
         } catch (e) {
-            return null;
+            // Over the storage quota (large class snapshots): keep it for this page only
         }
     }
 
-    async trySaveToNetlify(data) {
-        try {
-            const res = await fetch('/.netlify/functions/starboard', {
-                method: 'PUT',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(data)
+    clearHistory() {
+        this.history = { user: this.currentUser, undo: [], redo: [] };
+        sessionStorage.removeItem(StarStorage.localKey('starboard_history'));
+    }
+
+    recordHistory(ops, inverses) {
+        if (inverses.length === 0) return;
+        this.history.undo = [...this.history.undo, { ops, inverses }].slice(-UNDO_LIMIT);
+        this.history.redo = [];
+        this.saveHistory();
+    }
+
+    // Take back the latest change. `entry` (from a toast) must still be the
+    // latest one, so an old toast cannot undo a newer change.
+    undo(entry) {
+        const latest = this.history.undo[this.history.undo.length - 1];
+        if (!latest) return this.showToast('Nothing to undo', 'info');
+        if (entry && entry !== latest) return this.showToast('Undo the newer changes first', 'info');
+
+        this.history.undo.pop();
+        const done = this.runOperations(latest.inverses);
+        if (done) this.history.redo.push(latest);
+        this.saveHistory();
+        if (!done) return;
+
+        this.showHistoryChange(done.results);
+        this.showToast('Change undone', 'success', UNDO_TOAST_DURATION, { text: 'Redo', handler: () => this.redo() });
+    }
+
+    redo() {
+        const entry = this.history.redo.pop();
+        if (!entry) return this.showToast('Nothing to redo', 'info');
+
+        const done = this.runOperations(entry.ops);
+        if (done) this.history.undo.push({ ops: entry.ops, inverses: done.inverses });
+        this.saveHistory();
+        if (!done) return;
+
+        this.showHistoryChange(done.results);
+        this.showUndoToast('Change redone');
+    }
+
+    // Success toast with an Undo button for the change just recorded
+    showUndoToast(message) {
+        const entry = this.history.undo[this.history.undo.length - 1];
+        this.showToast(message, 'success', UNDO_TOAST_DURATION, entry && { text: 'Undo', handler: () => this.undo(entry) });
+    }
+
+    // Redraw after undo / redo. Stays on the current class, or follows the
+    // class the change was about when that one is gone (e.g. after undoing
+    // a rename or a deletion).
+    showHistoryChange(results) {
+        const data = this.getData();
+        if (!data.classes[this.currentClass]) {
+            const className = results.map(result => result.className).reverse().find(name => data.classes[name]);
+            this.selectTeacherClass(className || '');
+        }
+        this.refreshViews();
+    }
+
+    // Ctrl+Z undoes, Ctrl+Shift+Z or Ctrl+Y redoes; text fields keep their own undo
+    handleHistoryKey(e) {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+        if (this.currentView !== 'teacher' || !this.currentUser) return;
+        if (e.target.closest && e.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) {
+            e.preventDefault();
+            this.undo();
+        } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+            e.preventDefault();
+            this.redo();
+        }
+    }
+
+    // Queue an already applied operation for the server. Operations wait in
+    // the IndexedDB outbox until a server accepts them, so changes made while
+    // offline survive a reload and are sent in order once the connection is back.
+    async syncOperation(op) {
+        // Local-only mode has no server to send to
+        const serverBacked = this.syncedData || localStorage.getItem(StarStorage.localKey('starboard_server_backed')) === 'true';
+        if (serverBacked) {
+            await this.outboxAdd(op);
+            this.pendingCount++;
+        }
+
+        const data = this.memoryCache;
+        data.metadata = { ...data.metadata, lastModified: new Date().toISOString() };
+        await this.storage.saveLocal(data);
+
+        if (serverBacked) await this.flushOutbox();
+    }
+
+    // Send the outbox, unless a flush is already running. Never rejects:
+    // failures are shown on the pending-changes indicator and the changes
+    // stay queued for the next attempt.
+    flushOutbox() {
+        if (!this.outboxFlush) {
+            this.outboxFlush = this.sendOutbox()
+                .catch(error => this.reportSyncFailure(error))
+                .finally(() => {
+                    this.outboxFlush = null;
+                });
+        }
+        return this.outboxFlush;
+    }
+
+    // A change could not be queued or sent (storage full, an unexpected
+    // server answer, ...); clicking the indicator tries again
+    reportSyncFailure(error) {
+        console.warn('Sync failed:', error);
+        const button = document.getElementById('pendingChangesBtn');
+        button.classList.remove('hidden');
+        button.classList.add('error');
+        document.getElementById('pendingChangesText').textContent = 'Sync failed, click to retry';
+    }
+
+    // Send queued operations to the first server that answers, oldest first.
+    // Stops at the first one that cannot be delivered and keeps it for the
+    // next attempt; operations the server refuses are dropped.
+    async sendOutbox() {
+        // Writes need a session; queued changes wait for the next login
+        if (!this.session) return this.updatePendingIndicator();
+
+        let sent = 0;
+        let refused = 0;
+
+        let entries = await this.outboxAll();
+        while (entries.length > 0) {
+            for (const entry of entries) {
+                const op = StarOperations.freshen(entry.op);
+                let result;
+                try {
+                    result = await this.storage.send(op);
+                } catch (e) {
+                    if (!(e instanceof StarOperations.OperationError)) throw e;
+                    if (e.status === 401) {
+                        this.handleSessionExpired();
+                        return this.updatePendingIndicator();
+                    }
+                    // The server copy no longer matches ours, e.g. the class was deleted elsewhere
+                    this.showToast('Could not save: ' + e.message, 'error');
+                    await this.outboxDelete(entry.seq);
+                    refused++;
+                    continue;
+                }
+
+                if (!result) {
+                    await this.updatePendingIndicator();
+                    return;
+                }
+                await this.outboxDelete(entry.seq);
+                this.trackServerRevision(op, result.revision);
+                sent++;
+            }
+            // Operations queued while this batch was being sent
+            entries = await this.outboxAll();
+        }
+
+        await this.updatePendingIndicator();
+        if (sent > 0 && refused === 0 && this.syncedData) {
+            // trackServerRevision moved the revision on
+            await this.storage.saveLocal(this.memoryCache);
+        } else if (sent > 0 || refused > 0) {
+            // Refused changes, or a session that started offline without a
+            // server copy: start again from the server's data
+            await this.reloadFromServer();
+        }
+    }
+
+    // Apply the queued operations to a freshly loaded document
+    async replayOutbox(doc) {
+        const entries = await this.outboxAll();
+        entries.forEach(entry => {
+            try {
+                StarOperations.apply(doc, StarOperations.freshen(entry.op), this.currentUser);
+            } catch (e) {
+                // Sent later anyway; the server reports what no longer fits
+            }
+        });
+    }
+
+    async updatePendingIndicator() {
+        this.pendingCount = (await this.outboxAll()).length;
+        const button = document.getElementById('pendingChangesBtn');
+        button.classList.remove('error');
+        button.classList.toggle('hidden', this.pendingCount === 0);
+        document.getElementById('pendingChangesText').textContent =
+            `${this.pendingCount} change${this.pendingCount === 1 ? '' : 's'} pending`;
+    }
+
+    // Follow the server revision when nobody else wrote in between, so that
+    // full saves stay based on the right revision and merge base
+    trackServerRevision(op, revision) {
+        const known = Number(this.memoryCache.metadata?.revision) || 0;
+        if (revision !== known + 1) return;
+
+        if (this.syncedData) {
+            try {
+                StarOperations.apply(this.syncedData, op, this.currentUser);
+            } catch (_) {
+                return;
+            }
+            this.syncedData.metadata = { ...this.syncedData.metadata, revision };
+        }
+        this.memoryCache.metadata.revision = revision;
+    }
+
+    // Replace the local copy with the server's after a refused change
+    async reloadFromServer() {
+        const loaded = await this.storage.load();
+        if (loaded) await this.useServerData(loaded.data);
+    }
+
+    // Follow changes made on other devices; local-only copies have nothing to follow
+    startLiveUpdates() {
+        if (this.live || !(this.syncedData || localStorage.getItem(StarStorage.localKey('starboard_server_backed')) === 'true')) return;
+        this.live = new StarLive.LiveUpdates(revision => this.checkForUpdates(revision));
+        this.live.start();
+    }
+
+    // Load the server copy when it is newer than ours. `revision` is the one
+    // announced by a realtime broadcast; polls pass none.
+    checkForUpdates(revision) {
+        if (!this.liveCheck) {
+            this.liveCheck = this.loadNewerData(revision).finally(() => {
+                this.liveCheck = null;
             });
-            return res.ok;
-        } catch (e) {
-            return false;
         }
+        return this.liveCheck;
+    }
+
+    async loadNewerData(revision) {
+        const known = Number(this.getData().metadata?.revision) || 0;
+        if (revision !== undefined && revision <= known) return;
+        // Our own changes are still on their way; sending them ends with a reload if needed
+        if (this.outboxFlush || this.pendingCount > 0) return;
+
+        // Conditional: an unchanged document costs an empty 304
+        const loaded = await this.storage.load({ conditional: true });
+        const data = loaded && loaded.data;
+        if (!data || (Number(data.metadata?.revision) || 0) <= known) return;
+        // A change was made while loading; the next check picks the data up
+        const changed = (Number(this.getData().metadata?.revision) || 0) !== known;
+        if (changed || this.outboxFlush || this.pendingCount > 0) return;
+
+        await this.useServerData(data);
+    }
+
+    // Make a server copy the local one, keeping changes still in the outbox
+    async useServerData(data) {
+        StarLedger.normalizeDocument(data);
+        this.syncedData = JSON.parse(JSON.stringify(data));
+        await this.replayOutbox(data);
+        this.memoryCache = data;
+        await this.storage.saveLocal(data);
+        this.refreshViews();
     }
 
     // Local storage cache methods
     getDataFromLocalStorage() {
         try {
-            const data = localStorage.getItem('starboard_data');
+            const data = localStorage.getItem(StarStorage.localKey('starboard_data'));
             if (!data) {
                 return this.createDefaultData();
             }
@@ -226,34 +582,18 @@ class StarBoard {
         }
     }
 
-    // IndexedDB implementation
-    async dbInit() {
-        return new Promise((resolve, reject) => {
-            const request = indexedDB.open('starboard_db', 1);
-            request.onupgradeneeded = () => {
-                const db = request.result;
-                if (!db.objectStoreNames.contains('kv')) {
-                    db.createObjectStore('kv');
-                }
-            };
-            request.onsuccess = () => resolve();
-            request.onerror = () => reject(request.error);
-        });
+    // The outbox lives next to the document in IndexedDB (shared/storage.js)
+    // Queued operations, oldest first
+    outboxAll() {
+        return StarStorage.idbRequest('outbox', 'readonly', store => store.getAll());
     }
 
-    async dbLoad() {
-        return new Promise((resolve, reject) => {
-            const openReq = indexedDB.open('starboard_db', 1);
-            openReq.onsuccess = () => {
-                const db = openReq.result;
-                const tx = db.transaction('kv', 'readonly');
-                const store = tx.objectStore('kv');
-                const getReq = store.get('data');
-                getReq.onsuccess = () => resolve(getReq.result || null);
-                getReq.onerror = () => reject(getReq.error);
-            };
-            openReq.onerror = () => reject(openReq.error);
-        });
+    outboxAdd(op) {
+        return StarStorage.idbRequest('outbox', 'readwrite', store => store.add({ op, queuedAt: new Date().toISOString() }));
+    }
+
+    outboxDelete(seq) {
+        return StarStorage.idbRequest('outbox', 'readwrite', store => store.delete(seq));
     }
 
     // Supabase configuration info modal
@@ -271,18 +611,9 @@ class StarBoard {
                             <li>Create a new project (free tier available)</li>
                         </ul>
                     </li>
-                    <li><strong>Create the Database Table:</strong>
-                        <p>Run this SQL in your Supabase SQL editor:</p>
-                        <pre style="background: rgba(0,0,0,0.2); padding: 10px; border-radius: 5px;">
-CREATE TABLE IF NOT EXISTS starboard_data (
-    id TEXT PRIMARY KEY,
-    data JSONB NOT NULL,
-    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
-);
-
--- Create an index for faster queries
-CREATE INDEX IF NOT EXISTS idx_starboard_id ON starboard_data(id);
-                        </pre>
+                    <li><strong>Create the Database Tables:</strong>
+                        <p>Run the contents of <code>supabase/schema.sql</code> (in the StarBoard repository) in your Supabase SQL editor.</p>
+                        <p>Upgrading from the single-table setup? Run the file, then send one <code>POST</code> request to <code>/.netlify/functions/supabase-starboard/migrate</code> to move your existing data into the new tables.</p>
                     </li>
                     <li><strong>Configure Netlify Environment Variables:</strong>
                         <p>In your Netlify site settings, add these environment variables:</p>
@@ -313,31 +644,25 @@ CREATE INDEX IF NOT EXISTS idx_starboard_id ON starboard_data(id);
         ]);
     }
 
-    async dbSave(data) {
-        return new Promise((resolve, reject) => {
-            const openReq = indexedDB.open('starboard_db', 1);
-            openReq.onsuccess = () => {
-                const db = openReq.result;
-                const tx = db.transaction('kv', 'readwrite');
-                const store = tx.objectStore('kv');
-                const putReq = store.put(data, 'data');
-                putReq.onsuccess = () => resolve(true);
-                putReq.onerror = () => reject(putReq.error);
-            };
-            openReq.onerror = () => reject(openReq.error);
-        });
-    }
-
     // Bind event listeners
     bindEvents() {
         // Navigation
         document.getElementById('publicViewBtn').addEventListener('click', () => this.switchView('public'));
         document.getElementById('teacherPortalBtn').addEventListener('click', () => this.switchView('teacher'));
         document.getElementById('themeToggle').addEventListener('click', () => this.toggleTheme());
+        document.getElementById('pendingChangesBtn').addEventListener('click', () => this.flushOutbox());
+        window.addEventListener('online', () => this.flushOutbox());
 
         // Public view events
         document.getElementById('classSelect').addEventListener('change', (e) => this.selectClass(e.target.value));
         document.getElementById('leaderboardType').addEventListener('change', (e) => this.changeLeaderboardType(e.target.value));
+        document.getElementById('leaderboardPeriod').addEventListener('change', (e) => this.changeLeaderboardPeriod(e.target.value));
+        // toggle does not bubble, so listen while it travels down to the team card
+        document.getElementById('leaderboard').addEventListener('toggle', (e) => {
+            if (!e.target.matches('.team-card')) return;
+            if (e.target.open) this.openTeams.add(e.target.dataset.teamId);
+            else this.openTeams.delete(e.target.dataset.teamId);
+        }, true);
         document.getElementById('studentSearch').addEventListener('input', (e) => this.searchStudents(e.target.value));
         document.getElementById('shareClassBtn').addEventListener('click', () => this.shareClass());
 
@@ -349,9 +674,43 @@ CREATE INDEX IF NOT EXISTS idx_starboard_id ON starboard_data(id);
         document.getElementById('createClassBtn').addEventListener('click', () => this.createClass());
         document.getElementById('teacherClassSelect').addEventListener('change', (e) => this.selectTeacherClass(e.target.value));
         document.getElementById('addStudentBtn').addEventListener('click', () => this.addStudent());
+        document.getElementById('importRosterBtn').addEventListener('click', () => this.showRosterImport());
         document.getElementById('renameClassBtn').addEventListener('click', () => this.renameClass());
         document.getElementById('deleteClassBtn').addEventListener('click', () => this.deleteClass());
 
+        // Bulk star actions
+        document.getElementById('selectAllStudents').addEventListener('change', (e) => this.selectAllStudents(e.target.checked));
+        document.getElementById('groupSelect').addEventListener('change', (e) => this.selectGroup(e.target.value));
+        document.getElementById('bulkStarCategory').addEventListener('change', (e) => this.selectBulkCategory(e.target.value));
+        document.getElementById('awardSelectedBtn').addEventListener('click', () => this.awardStars([...this.selectedStudents]));
+        document.getElementById('awardClassBtn').addEventListener('click', () => this.awardClass());
+        document.getElementById('awardGroupBtn').addEventListener('click', () => this.awardGroup());
+        document.getElementById('saveGroupBtn').addEventListener('click', () => this.saveGroup());
+        document.getElementById('deleteGroupBtn').addEventListener('click', () => this.deleteGroup());
+        document.getElementById('studentList').addEventListener('change', (e) => {
+            if (e.target.matches('.student-select input')) this.toggleStudentSelection(e.target.dataset.studentId, e.target.checked);
+        });
+
+        // Undo / redo shortcuts
+        document.addEventListener('keydown', (e) => this.handleHistoryKey(e));
+
+        // Student list buttons carry data-action (shared/render.js)
+        StarRender.delegate(document.getElementById('studentList'), {
+            modifyStars: ({ studentId, amount }) => this.modifyStars(studentId, Number(amount)),
+            awardCategory: ({ studentId, categoryId }) => this.awardCategory(studentId, categoryId),
+            showStudentHistory: ({ studentId }) => this.showStudentHistory(studentId),
+            editStudent: ({ studentId }) => this.editStudent(studentId),
+            removeStudent: ({ studentId }) => this.removeStudent(studentId)
+        });
+
+        // Star categories
+        document.getElementById('categoriesBtn').addEventListener('click', () => this.showCategoryEditor());
+        StarRender.delegate(document.getElementById('modalBody'), {
+            removeCategory: ({ index }) => this.showCategoryEditor(
+                this.readCategoryEditor().filter((category, i) => i !== Number(index))
+            )
+        });
+
         // Data management
         document.getElementById('exportDataBtn').addEventListener('click', () => this.exportData());
         document.getElementById('importDataBtn').addEventListener('click', () => this.importData());
@@ -387,6 +746,11 @@ CREATE INDEX IF NOT EXISTS idx_starboard_id ON starboard_data(id);
         if (view === 'teacher' && !this.currentUser) {
             document.getElementById('loginForm').style.display = 'block';
             document.getElementById('teacherDashboard').classList.remove('active');
+        } else if (view === 'teacher') {
+            // Signed in earlier with a session that is still valid
+            document.getElementById('loginForm').style.display = 'none';
+            document.getElementById('teacherDashboard').classList.add('active');
+            this.updateAccessControls();
         }
         
         this.updateURL();
@@ -411,6 +775,7 @@ CREATE INDEX IF NOT EXISTS idx_starboard_id ON starboard_data(id);
         const params = new URLSearchParams();
         if (this.currentView === 'teacher') params.set('view', 'teacher');
         if (this.currentClass && this.currentView === 'public') params.set('class', this.currentClass);
+        if (this.leaderboardPeriod && this.currentView === 'public') params.set('period', this.leaderboardPeriod);
         
         const url = params.toString() ? `${window.location.pathname}?${params.toString()}` : window.location.pathname;
         window.history.pushState({}, '', url);
@@ -421,6 +786,9 @@ CREATE INDEX IF NOT EXISTS idx_starboard_id ON starboard_data(id);
         if (params.get('view') === 'teacher') {
             this.switchView('teacher');
         }
+        if (params.get('period')) {
+            this.leaderboardPeriod = this.validPeriod(params.get('period'));
+        }
         if (params.get('class')) {
             this.selectClass(params.get('class'));
         }
@@ -436,11 +804,37 @@ CREATE INDEX IF NOT EXISTS idx_starboard_id ON starboard_data(id);
         teacherClassSelect.innerHTML = '<option value="">Select a class to manage</option>';
         
         Object.keys(data.classes).forEach(className => {
-            const option1 = new Option(className, className);
-            const option2 = new Option(className, className);
-            classSelect.appendChild(option1);
-            teacherClassSelect.appendChild(option2);
+            classSelect.appendChild(new Option(className, className));
         });
+
+        // Teachers only manage the classes they own or are assigned to
+        if (this.currentUser) {
+            StarAccess.visibleClasses(data, this.currentAccount()).forEach(className => {
+                teacherClassSelect.appendChild(new Option(className, className));
+            });
+        }
+    }
+
+    currentAccount() {
+        return { username: this.currentUser, role: this.currentRole };
+    }
+
+    // Show only the controls the signed-in account may use on the selected class
+    updateAccessControls() {
+        const account = this.currentAccount();
+        const classData = this.currentClass ? this.getData().classes[this.currentClass] : null;
+        const toggle = (id, allowed) => document.getElementById(id).classList.toggle('hidden', !allowed);
+
+        toggle('createClassBtn', this.currentRole === 'teacher');
+        toggle('newClassName', this.currentRole === 'teacher');
+        toggle('importDataBtn', this.currentRole === 'teacher');
+        toggle('categoriesBtn', this.currentRole === 'teacher');
+        toggle('addStudentBtn', StarAccess.canEdit(classData, account));
+        toggle('newStudentName', StarAccess.canEdit(classData, account));
+        toggle('importRosterBtn', StarAccess.canEdit(classData, account));
+        toggle('bulkStars', StarAccess.canEdit(classData, account));
+        toggle('renameClassBtn', StarAccess.canManage(classData, account));
+        toggle('deleteClassBtn', StarAccess.canManage(classData, account));
     }
 
     createClass() {
@@ -450,21 +844,10 @@ CREATE INDEX IF NOT EXISTS idx_starboard_id ON starboard_data(id);
             return;
         }
 
-        const data = this.getData();
-        if (data.classes[className]) {
-            this.showToast('Class already exists', 'error');
-            return;
-        }
-
-        data.classes[className] = {
-            students: {},
-            created: new Date().toISOString()
-        };
-
-        if (this.saveData(data)) {
+        if (this.applyOperation({ type: 'createClass', className, owner: this.currentUser })) {
             document.getElementById('newClassName').value = '';
             this.loadClasses();
-            this.showToast('Class created successfully', 'success');
+            this.showUndoToast('Class created successfully');
         }
     }
 
@@ -479,6 +862,7 @@ CREATE INDEX IF NOT EXISTS idx_starboard_id ON starboard_data(id);
     }
 
     selectTeacherClass(className) {
+        if (className !== this.currentClass) this.selectedStudents.clear();
         this.currentClass = className;
         const managementSection = document.getElementById('studentManagement');
         const statisticsSection = document.getElementById('classStatistics');
@@ -494,28 +878,25 @@ CREATE INDEX IF NOT EXISTS idx_starboard_id ON starboard_data(id);
             managementSection.style.display = 'none';
             statisticsSection.style.display = 'none';
         }
+        this.updateAccessControls();
     }
 
     renameClass() {
         if (!this.currentClass) return;
         
         this.showModal('Rename Class', 
-            `<input type="text" id="newClassNameInput" value="${this.currentClass}" class="glass-input" style="width: 100%; padding: 12px; margin-bottom: 15px;">`,
+            StarRender.html`<input type="text" id="newClassNameInput" value="${this.currentClass}" class="glass-input" style="width: 100%; padding: 12px; margin-bottom: 15px;">`,
             [
                 { text: 'Cancel', class: 'btn-secondary', action: 'close' },
                 { text: 'Rename', class: 'btn-primary', action: () => {
                     const newName = document.getElementById('newClassNameInput').value.trim();
                     if (newName && newName !== this.currentClass) {
-                        const data = this.getData();
-                        data.classes[newName] = data.classes[this.currentClass];
-                        delete data.classes[this.currentClass];
-                        
-                        if (this.saveData(data)) {
+                        if (this.applyOperation({ type: 'updateClass', className: this.currentClass, newName })) {
                             this.currentClass = newName;
                             this.loadClasses();
                             this.selectTeacherClass(newName);
                             document.getElementById('teacherClassSelect').value = newName;
-                            this.showToast('Class renamed successfully', 'success');
+                            this.showUndoToast('Class renamed successfully');
                             this.closeModal();
                         }
                     }
@@ -528,18 +909,15 @@ CREATE INDEX IF NOT EXISTS idx_starboard_id ON starboard_data(id);
         if (!this.currentClass) return;
         
         this.showModal('Delete Class', 
-            `<p>Are you sure you want to delete the class "<strong>${this.currentClass}</strong>"?</p><p class="text-muted">This action cannot be undone and will remove all students and their stars.</p>`,
+            StarRender.html`<p>Are you sure you want to delete the class "<strong>${this.currentClass}</strong>"?</p><p class="text-muted">The class and its students move to the trash. You can undo it with Ctrl+Z, or an admin can restore it from the trash.</p>`,
             [
                 { text: 'Cancel', class: 'btn-secondary', action: 'close' },
                 { text: 'Delete', class: 'btn-danger', action: () => {
-                    const data = this.getData();
-                    delete data.classes[this.currentClass];
-                    
-                    if (this.saveData(data)) {
+                    if (this.applyOperation({ type: 'deleteClass', className: this.currentClass })) {
                         this.loadClasses();
                         this.selectTeacherClass('');
                         document.getElementById('teacherClassSelect').value = '';
-                        this.showToast('Class deleted successfully', 'success');
+                        this.showUndoToast('Class deleted successfully');
                         this.closeModal();
                     }
                 }}
@@ -560,83 +938,410 @@ CREATE INDEX IF NOT EXISTS idx_starboard_id ON starboard_data(id);
             return;
         }
 
-        const data = this.getData();
-        const studentId = this.generateId();
-        
-        if (!data.classes[this.currentClass]) {
-            data.classes[this.currentClass] = { students: {} };
-        }
-
-        data.classes[this.currentClass].students[studentId] = {
-            name: studentName,
-            stars: 0,
-            created: new Date().toISOString()
-        };
+        const added = this.applyOperation({
+            type: 'addStudent',
+            className: this.currentClass,
+            studentId: this.generateId(),
+            name: studentName
+        });
 
-        if (this.saveData(data)) {
+        if (added) {
             document.getElementById('newStudentName').value = '';
             this.loadStudents();
-            this.showToast('Student added successfully', 'success');
+            this.showUndoToast('Student added successfully');
         }
     }
 
+    // Roster import (shared/roster.js): paste or upload a class list, check
+    // the preview, then add every student in one step that undoes as one
+    showRosterImport(text = '') {
+        if (!this.currentClass) {
+            this.showToast('Please select a class first', 'error');
+            return;
+        }
+
+        this.showModal('Import Roster',
+            StarRender.html`
+                <p class="text-muted">Paste one name per line, or a CSV or TSV file with columns for name, student ID, stars and class. A header row can name the columns in any order; without one, "Last, First" lines are read as one name for you to check. Students without a class go to <strong>${this.currentClass}</strong>.</p>
+                <input type="file" id="rosterFile" accept=".csv,.tsv,.txt,text/csv,text/plain" class="roster-file">
+                <textarea id="rosterText" class="glass-input roster-text" rows="10" placeholder="Name,Student ID,Stars&#10;Ada Lovelace,s-101,5&#10;Alan Turing,s-102,0">${text}</textarea>
+            `,
+            [
+                { text: 'Cancel', class: 'btn-secondary', action: 'close' },
+                { text: 'Preview', class: 'btn-primary', action: () => this.previewRoster(document.getElementById('rosterText').value) }
+            ]
+        );
+
+        document.getElementById('rosterFile').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+            const reader = new FileReader();
+            reader.onload = (event) => {
+                document.getElementById('rosterText').value = event.target.result;
+            };
+            reader.readAsText(file);
+        });
+    }
+
+    previewRoster(text) {
+        const { rows } = StarRoster.parse(text);
+        if (rows.length === 0) {
+            this.showToast('No students found to import', 'error');
+            return;
+        }
+
+        const checked = StarRoster.check(this.getData(), rows, { className: this.currentClass, user: this.currentAccount() });
+        const count = status => checked.filter(row => row.status === status).length;
+        const unsure = count('confirm');
+        const duplicates = count('duplicate');
+        const labels = { ready: 'Ready', confirm: 'Check', duplicate: 'Already there', error: 'Error' };
+
+        this.showModal('Import Roster - Preview',
+            StarRender.html`
+                <p>${count('ready')} to add, ${unsure} to check, ${duplicates} already there, ${count('error')} with errors.</p>
+                ${unsure > 0 && StarRender.html`
+                    <label class="roster-option">
+                        <input type="checkbox" id="rosterIncludeUnsure">
+                        Add the names to check as shown
+                    </label>
+                `}
+                ${duplicates > 0 && StarRender.html`
+                    <label class="roster-option">
+                        <input type="checkbox" id="rosterIncludeDuplicates">
+                        Add the students who are already there as well
+                    </label>
+                `}
+                <div class="roster-preview">
+                    <table class="roster-table">
+                        <thead>
+                            <tr><th>Line</th><th>Name</th><th>ID</th><th>Stars</th><th>Class</th><th>Status</th></tr>
+                        </thead>
+                        <tbody>
+                            ${checked.map(row => StarRender.html`
+                                <tr class="roster-${row.status}">
+                                    <td>${row.line}</td>
+                                    <td>${row.name || ''}</td>
+                                    <td>${row.studentId || ''}</td>
+                                    <td>${row.stars === undefined ? '' : row.stars}</td>
+                                    <td>${row.className || ''}</td>
+                                    <td>${row.message ? StarRender.html`${labels[row.status]}: ${row.message}` : labels[row.status]}</td>
+                                </tr>
+                            `)}
+                        </tbody>
+                    </table>
+                </div>
+            `,
+            [
+                { text: 'Back', class: 'btn-secondary', action: () => this.showRosterImport(text) },
+                { text: 'Import', class: 'btn-primary', action: () => {
+                    const includeUnsure = unsure > 0 && document.getElementById('rosterIncludeUnsure').checked;
+                    const includeDuplicates = duplicates > 0 && document.getElementById('rosterIncludeDuplicates').checked;
+                    this.importRoster(checked.filter(row => row.status === 'ready'
+                        || (includeUnsure && row.status === 'confirm')
+                        || (includeDuplicates && row.status === 'duplicate')));
+                }}
+            ]
+        );
+    }
+
+    importRoster(rows) {
+        if (rows.length === 0) {
+            this.showToast('Nothing to import', 'error');
+            return;
+        }
+
+        const ops = StarRoster.operations(rows, () => this.generateId());
+        const done = this.runOperations(ops);
+        if (!done) {
+            // The rows before the refused one were added; show them
+            this.refreshViews();
+            return;
+        }
+
+        this.recordHistory(ops, done.inverses);
+        this.closeModal();
+        this.refreshViews();
+        this.showUndoToast(`${rows.length} student${rows.length === 1 ? '' : 's'} imported`);
+    }
+
     loadStudents() {
         const data = this.getData();
         const studentList = document.getElementById('studentList');
         
         if (!data.classes[this.currentClass] || !data.classes[this.currentClass].students) {
             studentList.innerHTML = '<div class="empty-state"><p>No students in this class yet.</p></div>';
+            this.selectedStudents.clear();
+            this.updateBulkControls();
             return;
         }
 
         const students = data.classes[this.currentClass].students;
+        const canEdit = StarAccess.canEdit(data.classes[this.currentClass], this.currentAccount());
+        const categories = StarLedger.categories(data.settings);
+        const teams = (data.settings && data.settings.teams) || [];
+        const goal = this.starGoal(data.settings);
+        const achievementContexts = new Map();
         studentList.innerHTML = '';
+        this.selectedStudents.forEach(studentId => {
+            if (!students[studentId]) this.selectedStudents.delete(studentId);
+        });
 
         Object.entries(students).forEach(([studentId, student]) => {
+            const selected = this.selectedStudents.has(studentId);
             const studentItem = document.createElement('div');
-            studentItem.className = 'student-item';
-            studentItem.innerHTML = `
+            studentItem.className = `student-item${selected ? ' selected' : ''}`;
+            studentItem.innerHTML = StarRender.html`
+                <label class="student-select${canEdit ? '' : ' hidden'}" title="Select for bulk stars">
+                    <input type="checkbox" data-student-id="${studentId}" ${selected ? StarRender.raw('checked') : ''}>
+                </label>
                 <div class="student-details">
-                    <div class="student-name">${student.name}</div>
+                    <div class="student-name">${student.name} ${this.teamBadge(student.team, teams)}</div>
                     <div class="student-stars star-counter">
                         <i class="fas fa-star"></i>
                         ${student.stars} stars
                     </div>
                     <div class="progress-bar">
-                        <div class="progress-fill" style="width: ${Math.min((student.stars / 50) * 100, 100)}%"></div>
+                        <div class="progress-fill" style="width: ${Math.min((student.stars / goal) * 100, 100)}%"></div>
                     </div>
                     <div class="achievement-badges">
-                        ${this.getAchievementBadges(student.stars)}
+                        ${this.achievementBadges(data, this.currentClass, studentId, achievementContexts)}
+                    </div>
+                    <div class="category-chips">
+                        ${this.categoryChips(student.ledger, categories)}
                     </div>
                 </div>
                 <div class="student-controls">
-                    <div class="star-controls">
-                        <button class="star-btn add" onclick="starBoard.modifyStars('${studentId}', 1)">+1</button>
-                        <button class="star-btn add" onclick="starBoard.modifyStars('${studentId}', 5)">+5</button>
-                        <button class="star-btn remove" onclick="starBoard.modifyStars('${studentId}', -1)">-1</button>
+                    <div class="star-controls${canEdit ? '' : ' hidden'}">
+                        ${categories.map(category => StarRender.html`
+                            <button class="star-btn ${category.points < 0 ? 'remove' : 'add'} category" data-action="awardCategory" data-student-id="${studentId}" data-category-id="${category.id}" title="${category.name} (${this.signed(category.points)})">
+                                <i class="fas fa-${category.icon}"></i> ${this.signed(category.points)}
+                            </button>
+                        `)}
+                        <button class="star-btn add" data-action="modifyStars" data-student-id="${studentId}" data-amount="1">+1</button>
+                        <button class="star-btn remove" data-action="modifyStars" data-student-id="${studentId}" data-amount="-1">-1</button>
                     </div>
-                    <button class="btn-secondary" onclick="starBoard.editStudent('${studentId}')">
+                    <button class="btn-secondary" data-action="showStudentHistory" data-student-id="${studentId}" title="Star history">
+                        <i class="fas fa-history"></i>
+                    </button>
+                    <button class="btn-secondary${canEdit ? '' : ' hidden'}" data-action="editStudent" data-student-id="${studentId}">
                         <i class="fas fa-edit"></i>
                     </button>
-                    <button class="btn-danger" onclick="starBoard.removeStudent('${studentId}')">
+                    <button class="btn-danger${canEdit ? '' : ' hidden'}" data-action="removeStudent" data-student-id="${studentId}">
                         <i class="fas fa-trash"></i>
                     </button>
                 </div>
             `;
             studentList.appendChild(studentItem);
         });
+        this.updateBulkControls();
+    }
+
+    // Bulk star actions: tick students (or pick a saved group) and give them
+    // all the same stars as one change, which also undoes as one
+    toggleStudentSelection(studentId, selected) {
+        if (selected) this.selectedStudents.add(studentId);
+        else this.selectedStudents.delete(studentId);
+        document.getElementById('groupSelect').value = '';
+        this.loadStudents();
+    }
+
+    selectAllStudents(selected) {
+        const classData = this.getData().classes[this.currentClass];
+        this.selectedStudents = new Set(selected && classData ? Object.keys(classData.students) : []);
+        document.getElementById('groupSelect').value = '';
+        this.loadStudents();
+    }
+
+    // Picking a group ticks its members, so the teacher sees who will get stars
+    selectGroup(group) {
+        if (!group) {
+            this.updateBulkControls();
+            return;
+        }
+        this.selectedStudents = new Set(this.groupMembers(group));
+        this.loadStudents();
+    }
+
+    groupMembers(group) {
+        const classData = this.getData().classes[this.currentClass];
+        const members = classData && classData.groups && classData.groups[group];
+        return (members || []).filter(studentId => classData.students[studentId]);
+    }
+
+    // `group` is the group to show as chosen (default: the one chosen now)
+    updateBulkControls(group = document.getElementById('groupSelect').value) {
+        const classData = this.getData().classes[this.currentClass];
+        const total = classData ? Object.keys(classData.students).length : 0;
+        const count = this.selectedStudents.size;
+
+        document.getElementById('selectedCount').textContent = `${count} of ${total} selected`;
+        const selectAll = document.getElementById('selectAllStudents');
+        selectAll.checked = total > 0 && count === total;
+        selectAll.indeterminate = count > 0 && count < total;
+        document.getElementById('awardSelectedBtn').disabled = count === 0;
+        document.getElementById('awardClassBtn').disabled = total === 0;
+        document.getElementById('saveGroupBtn').disabled = count === 0;
+
+        const groupSelect = document.getElementById('groupSelect');
+        const groups = Object.keys((classData && classData.groups) || {}).sort((a, b) => a.localeCompare(b));
+        groupSelect.innerHTML = StarRender.html`
+            <option value="">${groups.length ? 'Choose a group' : 'No groups yet'}</option>
+            ${groups.map(group => StarRender.html`<option value="${group}">${group}</option>`)}
+        `;
+        groupSelect.value = groups.includes(group) ? group : '';
+        document.getElementById('awardGroupBtn').disabled = !groupSelect.value;
+        document.getElementById('deleteGroupBtn').disabled = !groupSelect.value;
+
+        const categorySelect = document.getElementById('bulkStarCategory');
+        const categories = StarLedger.categories(this.getData().settings);
+        const category = categorySelect.value;
+        categorySelect.innerHTML = StarRender.html`
+            <option value="">No category</option>
+            ${categories.map(item => StarRender.html`<option value="${item.id}">${item.name} (${this.signed(item.points)})</option>`)}
+        `;
+        categorySelect.value = categories.some(item => item.id === category) ? category : '';
+    }
+
+    // Picking a category fills in its points, which can still be changed
+    selectBulkCategory(categoryId) {
+        const category = StarLedger.categories(this.getData().settings).find(item => item.id === categoryId);
+        if (category) document.getElementById('bulkStarAmount').value = category.points;
+    }
+
+    awardClass() {
+        const classData = this.getData().classes[this.currentClass];
+        if (classData) this.awardStars(Object.keys(classData.students), 'the whole class');
+    }
+
+    awardGroup() {
+        const group = document.getElementById('groupSelect').value;
+        if (group) this.awardStars(this.groupMembers(group), group);
+    }
+
+    // Give every student in `studentIds` the stars and reason from the bulk
+    // bar; `label` names who got them in the toast (default: the count)
+    awardStars(studentIds, label) {
+        const amount = Number(document.getElementById('bulkStarAmount').value);
+        if (!Number.isInteger(amount) || amount === 0) {
+            this.showToast('Enter a whole number of stars other than 0', 'error');
+            return;
+        }
+        if (studentIds.length === 0) {
+            this.showToast('Select at least one student', 'error');
+            return;
+        }
+
+        const students = this.getData().classes[this.currentClass].students;
+        const reason = document.getElementById('bulkStarReason').value.trim();
+        const category = document.getElementById('bulkStarCategory').value;
+        const result = this.applyOperation({
+            type: 'bulkStars',
+            className: this.currentClass,
+            delta: amount,
+            reason: reason || undefined,
+            category: category || undefined,
+            awards: studentIds.map(studentId => ({ studentId }))
+        });
+        if (!result) return;
+
+        const changed = result.awards.filter(award => award.event);
+        this.selectedStudents.clear();
+        document.getElementById('bulkStarReason').value = '';
+        this.loadStudents();
+        this.updateLeaderboard();
+        this.updateClassStatistics();
+
+        if (changed.length === 0) {
+            this.showToast('None of these students had stars to remove', 'info');
+            return;
+        }
+
+        this.createFloatingStarEffect(amount);
+        this.playSound(amount > 0 ? 'star-add' : 'star-remove');
+        this.celebrateAchievements(changed.map(award => ({
+            name: students[award.studentId].name,
+            achievements: award.achievements
+        })));
+
+        const stars = `${Math.abs(amount)} star${Math.abs(amount) !== 1 ? 's' : ''}`;
+        const who = label || `${changed.length} student${changed.length !== 1 ? 's' : ''}`;
+        this.showUndoToast(`${stars} ${amount > 0 ? 'added for' : 'removed from'} ${who}`);
     }
 
-    modifyStars(studentId, amount) {
+    saveGroup() {
+        if (this.selectedStudents.size === 0) {
+            this.showToast('Select the students for the group first', 'error');
+            return;
+        }
+
+        const current = document.getElementById('groupSelect').value;
+        this.showModal('Save Group',
+            StarRender.html`
+                <p class="text-muted">${this.selectedStudents.size} selected students. Saving under an existing name replaces that group.</p>
+                <input type="text" id="groupNameInput" value="${current}" placeholder="Group name, e.g. Table 3" class="glass-input" style="width: 100%; padding: 12px; margin-bottom: 15px;">
+            `,
+            [
+                { text: 'Cancel', class: 'btn-secondary', action: 'close' },
+                { text: 'Save', class: 'btn-primary', action: () => {
+                    const group = document.getElementById('groupNameInput').value.trim();
+                    if (!group) {
+                        this.showToast('Please enter a group name', 'error');
+                        return;
+                    }
+                    const saved = this.applyOperation({
+                        type: 'setGroup',
+                        className: this.currentClass,
+                        group,
+                        studentIds: [...this.selectedStudents]
+                    });
+                    if (saved) {
+                        this.closeModal();
+                        this.updateBulkControls(group);
+                        this.showUndoToast(`Group "${group}" saved`);
+                    }
+                }}
+            ]
+        );
+    }
+
+    deleteGroup() {
+        const group = document.getElementById('groupSelect').value;
+        if (!group) return;
+
+        if (this.applyOperation({ type: 'setGroup', className: this.currentClass, group, studentIds: null })) {
+            this.updateBulkControls();
+            this.showUndoToast(`Group "${group}" deleted`);
+        }
+    }
+
+    awardCategory(studentId, categoryId) {
+        const category = StarLedger.categories(this.getData().settings).find(item => item.id === categoryId);
+        if (category) this.modifyStars(studentId, category.points, undefined, category);
+    }
+
+    // `category` is the star category the change counts towards, if any
+    modifyStars(studentId, amount, reason, category) {
         const data = this.getData();
         const student = data.classes[this.currentClass].students[studentId];
         
         if (!student) return;
 
-        const oldStars = student.stars;
-        student.stars = Math.max(0, student.stars + amount);
-        
-        if (this.saveData(data)) {
+        if (amount < 0 && student.stars <= 0) {
+            this.showToast(`${student.name} has no stars to remove`, 'info');
+            return;
+        }
+
+        const result = this.applyOperation({
+            type: 'stars',
+            className: this.currentClass,
+            studentId,
+            delta: amount,
+            reason,
+            category: category ? category.id : undefined
+        });
+
+        if (result) {
+            const { event } = result;
             this.loadStudents();
             this.updateLeaderboard();
             this.updateClassStatistics();
@@ -647,32 +1352,74 @@ CREATE INDEX IF NOT EXISTS idx_starboard_id ON starboard_data(id);
             // Play star sound
             this.playSound(amount > 0 ? 'star-add' : 'star-remove');
             
-            // Check for new achievements
-            this.checkAchievements(oldStars, student.stars, student.name);
+            // Celebrate new achievements
+            this.celebrateAchievements([{ name: student.name, achievements: result.achievements }]);
             
-            const action = amount > 0 ? 'added' : 'removed';
-            this.showToast(`${Math.abs(amount)} star${Math.abs(amount) !== 1 ? 's' : ''} ${action} for ${student.name}`, 'success');
+            const action = event.delta > 0 ? 'added' : 'removed';
+            const stars = `${Math.abs(event.delta)} star${Math.abs(event.delta) !== 1 ? 's' : ''}`;
+            this.showUndoToast(`${stars} ${action} for ${student.name}${category ? ` (${category.name})` : ''}`);
         }
     }
 
+    showStudentHistory(studentId) {
+        const data = this.getData();
+        const student = data.classes[this.currentClass].students[studentId];
+
+        if (!student) return;
+
+        const events = StarLedger.history(student);
+        const categories = new Map(StarLedger.categories(data.settings).map(category => [category.id, category]));
+        const rows = events.map(event => {
+            const category = categories.get(event.category);
+            return StarRender.html`
+            <div class="history-item">
+                <span class="history-delta ${event.delta > 0 ? 'positive' : 'negative'}">${event.delta > 0 ? '+' : ''}${event.delta}</span>
+                <div class="history-details">
+                    <div>
+                        ${category ? StarRender.html`<span class="category-chip"><i class="fas fa-${category.icon}"></i> ${category.name}</span>` : ''}
+                        ${event.reason || (category ? '' : (event.delta > 0 ? 'Stars awarded' : 'Stars removed'))}
+                    </div>
+                    <small class="text-muted">${event.teacher} &middot; ${new Date(event.timestamp).toLocaleString()}</small>
+                </div>
+            </div>
+        `;
+        });
+
+        this.showModal(`Star History - ${student.name}`,
+            events.length ? StarRender.html`<div class="history-list">${rows}</div>` : '<p class="text-muted">No star changes recorded yet.</p>',
+            [{ text: 'Close', class: 'btn-primary', action: 'close' }]
+        );
+    }
+
     editStudent(studentId) {
         const data = this.getData();
         const student = data.classes[this.currentClass].students[studentId];
         
         if (!student) return;
+        const teams = (data.settings && data.settings.teams) || [];
 
         this.showModal('Edit Student', 
-            `<input type="text" id="editStudentNameInput" value="${student.name}" class="glass-input" style="width: 100%; padding: 12px; margin-bottom: 15px;">`,
+            StarRender.html`<input type="text" id="editStudentNameInput" value="${student.name}" class="glass-input" style="width: 100%; padding: 12px; margin-bottom: 15px;">
+            ${teams.length ? StarRender.html`
+                <label for="editStudentTeamInput">Team</label>
+                <select id="editStudentTeamInput" class="glass-input" style="width: 100%; padding: 12px; margin-bottom: 15px;">
+                    <option value="">No team</option>
+                    ${teams.map(team => StarRender.html`<option value="${team.id}" ${team.id === student.team ? StarRender.raw('selected') : ''}>${team.name}</option>`)}
+                </select>
+            ` : ''}`,
             [
                 { text: 'Cancel', class: 'btn-secondary', action: 'close' },
                 { text: 'Save', class: 'btn-primary', action: () => {
                     const newName = document.getElementById('editStudentNameInput').value.trim();
-                    if (newName && newName !== student.name) {
-                        student.name = newName;
-                        if (this.saveData(data)) {
+                    const teamInput = document.getElementById('editStudentTeamInput');
+                    const op = { type: 'updateStudent', studentId };
+                    if (newName && newName !== student.name) op.name = newName;
+                    if (teamInput && teamInput.value !== (student.team || '')) op.team = teamInput.value || null;
+                    if (op.name || op.team !== undefined) {
+                        if (this.applyOperation(op)) {
                             this.loadStudents();
                             this.updateLeaderboard();
-                            this.showToast('Student updated successfully', 'success');
+                            this.showUndoToast('Student updated successfully');
                             this.closeModal();
                         }
                     }
@@ -688,15 +1435,14 @@ CREATE INDEX IF NOT EXISTS idx_starboard_id ON starboard_data(id);
         if (!student) return;
 
         this.showModal('Remove Student', 
-            `<p>Are you sure you want to remove "<strong>${student.name}</strong>" from the class?</p><p class="text-muted">This will permanently delete their stars and progress.</p>`,
+            StarRender.html`<p>Are you sure you want to remove "<strong>${student.name}</strong>" from the class?</p><p class="text-muted">They move to the trash with their stars. You can undo it with Ctrl+Z, or an admin can restore them from the trash.</p>`,
             [
                 { text: 'Cancel', class: 'btn-secondary', action: 'close' },
                 { text: 'Remove', class: 'btn-danger', action: () => {
-                    delete data.classes[this.currentClass].students[studentId];
-                    if (this.saveData(data)) {
+                    if (this.applyOperation({ type: 'removeStudent', studentId })) {
                         this.loadStudents();
                         this.updateLeaderboard();
-                        this.showToast('Student removed successfully', 'success');
+                        this.showUndoToast('Student removed successfully');
                         this.closeModal();
                     }
                 }}
@@ -710,13 +1456,101 @@ CREATE INDEX IF NOT EXISTS idx_starboard_id ON starboard_data(id);
         this.updateLeaderboard();
     }
 
+    changeLeaderboardPeriod(period) {
+        this.leaderboardPeriod = this.validPeriod(period);
+        this.updateURL();
+        this.updateLeaderboard();
+    }
+
+    validPeriod(period) {
+        return StarLedger.PERIODS.includes(period) || /^archive:.+/.test(period) ? period : null;
+    }
+
+    // The period shown: the one picked, or this term once the school has one.
+    // A past term that no longer exists falls back the same way.
+    shownPeriod(data) {
+        const period = this.leaderboardPeriod;
+        if (period && (!period.startsWith('archive:') || (data.archives || {})[period.slice(8)])) return period;
+        return StarLedger.currentTerm(data.settings) ? 'term' : 'all';
+    }
+
+    // Name the current term and list the past ones in the period picker
+    updatePeriodOptions(data, period) {
+        const select = document.getElementById('leaderboardPeriod');
+        const current = StarLedger.currentTerm(data.settings);
+        const archives = Object.entries(data.archives || {})
+            .sort(([, a], [, b]) => new Date(b.archivedAt) - new Date(a.archivedAt));
+
+        const key = JSON.stringify([current && current.name, archives.map(([archiveId, archive]) => [archiveId, archive.name])]);
+        if (key !== this.periodOptionsKey) {
+            this.periodOptionsKey = key;
+            select.innerHTML = StarRender.html`
+                <option value="all">All Time</option>
+                <option value="week">This Week</option>
+                <option value="month">This Month</option>
+                <option value="term">${current ? `This Term (${current.name})` : 'This Term'}</option>
+                ${archives.length ? StarRender.html`
+                    <optgroup label="Past Terms">
+                        ${archives.map(([archiveId, archive]) => StarRender.html`<option value="archive:${archiveId}">${archive.name}</option>`)}
+                    </optgroup>
+                ` : ''}
+            `;
+        }
+        select.value = period;
+    }
+
+    // Redraw when the shown week, month or term ends, even if no star changes
+    scheduleLeaderboardReset(range) {
+        clearTimeout(this.periodTimer);
+        this.periodTimer = null;
+        if (!range) return;
+
+        // setTimeout cannot wait longer than about 24 days
+        const wait = Math.min(range.end - Date.now() + 1000, 0x7fffffff);
+        this.periodTimer = setTimeout(() => this.updateLeaderboard(), Math.max(wait, 1000));
+    }
+
     updateLeaderboard() {
         const leaderboard = document.getElementById('leaderboard');
         const data = this.getData();
+        const period = this.shownPeriod(data);
+        const archive = period.startsWith('archive:') ? data.archives[period.slice(8)] : null;
+        const range = archive ? null : StarLedger.periodRange(period, data.settings);
+        this.updatePeriodOptions(data, period);
+        this.scheduleLeaderboardReset(range);
 
         let students = [];
+        // Team standings take students from every class
+        const schoolWide = this.leaderboardType !== 'class';
+        const teams = (data.settings && data.settings.teams) || [];
+
+        if (archive) {
+            // A past term's final standings, as saved when the school rolled over
+            const classNames = schoolWide ? Object.keys(archive.classes) : [this.currentClass];
+            if (!archive.classes[this.currentClass] && !schoolWide) {
+                leaderboard.innerHTML = StarRender.html`
+                    <div class="empty-state">
+                        <i class="fas fa-archive"></i>
+                        <h3>${this.currentClass ? 'Not in This Term' : 'Select a Class'}</h3>
+                        <p>${this.currentClass ? `${this.currentClass} has no standings for ${archive.name}.` : 'Choose a class to view the leaderboard'}</p>
+                    </div>
+                `;
+                return;
+            }
 
-        if (this.leaderboardType === 'global') {
+            classNames.forEach(className => {
+                archive.classes[className].forEach(entry => {
+                    students.push({
+                        id: entry.studentId,
+                        name: entry.name,
+                        className,
+                        stars: entry.total || 0,
+                        periodStars: entry.stars,
+                        team: entry.team
+                    });
+                });
+            });
+        } else if (schoolWide) {
             // Global leaderboard - all students from all classes
             Object.entries(data.classes).forEach(([className, classData]) => {
                 if (classData.students) {
@@ -751,6 +1585,17 @@ CREATE INDEX IF NOT EXISTS idx_starboard_id ON starboard_data(id);
             });
         }
 
+        if (!archive) {
+            students.forEach(student => {
+                student.periodStars = StarLedger.starsInRange(student, range);
+            });
+        }
+
+        if (this.leaderboardType === 'team') {
+            this.renderTeamLeaderboard(leaderboard, teams, students, Boolean(range || archive));
+            return;
+        }
+
         // Filter by search query
         if (this.searchQuery) {
             students = students.filter(student => 
@@ -758,11 +1603,11 @@ CREATE INDEX IF NOT EXISTS idx_starboard_id ON starboard_data(id);
             );
         }
 
-        // Sort by stars (descending)
-        students.sort((a, b) => b.stars - a.stars);
+        // Sort by stars earned in the period (descending); lifetime totals break ties
+        students.sort((a, b) => b.periodStars - a.periodStars || b.stars - a.stars);
 
         if (students.length === 0) {
-            leaderboard.innerHTML = `
+            leaderboard.innerHTML = StarRender.html`
                 <div class="empty-state">
                     <i class="fas fa-search"></i>
                     <h3>No Results</h3>
@@ -772,7 +1617,13 @@ CREATE INDEX IF NOT EXISTS idx_starboard_id ON starboard_data(id);
             return;
         }
 
+        // Where each card was, when the same list is shown again with new stars
+        const listKey = [this.leaderboardType, period, range && range.start.getTime(), this.currentClass, this.searchQuery].join('|');
+        const previous = listKey === this.leaderboardKey ? this.captureLeaderboard(leaderboard) : new Map();
+        this.leaderboardKey = listKey;
+
         // Generate leaderboard HTML
+        const achievementContexts = new Map();
         leaderboard.innerHTML = students.map((student, index) => {
             const rank = index + 1;
             let rankClass = '';
@@ -780,23 +1631,132 @@ CREATE INDEX IF NOT EXISTS idx_starboard_id ON starboard_data(id);
             else if (rank === 2) rankClass = 'top-2';
             else if (rank === 3) rankClass = 'top-3';
 
-            return `
-                <div class="student-card">
+            return StarRender.html`
+                <div class="student-card" data-student-id="${student.id}" data-rank="${rank}">
                     <div class="student-rank ${rankClass}">#${rank}</div>
                     <div class="student-info">
-                        <div class="student-name">${student.name}</div>
-                        ${this.leaderboardType === 'global' ? `<div class="student-class">${student.className}</div>` : ''}
+                        <div class="student-name">${student.name} ${this.teamBadge(student.team, teams)}</div>
+                        ${this.leaderboardType === 'global' ? StarRender.html`<div class="student-class">${student.className}</div>` : ''}
                     </div>
                     <div class="student-stars star-counter">
                         <i class="fas fa-star"></i>
-                        ${student.stars}
+                        ${student.periodStars}
+                        ${range || archive ? StarRender.html`<small class="lifetime-stars" title="All-time stars">${student.stars} all time</small>` : ''}
                     </div>
                     <div class="achievement-badges">
-                        ${this.getAchievementBadges(student.stars)}
+                        ${this.achievementBadges(data, student.className, student.id, achievementContexts)}
                     </div>
                 </div>
             `;
         }).join('');
+
+        this.animateRankChanges(leaderboard, previous);
+    }
+
+    // Teams ranked by their members' stars in the shown period; a card opens
+    // to list its members. The search matches team and member names.
+    renderTeamLeaderboard(leaderboard, teams, students, showLifetime) {
+        if (teams.length === 0) {
+            leaderboard.innerHTML = `
+                <div class="empty-state">
+                    <i class="fas fa-shield-alt"></i>
+                    <h3>No Teams Yet</h3>
+                    <p>An admin can set up teams or houses in the admin dashboard.</p>
+                </div>
+            `;
+            return;
+        }
+
+        const query = this.searchQuery.toLowerCase();
+        const matches = name => Boolean(query) && name.toLowerCase().includes(query);
+        const ranked = StarLedger.teamStandings(teams, students, student => student.periodStars)
+            .map((team, index) => ({ ...team, rank: index + 1 }))
+            .filter(team => !query || matches(team.name) || team.members.some(member => matches(member.name)));
+
+        if (ranked.length === 0) {
+            leaderboard.innerHTML = StarRender.html`
+                <div class="empty-state">
+                    <i class="fas fa-search"></i>
+                    <h3>No Results</h3>
+                    <p>No teams or students found matching "${this.searchQuery}"</p>
+                </div>
+            `;
+            return;
+        }
+
+        this.leaderboardKey = null;
+        leaderboard.innerHTML = ranked.map(team => {
+            const rankClass = team.rank <= 3 ? `top-${team.rank}` : '';
+            // A search that finds a member opens their team
+            const open = this.openTeams.has(team.id) || team.members.some(member => matches(member.name));
+
+            return StarRender.html`
+                <details class="team-card" data-team-id="${team.id}" style="--team-color: ${team.color}" ${open ? StarRender.raw('open') : ''}>
+                    <summary class="student-card">
+                        <div class="student-rank ${rankClass}">#${team.rank}</div>
+                        <div class="team-crest"><i class="fas fa-${team.crest}"></i></div>
+                        <div class="student-info">
+                            <div class="student-name">${team.name}</div>
+                            <div class="student-class">${team.members.length} ${team.members.length === 1 ? 'member' : 'members'}</div>
+                        </div>
+                        <div class="student-stars star-counter">
+                            <i class="fas fa-star"></i>
+                            ${team.stars}
+                            ${showLifetime ? StarRender.html`<small class="lifetime-stars" title="All-time stars">${team.total} all time</small>` : ''}
+                        </div>
+                    </summary>
+                    ${team.members.length === 0
+                        ? StarRender.html`<p class="team-empty">No members yet</p>`
+                        : StarRender.html`<ol class="team-members">
+                            ${team.members.map(member => StarRender.html`
+                                <li class="${matches(member.name) ? 'match' : ''}">
+                                    <span class="team-member-name">${member.name}</span>
+                                    <span class="team-member-class">${member.className}</span>
+                                    <span class="team-member-stars"><i class="fas fa-star"></i> ${member.periodStars}</span>
+                                </li>
+                            `)}
+                        </ol>`}
+                </details>
+            `;
+        }).join('');
+    }
+
+    // Card positions and ranks by student id
+    captureLeaderboard(leaderboard) {
+        const positions = new Map();
+        leaderboard.querySelectorAll('.student-card[data-student-id]').forEach(card => {
+            positions.set(card.dataset.studentId, {
+                top: card.getBoundingClientRect().top,
+                rank: Number(card.dataset.rank)
+            });
+        });
+        return positions;
+    }
+
+    // Slide cards from their old place to the new one and flash the ones that
+    // moved up or down
+    animateRankChanges(leaderboard, previous) {
+        if (previous.size === 0 || window.matchMedia('(prefers-reduced-motion: reduce)').matches) return;
+
+        leaderboard.querySelectorAll('.student-card[data-student-id]').forEach(card => {
+            const before = previous.get(card.dataset.studentId);
+            if (!before) return;
+
+            const rank = Number(card.dataset.rank);
+            const offset = before.top - card.getBoundingClientRect().top;
+            if (rank === before.rank || offset === 0) return;
+
+            card.classList.add(rank < before.rank ? 'rank-up' : 'rank-down');
+            card.style.transition = 'none';
+            card.style.transform = `translateY(${offset}px)`;
+            void card.offsetHeight; // lay out the old position before sliding
+            card.style.transition = '';
+            card.classList.add('rank-moving');
+            card.style.transform = '';
+            card.addEventListener('animationend', () => {
+                card.classList.remove('rank-up', 'rank-down', 'rank-moving');
+            }, { once: true });
+        });
     }
 
     searchStudents(query) {
@@ -804,27 +1764,153 @@ CREATE INDEX IF NOT EXISTS idx_starboard_id ON starboard_data(id);
         this.updateLeaderboard();
     }
 
-    // Achievement system
-    getAchievementBadges(stars) {
-        const badges = [];
-        if (stars >= 50) badges.push('<div class="achievement-badge gold">50</div>');
-        else if (stars >= 25) badges.push('<div class="achievement-badge silver">25</div>');
-        if (stars >= 10) badges.push('<div class="achievement-badge bronze">10</div>');
-        return badges.join('');
+    // Achievement system: badges for the achievements a student has earned,
+    // as the school defines them (shared/achievements.js). Archived standings
+    // show the student's current badges. `contexts` keeps one engine context
+    // per class for a whole list.
+    achievementBadges(data, className, studentId, contexts = new Map()) {
+        const classData = data.classes[className];
+        const student = classData && classData.students && classData.students[studentId];
+        if (!student) return '';
+
+        if (!contexts.has(className)) contexts.set(className, StarAchievements.context(classData.students));
+        const earned = StarAchievements.earned(student, StarAchievements.definitions(data.settings), contexts.get(className));
+        return earned.map(achievement => this.achievementBadge(achievement, `${achievement.name} · ${new Date(achievement.earnedAt).toLocaleDateString()}`));
+    }
+
+    achievementBadge(achievement, title = achievement.name) {
+        return StarRender.html`<span class="achievement-badge" style="--achievement-color: ${achievement.color}" title="${title}"><i class="fas fa-${achievement.icon}"></i></span>`;
+    }
+
+    // Stars that fill a student's progress bar: the school's biggest
+    // star-total achievement
+    starGoal(settings) {
+        const totals = StarAchievements.definitions(settings)
+            .filter(achievement => achievement.rule.type === 'total')
+            .map(achievement => achievement.rule.stars);
+        return totals.length > 0 ? Math.max(...totals) : 50;
+    }
+
+    // Star categories: the school's reasons for stars, each with an icon and
+    // the points its button gives. Saved for the whole school as one change.
+    showCategoryEditor(categories = StarLedger.categories(this.getData().settings)) {
+        const rows = categories.map((category, index) => StarRender.html`
+            <div class="category-edit-row" data-category-id="${category.id}">
+                <select class="category-icon glass-input" aria-label="Icon">
+                    ${StarSchema.ICONS.map(icon => StarRender.html`
+                        <option value="${icon}" ${icon === category.icon ? StarRender.raw('selected') : ''}>${icon}</option>
+                    `)}
+                </select>
+                <input type="text" class="category-name glass-input" value="${category.name}" placeholder="Category name" maxlength="100">
+                <input type="number" class="category-points glass-input" value="${category.points}" step="1" min="-100" max="100" aria-label="Points">
+                <button class="btn-danger" data-action="removeCategory" data-index="${index}" title="Remove category">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+        `);
+
+        this.showModal('Star Categories',
+            StarRender.html`
+                <p class="text-muted">Each category gets a button on every student. Stars already given keep their category.</p>
+                <div class="category-editor">${rows}</div>
+            `,
+            [
+                { text: 'Reset to Defaults', class: 'btn-secondary', action: () => this.saveCategories(null) },
+                { text: 'Add Category', class: 'btn-secondary', action: () => this.showCategoryEditor(
+                    [...this.readCategoryEditor(), { id: '', name: '', icon: 'star', points: 1 }]
+                ) },
+                { text: 'Save', class: 'btn-primary', action: () => this.saveCategories(this.readCategoryEditor()) }
+            ]
+        );
     }
 
-    checkAchievements(oldStars, newStars, studentName) {
-        const milestones = [10, 25, 50];
-        milestones.forEach(milestone => {
-            if (oldStars < milestone && newStars >= milestone) {
-                this.showAchievementNotification(studentName, milestone);
+    // The categories as edited so far; new rows get an id here
+    readCategoryEditor() {
+        return [...document.querySelectorAll('#modalBody .category-edit-row')].map(row => ({
+            id: row.dataset.categoryId || 'cat_' + this.generateId(),
+            name: row.querySelector('.category-name').value.trim(),
+            icon: row.querySelector('.category-icon').value,
+            points: Number(row.querySelector('.category-points').value)
+        }));
+    }
+
+    // `categories` null goes back to the default categories
+    saveCategories(categories) {
+        if (categories) {
+            const invalid = categories.find(category => !category.name || !Number.isInteger(category.points) || category.points === 0);
+            if (invalid) {
+                this.showToast('Every category needs a name and whole-number points other than 0', 'error');
+                return;
             }
+        }
+
+        if (this.applyOperation({ type: 'setCategories', categories })) {
+            this.closeModal();
+            this.refreshViews();
+            this.showUndoToast(categories ? 'Star categories saved' : 'Star categories reset to defaults');
+        }
+    }
+
+    // A student's stars per category, as small chips
+    categoryChips(ledger, categories) {
+        return StarLedger.categoryBreakdown(ledger, categories)
+            .filter(row => row.id)
+            .map(row => StarRender.html`<span class="category-chip" title="${row.name}"><i class="fas fa-${row.icon}"></i> ${row.stars}</span>`);
+    }
+
+    // The student's team as a small coloured badge; nothing without one
+    teamBadge(teamId, teams) {
+        const team = teamId && teams.find(item => item.id === teamId);
+        if (!team) return '';
+        return StarRender.html`<span class="team-badge" style="--team-color: ${team.color}" title="Team"><i class="fas fa-${team.crest}"></i> ${team.name}</span>`;
+    }
+
+    signed(points) {
+        return points > 0 ? `+${points}` : String(points);
+    }
+
+    // Achievements just earned ({ name, achievements } per student, with the
+    // achievement ids from the stars result): one celebration, and one modal
+    // listing everyone when several were earned at once
+    celebrateAchievements(changes) {
+        const definitions = new Map(StarAchievements.definitions(this.getData().settings).map(achievement => [achievement.id, achievement]));
+        const earned = [];
+        changes.forEach(({ name, achievements = [] }) => {
+            achievements.forEach(id => {
+                if (definitions.has(id)) earned.push({ name, achievement: definitions.get(id) });
+            });
         });
+        if (earned.length === 0) return;
+        if (earned.length === 1) {
+            this.showAchievementNotification(earned[0].name, earned[0].achievement);
+            return;
+        }
+
+        this.showToast(`🎉 ${earned.length} achievements earned!`, 'success', 5000);
+        this.playSound('achievement');
+        this.createCelebrationEffect();
+        this.showModal('🎉 Achievements Unlocked! 🎉',
+            StarRender.html`
+            <div class="achievement-summary">
+                ${earned.map(({ name, achievement }) => StarRender.html`
+                    <div class="achievement-summary-item">
+                        ${this.achievementBadge(achievement)}
+                        <span><strong>${name}</strong> earned ${achievement.name}</span>
+                    </div>
+                `)}
+            </div>
+            `,
+            [
+                { text: 'Awesome!', class: 'btn-primary', action: 'close' }
+            ]
+        );
+        setTimeout(() => {
+            document.querySelector('.modal').classList.add('achievement-modal');
+        }, 100);
     }
 
-    showAchievementNotification(studentName, milestone) {
-        const badgeType = milestone === 50 ? 'gold' : milestone === 25 ? 'silver' : 'bronze';
-        this.showToast(`🎉 ${studentName} earned the ${milestone}⭐ achievement!`, 'success', 5000);
+    showAchievementNotification(studentName, achievement) {
+        this.showToast(`🎉 ${studentName} earned ${achievement.name}!`, 'success', 5000);
         
         // Play achievement sound
         this.playSound('achievement');
@@ -833,29 +1919,82 @@ CREATE INDEX IF NOT EXISTS idx_starboard_id ON starboard_data(id);
         this.createCelebrationEffect();
         
         // Show achievement modal
-        this.showAchievementModal(studentName, milestone, badgeType);
+        this.showAchievementModal(studentName, achievement);
     }
 
     // Authentication
-    handleLogin(e) {
+    async handleLogin(e) {
         e.preventDefault();
         const username = document.getElementById('teacherUsername').value;
         const password = document.getElementById('teacherPassword').value;
 
-        const data = this.getData();
-        if (data.teachers[username] && data.teachers[username] === password) {
+        // Passwords are checked by the server; the local comparison only
+        // applies when no server is available (local-only mode)
+        let session;
+        try {
+            session = await this.storage.request('POST', '/login', { username, password });
+        } catch (error) {
+            if (!(error instanceof StarStorage.StorageError)) throw error;
+            session = false;
+        }
+        if (session === null) {
+            const account = this.getData().teachers[username];
+            const entry = account && typeof account === 'object' ? account : { password: account };
+            session = entry.password && entry.password === password ? { username, role: entry.role } : false;
+        }
+
+        if (session) {
+            this.saveSession(session);
             this.currentUser = username;
+            this.currentRole = session.role || 'teacher';
+            this.history = this.loadHistory();
             document.getElementById('loginForm').style.display = 'none';
             document.getElementById('teacherDashboard').classList.add('active');
             this.loadClasses();
+            this.updateAccessControls();
             this.showToast('Login successful', 'success');
+            // Changes queued before the session expired
+            this.flushOutbox();
         } else {
             this.showToast('Invalid credentials', 'error');
         }
     }
 
+    // Kept in localStorage so a reload does not sign the teacher out
+    loadSession() {
+        try {
+            const session = JSON.parse(localStorage.getItem(StarStorage.localKey('starboard_session')));
+            if (session && session.token && new Date(session.expiresAt) > new Date()) return session;
+        } catch (e) {}
+        localStorage.removeItem(StarStorage.localKey('starboard_session'));
+        return null;
+    }
+
+    saveSession(session) {
+        this.session = session.token ? session : null;
+        if (this.session) {
+            localStorage.setItem(StarStorage.localKey('starboard_session'), JSON.stringify(this.session));
+        } else {
+            localStorage.removeItem(StarStorage.localKey('starboard_session'));
+        }
+    }
+
+    authHeaders() {
+        return this.session ? { Authorization: `Bearer ${this.session.token}` } : {};
+    }
+
+    // The server no longer accepts our token: sign out so the teacher can sign in again
+    handleSessionExpired() {
+        if (!this.currentUser) return;
+        this.logout();
+        this.showToast('Your session has expired, please log in again', 'error');
+    }
+
     logout() {
+        this.saveSession({});
         this.currentUser = null;
+        this.clearHistory();
+        this.currentRole = null;
         this.currentClass = null;
         document.getElementById('loginForm').style.display = 'block';
         document.getElementById('teacherDashboard').classList.remove('active');
@@ -926,7 +2065,8 @@ CREATE INDEX IF NOT EXISTS idx_starboard_id ON starboard_data(id);
     shareClass() {
         if (!this.currentClass) return;
         
-        const url = `${window.location.origin}${window.location.pathname}?class=${encodeURIComponent(this.currentClass)}`;
+        const period = this.leaderboardPeriod ? `&period=${encodeURIComponent(this.leaderboardPeriod)}` : '';
+        const url = `${window.location.origin}${window.location.pathname}?class=${encodeURIComponent(this.currentClass)}${period}`;
         
         if (navigator.share) {
             navigator.share({
@@ -939,9 +2079,10 @@ CREATE INDEX IF NOT EXISTS idx_starboard_id ON starboard_data(id);
                 this.showToast('Class link copied to clipboard', 'success');
             }).catch(() => {
                 this.showModal('Share Class', 
-                    `<p>Copy this link to share the class leaderboard:</p><input type="text" value="${url}" readonly style="width: 100%; padding: 10px; margin-top: 10px;" onclick="this.select()">`,
+                    StarRender.html`<p>Copy this link to share the class leaderboard:</p><input type="text" id="shareLinkInput" value="${url}" readonly style="width: 100%; padding: 10px; margin-top: 10px;">`,
                     [{ text: 'Close', class: 'btn-primary', action: 'close' }]
                 );
+                document.getElementById('shareLinkInput').addEventListener('click', (e) => e.target.select());
             });
         }
     }
@@ -962,23 +2103,44 @@ CREATE INDEX IF NOT EXISTS idx_starboard_id ON starboard_data(id);
         }
     }
 
+    // Re-render everything that reads the data, keeping the current selections
+    refreshViews() {
+        const classSelect = document.getElementById('classSelect');
+        const teacherClassSelect = document.getElementById('teacherClassSelect');
+        const publicClass = classSelect.value;
+
+        this.loadClasses();
+        classSelect.value = publicClass;
+        this.updateLeaderboard();
+        this.updateWelcomeStats();
+
+        if (this.currentUser && this.currentClass) {
+            if (this.getData().classes[this.currentClass]) {
+                teacherClassSelect.value = this.currentClass;
+                this.loadStudents();
+                this.updateClassStatistics();
+            } else {
+                this.selectTeacherClass('');
+            }
+        }
+    }
+
     // Update welcome section statistics
     updateWelcomeStats() {
         const data = this.getData();
         let totalStudents = 0;
         let totalStars = 0;
         let totalAchievements = 0;
+        const achievements = StarAchievements.definitions(data.settings);
 
         // Calculate stats from all classes
         Object.values(data.classes || {}).forEach(classData => {
             if (classData.students) {
+                const context = StarAchievements.context(classData.students);
                 Object.values(classData.students).forEach(student => {
                     totalStudents++;
                     totalStars += student.stars || 0;
-
-                    // Count achievements (bronze, silver, gold)
-                    const stars = student.stars || 0;
-                    if (stars >= 10) totalAchievements++; // At least bronze
+                    totalAchievements += StarAchievements.earned(student, achievements, context).length;
                 });
             }
         });
@@ -1038,13 +2200,25 @@ CREATE INDEX IF NOT EXISTS idx_starboard_id ON starboard_data(id);
         document.getElementById('modalOverlay').classList.remove('active');
     }
 
-    showToast(message, type = 'info', duration = 3000) {
+    // `action` ({ text, handler }) adds a button, e.g. Undo
+    showToast(message, type = 'info', duration = 3000, action = null) {
         const toast = document.createElement('div');
         toast.className = `toast ${type}`;
         toast.innerHTML = `
             <i class="fas fa-${type === 'success' ? 'check-circle' : type === 'error' ? 'exclamation-triangle' : 'info-circle'}"></i>
-            <span>${message}</span>
+            <span></span>
         `;
+        toast.querySelector('span').textContent = message;
+        if (action) {
+            const button = document.createElement('button');
+            button.className = 'toast-action';
+            button.textContent = action.text;
+            button.addEventListener('click', () => {
+                toast.remove();
+                action.handler();
+            });
+            toast.appendChild(button);
+        }
         
         document.getElementById('toastContainer').appendChild(toast);
         
@@ -1091,6 +2265,28 @@ CREATE INDEX IF NOT EXISTS idx_starboard_id ON starboard_data(id);
             topPerformerElement.textContent = '-';
             topPerformerElement.style.color = 'var(--text-muted)';
         }
+
+        this.updateCategoryBreakdown(students, StarLedger.categories(data.settings));
+    }
+
+    // Class stars per category, with each one's share of the class total
+    updateCategoryBreakdown(students, categories) {
+        const events = students.reduce((all, student) => all.concat(student.ledger || []), []);
+        const rows = StarLedger.categoryBreakdown(events, categories);
+        const largest = rows.reduce((max, row) => Math.max(max, Math.abs(row.stars)), 0);
+
+        document.getElementById('categoryBreakdown').innerHTML = rows.length === 0 ? '' : StarRender.html`
+            <h4>Stars by Category</h4>
+            ${rows.map(row => StarRender.html`
+                <div class="category-row">
+                    <span class="category-label"><i class="fas fa-${row.icon}"></i> ${row.name}</span>
+                    <div class="category-bar">
+                        <div class="category-bar-fill${row.stars < 0 ? ' negative' : ''}" style="width: ${Math.round((Math.abs(row.stars) / largest) * 100)}%"></div>
+                    </div>
+                    <span class="category-total">${row.stars}</span>
+                </div>
+            `)}
+        `;
     }
 
     animateStatValue(elementId, targetValue) {
@@ -1136,46 +2332,13 @@ CREATE INDEX IF NOT EXISTS idx_starboard_id ON starboard_data(id);
         };
     }
 
+    // The functions check saved documents against the same schema (shared/schema.js)
     validateDataStructure(data) {
-        if (!data || typeof data !== 'object') return false;
-        
-        // Check required top-level properties
-        const requiredProps = ['classes', 'teachers', 'settings'];
-        for (const prop of requiredProps) {
-            if (!data.hasOwnProperty(prop) || typeof data[prop] !== 'object') {
-                console.error(`Missing or invalid property: ${prop}`);
-                return false;
-            }
-        }
-
-        // Validate classes structure
-        if (data.classes) {
-            for (const [className, classData] of Object.entries(data.classes)) {
-                if (!classData.students || typeof classData.students !== 'object') {
-                    console.error(`Invalid class structure for: ${className}`);
-                    return false;
-                }
-                
-                // Validate student structure
-                for (const [studentId, student] of Object.entries(classData.students)) {
-                    if (!student.name || typeof student.stars !== 'number' || student.stars < 0) {
-                        console.error(`Invalid student data for: ${studentId} in class ${className}`);
-                        return false;
-                    }
-                }
-            }
-        }
-
-        // Validate teachers structure
-        if (data.teachers) {
-            for (const [username, password] of Object.entries(data.teachers)) {
-                if (typeof username !== 'string' || typeof password !== 'string') {
-                    console.error(`Invalid teacher credentials for: ${username}`);
-                    return false;
-                }
-            }
+        const errors = StarSchema.validate(data);
+        if (errors.length > 0) {
+            console.error('Invalid data structure:', StarSchema.describe(errors));
+            return false;
         }
-
         return true;
     }
 
@@ -1274,7 +2437,8 @@ CREATE INDEX IF NOT EXISTS idx_starboard_id ON starboard_data(id);
                 Object.keys(classData.students).forEach(studentId => {
                     const student = classData.students[studentId];
                     if (typeof student.stars !== 'number' || student.stars < 0) {
-                        student.stars = 0;
+                        // Fall back to the total recorded in the ledger
+                        student.stars = StarLedger.deriveStars(student);
                         hasChanges = true;
                     }
                     if (!student.name || typeof student.name !== 'string') {
@@ -1474,16 +2638,16 @@ CREATE INDEX IF NOT EXISTS idx_starboard_id ON starboard_data(id);
         }
     }
 
-    showAchievementModal(studentName, milestone, badgeType) {
-        const badgeColor = badgeType === 'gold' ? '#ffd700' : badgeType === 'silver' ? '#c0c0c0' : '#cd7f32';
+    showAchievementModal(studentName, achievement) {
         this.showModal('🎉 Achievement Unlocked! 🎉', 
-            `
+            StarRender.html`
             <div class="text-center">
-                <div class="achievement-badge ${badgeType}" style="width: 80px; height: 80px; font-size: 24px; margin: 20px auto; display: flex; align-items: center; justify-content: center;">
-                    ${milestone}
+                <div class="achievement-badge" style="--achievement-color: ${achievement.color}; width: 80px; height: 80px; font-size: 32px; margin: 20px auto; display: flex; align-items: center; justify-content: center;">
+                    <i class="fas fa-${achievement.icon}"></i>
                 </div>
-                <h3 style="color: ${badgeColor}; margin: 20px 0;">${studentName}</h3>
-                <p>has earned the <strong>${milestone} Star Achievement</strong>!</p>
+                <h3 style="color: ${achievement.color}; margin: 20px 0;">${studentName}</h3>
+                <p>has earned <strong>${achievement.name}</strong>!</p>
+                <p class="text-muted">${StarAchievements.describe(achievement.rule, StarLedger.categories(this.getData().settings))}</p>
                 <p class="text-muted">Keep up the excellent work!</p>
             </div>
             `,
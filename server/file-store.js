@@ -0,0 +1,53 @@
+// JSON file storage for the self-hosted server
+// Implements the part of the Netlify Blobs store the functions use
+// (get(key, { type: 'json' }) and setJSON) on one file per key, with the
+// slashes in a key as folders. Values are
+// held in memory and every write replaces its file atomically (write to a
+// temporary file, then rename), so a power cut never leaves half a file.
+// Each get and setJSON runs synchronously underneath, so no request sees
+// another's write half done. There is no lock across calls, though: code
+// that awaits other work between reading a value and writing it back (such
+// as hashing a password) must re-read it before writing.
+
+import { mkdirSync, readFileSync, writeFileSync, renameSync, existsSync } from 'node:fs';
+import { join, dirname } from 'node:path';
+
+export class FileStore {
+  constructor(dir) {
+    this.dir = dir;
+    this.cache = new Map();
+    mkdirSync(dir, { recursive: true });
+  }
+
+  path(key) {
+    const parts = key.split('/');
+    if (!parts.every(part => /^[\w.-]+$/.test(part) && part !== '.' && part !== '..')) {
+      throw new Error(`Invalid key: ${key}`);
+    }
+    return join(this.dir, ...parts);
+  }
+
+  read(key) {
+    if (!this.cache.has(key)) {
+      const file = this.path(key);
+      this.cache.set(key, existsSync(file) ? JSON.parse(readFileSync(file, 'utf8')) : null);
+    }
+    return this.cache.get(key);
+  }
+
+  // Resolves to a copy of the stored value, or null when there is none
+  async get(key, options = {}) {
+    const value = this.read(key);
+    if (value === null) return null;
+    return options.type === 'json' ? structuredClone(value) : JSON.stringify(value);
+  }
+
+  async setJSON(key, value) {
+    const file = this.path(key);
+    const temp = `${file}.tmp`;
+    mkdirSync(dirname(file), { recursive: true });
+    writeFileSync(temp, JSON.stringify(value, null, 2));
+    renameSync(temp, file);
+    this.cache.set(key, structuredClone(value));
+  }
+}
@@ -0,0 +1,184 @@
+// StarBoard self-hosted server
+// Runs StarBoard on a school network without Netlify or Supabase: serves the
+// pages and answers the storage routes the pages use, keeping the data in
+// JSON files (see server/file-store.js).
+//
+//   node server/index.js        (or npm start)
+//
+// Environment:
+// - PORT / HOST                 where to listen (default 8080 on all interfaces)
+// - STARBOARD_DATA_DIR          where the data files live (default ./starboard-data)
+// - STARBOARD_SESSION_SECRET    signs login sessions; generated and kept in the
+//                               data directory when not set
+// - STARBOARD_ADMIN_PASSWORD    password for the first admin login (with the
+//                               optional STARBOARD_ADMIN_USERNAME, default admin)
+//
+// Both function paths (/.netlify/functions/supabase-starboard and
+// /.netlify/functions/starboard) are answered from the same files, so the
+// pages work unchanged. Live updates fall back to polling.
+
+import { createServer } from 'node:http';
+import { readFile, stat } from 'node:fs/promises';
+import { existsSync, readFileSync, writeFileSync } from 'node:fs';
+import { randomBytes } from 'node:crypto';
+import { join, resolve, extname, sep } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { FileStore } from './file-store.js';
+import { handleDocumentRequest } from '../netlify/lib/document-function.js';
+import '../shared/schema.js';
+
+const ROOT = resolve(fileURLToPath(new URL('..', import.meta.url)));
+const PORT = Number(process.env.PORT) || 8080;
+const HOST = process.env.HOST || '0.0.0.0';
+const DATA_DIR = resolve(process.env.STARBOARD_DATA_DIR || 'starboard-data');
+
+const FUNCTIONS = ['supabase-starboard', 'starboard'];
+
+// Largest request body read: a whole document at the schema's size limit
+const MAX_BODY_BYTES = globalThis.StarSchema.LIMITS.documentBytes;
+
+// Only these files and folders are served; everything else in the
+// repository (server code, functions, data) stays private
+const PUBLIC_FILES = [
+  'index.html', 'admin.html', 'script.js', 'admin.js', 'styles.css', 'admin-styles.css',
+  'sw.js', 'manifest.webmanifest'
+];
+const PUBLIC_DIRS = ['shared', 'icons'];
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json',
+  '.webmanifest': 'application/manifest+json',
+  '.png': 'image/png',
+  '.svg': 'image/svg+xml',
+  '.ico': 'image/x-icon'
+};
+
+// Keep one secret across restarts so sessions survive them
+function ensureSessionSecret(store) {
+  if (process.env.STARBOARD_SESSION_SECRET) return;
+
+  const file = join(store.dir, 'session-secret');
+  if (!existsSync(file)) writeFileSync(file, randomBytes(32).toString('base64'), { mode: 0o600 });
+  process.env.STARBOARD_SESSION_SECRET = readFileSync(file, 'utf8').trim();
+}
+
+// Request body as text. Stops reading and rejects with a 413 error once it
+// grows past MAX_BODY_BYTES.
+function readBody(req) {
+  return new Promise((resolveBody, reject) => {
+    const tooLarge = () => {
+      req.pause();
+      reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+    };
+    if (Number(req.headers['content-length']) > MAX_BODY_BYTES) return tooLarge();
+
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        req.removeAllListeners('data');
+        tooLarge();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolveBody(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+// The Netlify function event for a request
+async function toEvent(req, url) {
+  const body = await readBody(req);
+  return {
+    httpMethod: req.method,
+    path: url.pathname,
+    headers: req.headers,
+    queryStringParameters: Object.fromEntries(url.searchParams),
+    body: body || null
+  };
+}
+
+function send(res, statusCode, headers, body) {
+  res.writeHead(statusCode, headers);
+  res.end(body);
+}
+
+// Public file for a URL path, or null
+function publicFile(pathname) {
+  let relative;
+  try {
+    relative = decodeURIComponent(pathname).replace(/^\/+/, '') || 'index.html';
+  } catch {
+    return null;
+  }
+  const file = resolve(ROOT, relative);
+  if (!file.startsWith(ROOT + sep)) return null;
+
+  const [top, ...rest] = relative.split('/');
+  if (rest.length === 0 ? PUBLIC_FILES.includes(top) : PUBLIC_DIRS.includes(top)) return file;
+  return null;
+}
+
+async function serveStatic(req, res, url) {
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    return send(res, 405, { Allow: 'GET, HEAD' }, '');
+  }
+
+  const file = publicFile(url.pathname);
+  const info = file && await stat(file).catch(() => null);
+  if (!info || !info.isFile()) {
+    return send(res, 404, { 'Content-Type': 'text/plain; charset=utf-8' }, 'Not found');
+  }
+
+  const body = await readFile(file);
+  send(res, 200, {
+    'Content-Type': CONTENT_TYPES[extname(file)] || 'application/octet-stream',
+    'Content-Length': body.length,
+    // Revalidate so updates to the server reach every browser
+    'Cache-Control': 'no-cache',
+    'Last-Modified': info.mtime.toUTCString()
+  }, req.method === 'HEAD' ? undefined : body);
+}
+
+export function createStarBoardServer(store) {
+  return createServer(async (req, res) => {
+    try {
+      const url = new URL(req.url, 'http://localhost');
+      const [, prefix, functions, name] = url.pathname.split('/');
+
+      if (prefix === '.netlify' && functions === 'functions' && FUNCTIONS.includes(name)) {
+        const result = await handleDocumentRequest(await toEvent(req, url), store, name);
+        return send(res, result.statusCode, result.headers, result.body);
+      }
+
+      return await serveStatic(req, res, url);
+    } catch (err) {
+      if (err.status === 413 && !res.headersSent) {
+        // The rest of the body is never read, so the connection cannot be reused
+        return send(res, 413, { 'Content-Type': 'application/json', Connection: 'close' }, JSON.stringify({ error: err.message }));
+      }
+      console.error('Request failed:', err);
+      if (!res.headersSent) send(res, 500, { 'Content-Type': 'application/json' }, JSON.stringify({ error: 'Internal error' }));
+    }
+  });
+}
+
+// Started directly (not imported)
+if (process.argv[1] && resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const store = new FileStore(DATA_DIR);
+  ensureSessionSecret(store);
+
+  if (!existsSync(join(DATA_DIR, 'admins.json')) && !process.env.STARBOARD_ADMIN_PASSWORD) {
+    console.warn('No admin account yet: set STARBOARD_ADMIN_PASSWORD for the first admin login.');
+  }
+
+  createStarBoardServer(store).listen(PORT, HOST, () => {
+    console.log(`StarBoard is running on http://${HOST === '0.0.0.0' ? 'localhost' : HOST}:${PORT}`);
+    console.log(`Data is stored in ${DATA_DIR}`);
+  });
+}
@@ -0,0 +1,327 @@
+// StarBoard - Roles and class access
+// Accounts have a role: admins (the admin dashboard) see and change
+// everything, teachers work in the classes they own or co-teach, and viewers
+// (assistants) can only look at the classes they are assigned to.
+// A class records its `owner` and `coTeachers`; classes without an owner
+// (e.g. created before ownership existed) are open to every teacher until an
+// admin assigns one. Whole-document saves from teachers are held to the same
+// rules as the operations they could have sent instead.
+// Requires shared/ledger.js and shared/operations.js to be loaded first.
+
+(function (root) {
+    const ROLES = ['admin', 'teacher', 'viewer'];
+
+    function denied(message) {
+        return new root.StarOperations.OperationError(403, message);
+    }
+
+    function isAssigned(classData, username) {
+        return classData.owner === username ||
+            (Array.isArray(classData.coTeachers) && classData.coTeachers.includes(username));
+    }
+
+    // `user` is { username, role } throughout
+    function canView(classData, user) {
+        if (!classData || !user) return false;
+        if (user.role === 'admin') return true;
+        return !classData.owner || isAssigned(classData, user.username);
+    }
+
+    // Add and change students and stars
+    function canEdit(classData, user) {
+        return canView(classData, user) && (user.role === 'admin' || user.role === 'teacher');
+    }
+
+    // Rename, delete and assign co-teachers
+    function canManage(classData, user) {
+        if (!classData || !user) return false;
+        if (user.role === 'admin') return true;
+        return user.role === 'teacher' && classData.owner === user.username;
+    }
+
+    // Names of the classes a user may see, in document order
+    function visibleClasses(doc, user) {
+        return Object.keys((doc && doc.classes) || {}).filter(name => canView(doc.classes[name], user));
+    }
+
+    function requireEdit(doc, className, user) {
+        const classData = doc.classes[className];
+        if (classData && !canEdit(classData, user)) {
+            throw denied(`You cannot change class "${className}"`);
+        }
+    }
+
+    // Throw a 403 OperationError unless `user` may change anything at all
+    function requireWriter(user) {
+        if (!user || !ROLES.includes(user.role) || user.role === 'viewer') {
+            throw denied('Your account can only view classes');
+        }
+    }
+
+    // Throw a 403 OperationError when `user` may not apply `op` to `doc`.
+    // Missing classes and students are left for StarOperations.apply to report.
+    function authorize(doc, op, user) {
+        requireWriter(user);
+        if (user.role === 'admin') return;
+
+        const classes = (doc && doc.classes) || {};
+        switch (op.type) {
+            case 'createClass':
+                if (op.owner !== user.username) throw denied('Teachers can only create classes they own');
+                break;
+            case 'updateClass': {
+                const classData = classes[op.className];
+                if (!classData) break;
+                if (op.owner !== undefined && op.owner !== classData.owner) {
+                    throw denied('Only an admin can change the class owner');
+                }
+                if (!canManage(classData, user)) {
+                    throw denied(`Only the owner of "${op.className}" can change it`);
+                }
+                break;
+            }
+            case 'deleteClass':
+                if (classes[op.className] && !canManage(classes[op.className], user)) {
+                    throw denied(`Only the owner of "${op.className}" can delete it`);
+                }
+                break;
+            case 'addStudent':
+            case 'stars':
+            case 'bulkStars':
+            case 'setGroup':
+                requireEdit({ classes }, op.className, user);
+                break;
+            case 'updateStudent':
+            case 'removeStudent': {
+                const found = root.StarOperations.findStudent({ classes }, op.studentId);
+                if (found) requireEdit({ classes }, found.className, user);
+                if (op.newClassName) requireEdit({ classes }, op.newClassName, user);
+                break;
+            }
+            case 'restoreTrash': {
+                const entry = doc && doc.trash && doc.trash[op.trashId];
+                if (!entry) break;
+                if (entry.type === 'class' && !canManage(entry.data, user)) {
+                    throw denied(`Only the owner of "${entry.className}" can restore it`);
+                }
+                if (entry.type === 'student') requireEdit({ classes }, entry.className, user);
+                break;
+            }
+            case 'purgeTrash':
+                throw denied('Only an admin can delete things for good');
+            case 'setTerms':
+            case 'rolloverTerm':
+                throw denied('Only an admin can change terms');
+            case 'setTeams':
+                throw denied('Only an admin can change teams');
+            case 'setAchievements':
+                throw denied('Only an admin can change achievements');
+        }
+    }
+
+    // Parts of a document outside `classes` that teachers change through
+    // operations, and the operation a change to each part amounts to
+    const DOCUMENT_PARTS = [
+        { path: ['settings', 'categories'], op: { type: 'setCategories' } },
+        { path: ['settings', 'terms'], op: { type: 'setTerms' } },
+        { path: ['settings', 'currentTerm'], op: { type: 'rolloverTerm' } },
+        { path: ['archives'], op: { type: 'rolloverTerm' } },
+        { path: ['settings', 'teams'], op: { type: 'setTeams' } },
+        { path: ['settings', 'achievements'], op: { type: 'setAchievements' } }
+    ];
+
+    // Parts a whole-document save never changes: the server keeps its own
+    // accounts and revision
+    const IGNORED_PARTS = [['teachers'], ['metadata']];
+
+    // JSON with object keys sorted and empty objects left out, so that copies
+    // of a document compare equal however their keys were ordered (Supabase
+    // returns JSONB objects with their keys reordered)
+    function canonical(value) {
+        if (Array.isArray(value)) return value.map(item => (item === undefined ? null : canonical(item)));
+        if (!value || typeof value !== 'object') return value;
+        const keys = Object.keys(value).sort().filter(key => canonical(value[key]) !== undefined);
+        if (keys.length === 0) return undefined;
+        return keys.reduce((out, key) => {
+            out[key] = canonical(value[key]);
+            return out;
+        }, {});
+    }
+
+    function same(a, b) {
+        return JSON.stringify(canonical(a)) === JSON.stringify(canonical(b));
+    }
+
+    function valueAt(doc, path) {
+        return path.reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), doc);
+    }
+
+    // Copy of `doc` without the parts at `paths`
+    function without(doc, paths) {
+        const copy = JSON.parse(JSON.stringify(doc || {}));
+        paths.forEach(path => {
+            const parent = valueAt(copy, path.slice(0, -1));
+            if (parent && typeof parent === 'object') delete parent[path[path.length - 1]];
+        });
+        return copy;
+    }
+
+    // Students of `doc` by id, wherever they are (classes or trash)
+    function allStudents(doc) {
+        const students = new Map();
+        const add = ([studentId, student]) => students.set(studentId, student);
+        Object.values((doc && doc.trash) || {}).forEach(entry => {
+            if (!entry || !entry.data) return;
+            if (entry.type === 'class') Object.entries(entry.data.students || {}).forEach(add);
+            else add([entry.studentId, entry.data]);
+        });
+        Object.values((doc && doc.classes) || {}).forEach(classData => {
+            Object.entries((classData && classData.students) || {}).forEach(add);
+        });
+        return students;
+    }
+
+    // Star ledgers only grow: stored events stay exactly as they are, and new
+    // ones are the user's own and made now. Cached totals that change must
+    // match the ledger.
+    function checkLedgers(before, after, user) {
+        const stored = allStudents(before);
+        const known = new Map();
+        stored.forEach(student => {
+            ((student && student.ledger) || []).forEach(event => known.set(event && event.id, event));
+        });
+
+        Object.values((after && after.classes) || {}).forEach(classData => {
+            Object.entries((classData && classData.students) || {}).forEach(([studentId, student]) => {
+                const ledger = Array.isArray(student.ledger) ? student.ledger : [];
+                const ids = new Set(ledger.map(event => event && event.id));
+                const previous = stored.get(studentId);
+                if (((previous && previous.ledger) || []).some(event => !ids.has(event && event.id))) {
+                    throw denied('Star history cannot be removed');
+                }
+
+                ledger.forEach(event => {
+                    if (known.has(event.id)) {
+                        if (!same(known.get(event.id), event)) throw denied('Star history cannot be changed');
+                        return;
+                    }
+                    if (event.teacher !== user.username) throw denied('New stars must be recorded under your own name');
+                    root.StarOperations.optionalTimestamp(event.timestamp || '');
+                });
+
+                const changed = !previous || Number(previous.stars) !== Number(student.stars);
+                if (changed && student.stars !== undefined && Number(student.stars) !== root.StarLedger.deriveStars(student)) {
+                    throw denied('Star totals must match the star history');
+                }
+            });
+        });
+    }
+
+    // Trash entries a save adds come with deleting their class or student;
+    // entries it drops were restored, purged or had expired
+    function checkTrash(before, after, user) {
+        const oldTrash = (before && before.trash) || {};
+        const newTrash = (after && after.trash) || {};
+        const cutoff = root.StarOperations.trashCutoff(before && before.settings);
+        const trashIds = new Set([...Object.keys(oldTrash), ...Object.keys(newTrash)]);
+
+        trashIds.forEach(trashId => {
+            const oldEntry = oldTrash[trashId];
+            const newEntry = newTrash[trashId];
+            if (same(oldEntry, newEntry)) return;
+            if (oldEntry && newEntry) throw denied('Only an admin can change the trash');
+
+            if (newEntry) {
+                authorize(before, newEntry.type === 'class'
+                    ? { type: 'deleteClass', className: newEntry.className }
+                    : { type: 'removeStudent', studentId: newEntry.studentId }, user);
+                return;
+            }
+            if (new Date(oldEntry.deletedAt).getTime() < cutoff) return;
+            const restored = oldEntry.type === 'class'
+                ? Boolean(after && after.classes && after.classes[oldEntry.className])
+                : Boolean(root.StarOperations.findStudent(after || {}, oldEntry.studentId));
+            authorize(before, { type: restored ? 'restoreTrash' : 'purgeTrash', trashId }, user);
+        });
+    }
+
+    // Throw a 403 OperationError when a whole-document save from `user`
+    // changes anything they could not change with operations: classes they
+    // may not change, or school settings
+    function checkDocument(before, after, user) {
+        requireWriter(user);
+        if (user.role === 'admin') return;
+
+        const oldClasses = (before && before.classes) || {};
+        const newClasses = (after && after.classes) || {};
+        const names = new Set([...Object.keys(oldClasses), ...Object.keys(newClasses)]);
+
+        names.forEach(name => {
+            const oldClass = oldClasses[name];
+            const newClass = newClasses[name];
+            if (same(oldClass, newClass)) return;
+
+            if (!oldClass) {
+                authorize(before, { type: 'createClass', className: name, owner: newClass.owner, coTeachers: newClass.coTeachers }, user);
+                return;
+            }
+            if (!newClass) {
+                authorize(before, { type: 'deleteClass', className: name }, user);
+                return;
+            }
+
+            // Groups are the students' business: co-teachers may change them
+            const { students: oldStudents, groups: oldGroups, ...oldSettings } = oldClass;
+            const { students: newStudents, groups: newGroups, ...newSettings } = newClass;
+            if (!same(oldSettings, newSettings)) {
+                authorize(before, { type: 'updateClass', className: name, owner: newClass.owner }, user);
+            }
+            if (!same([oldStudents, oldGroups], [newStudents, newGroups])) {
+                authorize(before, { type: 'stars', className: name }, user);
+            }
+        });
+
+        checkLedgers(before, after, user);
+        checkTrash(before, after, user);
+        DOCUMENT_PARTS.forEach(part => {
+            if (!same(valueAt(before, part.path), valueAt(after, part.path))) authorize(before, part.op, user);
+        });
+
+        const checked = [['classes'], ['trash'], ...IGNORED_PARTS, ...DOCUMENT_PARTS.map(part => part.path)];
+        if (!same(without(before, checked), without(after, checked))) {
+            throw denied('Only an admin can change the school settings');
+        }
+    }
+
+    // Follow an account rename (or removal, when `to` is null) in every
+    // class assignment. Returns true when the document was modified.
+    function renameMember(doc, from, to) {
+        let changed = false;
+        Object.values((doc && doc.classes) || {}).forEach(classData => {
+            if (classData.owner === from) {
+                if (to) classData.owner = to;
+                else delete classData.owner;
+                changed = true;
+            }
+            if (Array.isArray(classData.coTeachers) && classData.coTeachers.includes(from)) {
+                classData.coTeachers = classData.coTeachers
+                    .map(name => (name === from ? to : name))
+                    .filter(Boolean);
+                changed = true;
+            }
+        });
+        return changed;
+    }
+
+    root.StarAccess = {
+        ROLES,
+        canView,
+        canEdit,
+        canManage,
+        visibleClasses,
+        requireWriter,
+        authorize,
+        checkDocument,
+        renameMember
+    };
+})(typeof window !== 'undefined' ? window : globalThis);
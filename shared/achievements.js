@@ -0,0 +1,203 @@
+// StarBoard - Achievements
+// Achievements are data (settings.achievements): a name, icon and colour and
+// a rule saying when a student has earned it. One engine evaluates them for
+// the teacher portal, the leaderboard, the admin dashboard and the Netlify
+// functions. Rules read the student's star ledger, so the date an achievement
+// was earned is the time of the star that earned it:
+//   { type: 'total', stars }                reach `stars` lifetime stars
+//   { type: 'streak', days }                stars on `days` school days in a
+//                                           row (weekends neither count nor
+//                                           break a streak)
+//   { type: 'category', category, stars }   `stars` stars in one category
+//   { type: 'firstOfWeek' }                 the first in their class to get a
+//                                           star in a week (Monday to Sunday)
+// Earned achievements are recorded on the student (`student.achievements`,
+// achievement id to date) when they get stars, and are kept even if stars
+// are taken away later or the rule changes.
+// Requires shared/ledger.js and shared/schema.js to be loaded first.
+
+(function (root) {
+    const DAY = 24 * 60 * 60 * 1000;
+
+    // Used until the school defines its own: the medals of the admin's
+    // achievement thresholds (settings.achievementThresholds)
+    const DEFAULT_THRESHOLDS = { bronze: 10, silver: 25, gold: 50 };
+
+    function defaults(settings) {
+        const thresholds = { ...DEFAULT_THRESHOLDS, ...(settings && settings.achievementThresholds) };
+        return [
+            { id: 'bronze', name: `${thresholds.bronze} Stars`, icon: 'medal', color: '#cd7f32', rule: { type: 'total', stars: thresholds.bronze } },
+            { id: 'silver', name: `${thresholds.silver} Stars`, icon: 'medal', color: '#c0c0c0', rule: { type: 'total', stars: thresholds.silver } },
+            { id: 'gold', name: `${thresholds.gold} Stars`, icon: 'medal', color: '#ffd700', rule: { type: 'total', stars: thresholds.gold } }
+        ];
+    }
+
+    // The school's achievements, or the default medals
+    function definitions(settings) {
+        const defined = settings && settings.achievements;
+        return Array.isArray(defined) ? defined : defaults(settings);
+    }
+
+    // What a rule asks for, e.g. "Stars on 5 school days in a row"
+    function describe(rule, categories = []) {
+        switch (rule && rule.type) {
+            case 'total':
+                return `Reach ${rule.stars} stars`;
+            case 'streak':
+                return `Stars on ${rule.days} school days in a row`;
+            case 'category': {
+                const category = categories.find(item => item.id === rule.category);
+                return `${rule.stars} stars for ${category ? category.name : 'a removed category'}`;
+            }
+            case 'firstOfWeek':
+                return 'First in the class to get a star in a week';
+            default:
+                return '';
+        }
+    }
+
+    // What rules need besides the student: their classmates (for
+    // firstOfWeek) and the minutes behind UTC that days are counted in
+    // (Date#getTimezoneOffset; local time when left out). One context can be
+    // reused for every student of a class.
+    function context(students, offset) {
+        return { students: students || {}, offset, weekWinners: null };
+    }
+
+    // Day number (days since 1970-01-01) of a timestamp's calendar day
+    function dayNumber(timestamp, offset) {
+        const time = new Date(timestamp);
+        if (offset === undefined || offset === null) {
+            return Math.round(Date.UTC(time.getFullYear(), time.getMonth(), time.getDate()) / DAY);
+        }
+        return Math.floor((time.getTime() - offset * 60 * 1000) / DAY);
+    }
+
+    // Monday of a day number's week (1970-01-01 was a Thursday)
+    function weekNumber(day) {
+        return day - (day + 3) % 7;
+    }
+
+    function isWeekend(day) {
+        return (day + 3) % 7 >= 5;
+    }
+
+    // A student's events, oldest first
+    function chronological(student) {
+        return ((student && student.ledger) || [])
+            .slice()
+            .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    }
+
+    // Timestamp of the event after which `events` first add up to `stars`
+    function reached(events, stars) {
+        let sum = 0;
+        const event = events.find(item => {
+            sum += Number(item.delta) || 0;
+            return sum >= stars;
+        });
+        return event ? event.timestamp : null;
+    }
+
+    function streakReached(events, days, offset) {
+        let streak = 0;
+        let last = null;
+        const event = events.find(item => {
+            if (!(item.delta > 0)) return false;
+            const day = dayNumber(item.timestamp, offset);
+            if (day === last || isWeekend(day)) return false;
+
+            // The school day before this one, skipping the weekend
+            let previous = day - 1;
+            while (isWeekend(previous)) previous--;
+            streak = last === previous ? streak + 1 : 1;
+            last = day;
+            return streak >= days;
+        });
+        return event ? event.timestamp : null;
+    }
+
+    // The first stars given in the class each week, as { time, timestamp,
+    // eventIds }: several students share a week when they got their stars
+    // together. Opening balances, other system events and the stars a
+    // student was added with (recorded at `created`) do not count.
+    function weekWinners(ctx) {
+        if (ctx.weekWinners) return ctx.weekWinners;
+        const winners = new Map();
+        Object.values(ctx.students).forEach(student => {
+            ((student && student.ledger) || []).forEach(event => {
+                if (!(event.delta > 0) || event.teacher === root.StarLedger.SYSTEM_ACTOR) return;
+                if (student.created && event.timestamp === student.created) return;
+                const time = new Date(event.timestamp).getTime();
+                const week = weekNumber(dayNumber(event.timestamp, ctx.offset));
+                const winner = winners.get(week);
+                if (!winner || time < winner.time) winners.set(week, { time, timestamp: event.timestamp, eventIds: [event.id] });
+                else if (time === winner.time) winner.eventIds.push(event.id);
+            });
+        });
+        ctx.weekWinners = [...winners.values()].sort((a, b) => a.time - b.time);
+        return ctx.weekWinners;
+    }
+
+    function firstOfWeekReached(student, ctx) {
+        const ids = new Set(((student && student.ledger) || []).map(event => event.id));
+        const won = weekWinners(ctx).find(winner => winner.eventIds.some(id => ids.has(id)));
+        return won ? won.timestamp : null;
+    }
+
+    // When `student` met the achievement's rule, going by their ledger, or null
+    function earnedAt(student, achievement, ctx = context()) {
+        const rule = achievement.rule || {};
+        const events = chronological(student);
+        switch (rule.type) {
+            case 'total':
+                return reached(events, rule.stars);
+            case 'streak':
+                return streakReached(events, rule.days, ctx.offset);
+            case 'category':
+                return reached(events.filter(event => event.category === rule.category), rule.stars);
+            case 'firstOfWeek':
+                return firstOfWeekReached(student, ctx);
+            default:
+                return null;
+        }
+    }
+
+    // The achievements `student` has, in the order of `achievementList`, each
+    // with its `earnedAt`: recorded ones, and any the rules show they earned
+    // before records were kept
+    function earned(student, achievementList, ctx = context()) {
+        const records = (student && student.achievements) || {};
+        return achievementList
+            .map(achievement => ({ ...achievement, earnedAt: records[achievement.id] || earnedAt(student, achievement, ctx) }))
+            .filter(achievement => achievement.earnedAt);
+    }
+
+    // Record the achievements `student` has earned and not yet got; returns
+    // their ids
+    function award(student, achievementList, ctx = context()) {
+        const records = student.achievements || {};
+        const added = [];
+        achievementList.forEach(achievement => {
+            if (records[achievement.id]) return;
+            const time = earnedAt(student, achievement, ctx);
+            if (!time) return;
+            records[achievement.id] = time;
+            added.push(achievement.id);
+        });
+        if (added.length > 0) student.achievements = records;
+        return added;
+    }
+
+    root.StarAchievements = {
+        RULES: root.StarSchema.ACHIEVEMENT_RULES,
+        DEFAULT_THRESHOLDS,
+        defaults,
+        definitions,
+        describe,
+        context,
+        earnedAt,
+        earned,
+        award
+    };
+})(typeof window !== 'undefined' ? window : globalThis);
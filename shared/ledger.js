@@ -0,0 +1,284 @@
+// StarBoard - Star transaction ledger
+// Every star change is stored as an immutable event on the student record;
+// `student.stars` is only a cached total derived from those events. Also
+// counts the events by category, period (week, month, term) and team for
+// the leaderboards.
+// Loaded as a plain <script> by the pages and imported by the Netlify functions.
+
+(function (root) {
+    const SYSTEM_ACTOR = 'system';
+
+    // Categories offered until a school defines its own
+    const DEFAULT_CATEGORIES = [
+        { id: 'participation', name: 'Participation', icon: 'hand-paper', points: 1 },
+        { id: 'homework', name: 'Homework', icon: 'book', points: 2 },
+        { id: 'behaviour', name: 'Behaviour', icon: 'smile', points: 1 },
+        { id: 'teamwork', name: 'Teamwork', icon: 'users', points: 1 }
+    ];
+
+    // Leaderboard periods; 'all' ranks by lifetime stars
+    const PERIODS = ['week', 'month', 'term', 'all'];
+
+    // Months (0 = January) in which the default terms start: autumn, spring,
+    // summer. Used until the school has a current term (settings.currentTerm).
+    const TERM_MONTHS = [8, 0, 3];
+
+    function generateEventId() {
+        return 'evt_' + Date.now().toString(36) + Math.random().toString(36).substr(2, 8);
+    }
+
+    // Build a ledger event. Events are never edited or removed afterwards;
+    // corrections are recorded as new, compensating events.
+    function createEvent({ id, studentId, className, delta, teacher, reason, category, timestamp }) {
+        const event = {
+            id: id || generateEventId(),
+            studentId: studentId,
+            className: className,
+            delta: delta,
+            teacher: teacher || SYSTEM_ACTOR,
+            timestamp: timestamp || new Date().toISOString()
+        };
+        if (reason) event.reason = reason;
+        if (category) event.category = category;
+        return event;
+    }
+
+    // Sum of all deltas in a student's ledger
+    function deriveStars(student) {
+        if (!student || !Array.isArray(student.ledger)) return 0;
+        return Math.max(0, student.ledger.reduce((sum, event) => sum + (Number(event.delta) || 0), 0));
+    }
+
+    // Append a star change to a student's ledger and refresh the cached total.
+    // Removals are clamped so the total never drops below zero; returns the
+    // recorded event, or null when nothing changed. Recording an event id that
+    // is already in the ledger returns the existing event.
+    function record(student, { id, studentId, className, delta, teacher, reason, category, timestamp }) {
+        ensureLedger(student, studentId, className);
+
+        const existing = id && student.ledger.find(event => event.id === id);
+        if (existing) return existing;
+
+        const current = deriveStars(student);
+        const applied = Math.max(delta, -current);
+        if (!applied) return null;
+
+        const event = createEvent({ id, studentId, className, delta: applied, teacher, reason, category, timestamp });
+        student.ledger.push(event);
+        student.stars = deriveStars(student);
+        return event;
+    }
+
+    // Give a student without history an opening-balance event so that the
+    // ledger accounts for the stars they already have.
+    function ensureLedger(student, studentId, className) {
+        if (Array.isArray(student.ledger)) return false;
+
+        student.ledger = [];
+        const stars = Math.max(0, Number(student.stars) || 0);
+        if (stars > 0) {
+            student.ledger.push(createEvent({
+                studentId,
+                className,
+                delta: stars,
+                reason: 'Opening balance',
+                timestamp: student.created
+            }));
+        }
+        student.stars = stars;
+        return true;
+    }
+
+    // Bring every student in a document in line with its ledger. Students
+    // whose stored total drifted (e.g. written by an older client) get a
+    // reconciliation event rather than silently losing the difference.
+    // Returns true when the document was modified.
+    function normalizeDocument(data) {
+        let changed = false;
+
+        Object.entries((data && data.classes) || {}).forEach(([className, classData]) => {
+            Object.entries((classData && classData.students) || {}).forEach(([studentId, student]) => {
+                if (ensureLedger(student, studentId, className)) changed = true;
+
+                const derived = deriveStars(student);
+                const stored = Number(student.stars);
+                if (Number.isFinite(stored) && stored >= 0 && stored !== derived) {
+                    student.ledger.push(createEvent({
+                        studentId,
+                        className,
+                        delta: stored - derived,
+                        reason: 'Reconciled with stored total'
+                    }));
+                    changed = true;
+                }
+
+                const total = deriveStars(student);
+                if (student.stars !== total) {
+                    student.stars = total;
+                    changed = true;
+                }
+            });
+        });
+
+        return changed;
+    }
+
+    // Newest-first copy of a student's events
+    function history(student) {
+        if (!student || !Array.isArray(student.ledger)) return [];
+        return student.ledger.slice().sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+    }
+
+    // The school's star categories (settings.categories), or the defaults
+    function categories(settings) {
+        const defined = settings && settings.categories;
+        return Array.isArray(defined) ? defined : DEFAULT_CATEGORIES;
+    }
+
+    // Stars per category id for a list of events ('' for events without a
+    // category, such as opening balances)
+    function categoryTotals(events) {
+        const totals = {};
+        (events || []).forEach(event => {
+            const key = event.category || '';
+            totals[key] = (totals[key] || 0) + (Number(event.delta) || 0);
+        });
+        return totals;
+    }
+
+    // Nonzero category totals in the order of `categoryList`, with stars
+    // from no category or a removed one last, as 'Other'
+    function categoryBreakdown(events, categoryList) {
+        const totals = categoryTotals(events);
+        const rows = [];
+        categoryList.forEach(category => {
+            if (totals[category.id]) rows.push({ ...category, stars: totals[category.id] });
+            delete totals[category.id];
+        });
+        const other = Object.values(totals).reduce((sum, stars) => sum + stars, 0);
+        if (other) rows.push({ id: '', name: 'Other', icon: 'star', stars: other });
+        return rows;
+    }
+
+    // Midnight at the start of a 'YYYY-MM-DD' day, `days` later: in local
+    // time, or at `offset` minutes behind UTC (Date#getTimezoneOffset) when
+    // given, so a server can match the boundaries a page worked out
+    function dayStart(day, offset, days = 0) {
+        const [year, month, date] = String(day).split('-').map(Number);
+        if (offset === undefined || offset === null) return new Date(year, month - 1, date + days);
+        return new Date(Date.UTC(year, month - 1, date + days) + offset * 60 * 1000);
+    }
+
+    // The term the school is in (settings.currentTerm), or null
+    function currentTerm(settings) {
+        const terms = (settings && settings.terms) || [];
+        return terms.find(term => term.id === settings.currentTerm) || null;
+    }
+
+    // { start, end } of a term: from the start of its first day to the end of its last
+    function termRange(term, offset) {
+        return { start: dayStart(term.start, offset), end: dayStart(term.end, offset, 1) };
+    }
+
+    // { start, end } of the period containing `now`, in local time, or null
+    // for 'all'. Weeks start on Monday; 'term' is the school's current term
+    // when it has one.
+    function periodRange(period, settings, now = new Date()) {
+        const year = now.getFullYear();
+        const month = now.getMonth();
+
+        if (period === 'week') {
+            const start = new Date(year, month, now.getDate() - (now.getDay() + 6) % 7);
+            return { start, end: new Date(start.getFullYear(), start.getMonth(), start.getDate() + 7) };
+        }
+        if (period === 'month') {
+            return { start: new Date(year, month, 1), end: new Date(year, month + 1, 1) };
+        }
+        if (period === 'term' && currentTerm(settings)) {
+            return termRange(currentTerm(settings));
+        }
+        if (period === 'term') {
+            const starts = TERM_MONTHS.slice().sort((a, b) => a - b);
+            const current = starts.filter(first => first <= month).pop();
+            const next = starts.find(first => first > month);
+            return {
+                start: new Date(year, current, 1),
+                end: next === undefined ? new Date(year + 1, starts[0], 1) : new Date(year, next, 1)
+            };
+        }
+        return null;
+    }
+
+    // Net stars from the events in [start, end); with no range, the lifetime total
+    function starsInRange(student, range) {
+        if (!range) return Number(student && student.stars) || 0;
+        return ((student && student.ledger) || []).reduce((sum, event) => {
+            const time = new Date(event.timestamp);
+            return time >= range.start && time < range.end ? sum + (Number(event.delta) || 0) : sum;
+        }, 0);
+    }
+
+    // Every class's students ranked by the stars they earned in `range`, as
+    // kept in an archive: { className: [{ studentId, name, stars, total, team }] }
+    function standings(doc, range) {
+        const result = {};
+        Object.entries((doc && doc.classes) || {}).forEach(([className, classData]) => {
+            result[className] = Object.entries((classData && classData.students) || {})
+                .map(([studentId, student]) => {
+                    const entry = {
+                        studentId,
+                        name: student.name,
+                        stars: starsInRange(student, range),
+                        total: Math.max(0, Number(student.stars) || 0)
+                    };
+                    if (student.team) entry.team = student.team;
+                    return entry;
+                })
+                .sort((a, b) => b.stars - a.stars || b.total - a.total);
+        });
+        return result;
+    }
+
+    // The school's teams ranked by their members' stars:
+    // [{ ...team, stars, total, members }]. `students` are { team, stars }
+    // entries (stars being lifetime totals) and `points` picks what counts,
+    // e.g. the stars earned this week. Members are listed best first;
+    // students whose team was removed belong to none.
+    function teamStandings(teams, students, points = student => Number(student.stars) || 0) {
+        const byId = new Map((teams || []).map(team => [team.id, { ...team, stars: 0, total: 0, members: [] }]));
+        students.forEach(student => {
+            const entry = byId.get(student.team);
+            if (!entry) return;
+            entry.members.push(student);
+            entry.stars += points(student);
+            entry.total += Number(student.stars) || 0;
+        });
+
+        const ranked = [...byId.values()];
+        ranked.forEach(entry => entry.members.sort((a, b) => points(b) - points(a) || (b.stars || 0) - (a.stars || 0)));
+        return ranked.sort((a, b) => b.stars - a.stars || b.total - a.total || a.name.localeCompare(b.name));
+    }
+
+    root.StarLedger = {
+        SYSTEM_ACTOR,
+        DEFAULT_CATEGORIES,
+        PERIODS,
+        generateEventId,
+        createEvent,
+        deriveStars,
+        record,
+        ensureLedger,
+        normalizeDocument,
+        history,
+        categories,
+        categoryTotals,
+        categoryBreakdown,
+        dayStart,
+        currentTerm,
+        termRange,
+        periodRange,
+        starsInRange,
+        standings,
+        teamStandings
+    };
+})(typeof window !== 'undefined' ? window : globalThis);
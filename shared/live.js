@@ -0,0 +1,95 @@
+// StarBoard - Live updates
+// Lets a page know when the stored data has moved on, so a projector showing
+// the leaderboard updates as soon as a star is awarded on another device.
+// With Supabase Realtime configured (GET /realtime on the Supabase function)
+// the functions broadcast every new revision and the page is told straight
+// away; otherwise, or while the connection is down, the page polls.
+// Browser only; the page decides how to load and show the new data.
+
+(function (root) {
+    const CONFIG_URL = '/.netlify/functions/supabase-starboard/realtime';
+    const CLIENT_URL = 'https://cdn.jsdelivr.net/npm/@supabase/supabase-js@2';
+    // Polling interval without realtime
+    const POLL_SECONDS = 10;
+    // With realtime, an occasional check still catches missed messages
+    const SAFETY_POLL_SECONDS = 120;
+
+    function loadScript(src) {
+        return new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = src;
+            script.onload = resolve;
+            script.onerror = reject;
+            document.head.appendChild(script);
+        });
+    }
+
+    async function loadConfig() {
+        try {
+            // The channel depends on the school (shared/storage.js)
+            const res = await fetch(CONFIG_URL, { headers: root.StarStorage ? root.StarStorage.schoolHeaders() : {} });
+            const isJson = (res.headers.get('Content-Type') || '').includes('application/json');
+            return res.ok && isJson ? res.json() : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    // `check(revision)` is called with the broadcast revision, or without one
+    // when it is time to poll. Checks are skipped while the page is hidden or
+    // offline and made up for when it comes back.
+    class LiveUpdates {
+        constructor(check) {
+            this.check = check;
+            this.timer = null;
+            this.channel = null;
+            this.realtime = false;
+        }
+
+        async start() {
+            this.poll(POLL_SECONDS);
+            document.addEventListener('visibilitychange', () => {
+                if (!document.hidden) this.notify();
+            });
+            window.addEventListener('online', () => this.notify());
+
+            const config = await loadConfig();
+            if (config) this.subscribe(config);
+        }
+
+        async subscribe(config) {
+            try {
+                if (!root.supabase) await loadScript(CLIENT_URL);
+            } catch (e) {
+                console.warn('Realtime client unavailable, polling for changes');
+                return;
+            }
+
+            const client = root.supabase.createClient(config.url, config.anonKey);
+            this.channel = client.channel(config.channel)
+                .on('broadcast', { event: config.event }, ({ payload }) => this.notify(payload && payload.revision))
+                .subscribe(status => {
+                    const connected = status === 'SUBSCRIBED';
+                    if (connected === this.realtime) return;
+                    this.realtime = connected;
+                    this.poll(connected ? SAFETY_POLL_SECONDS : POLL_SECONDS);
+                    // Catch up on anything broadcast while disconnected
+                    if (connected) this.notify();
+                });
+        }
+
+        poll(seconds) {
+            clearInterval(this.timer);
+            this.timer = setInterval(() => this.notify(), seconds * 1000);
+        }
+
+        notify(revision) {
+            if (document.hidden || navigator.onLine === false) return;
+            Promise.resolve(this.check(revision)).catch(error => {
+                console.warn('Live update failed:', error);
+            });
+        }
+    }
+
+    root.StarLive = { LiveUpdates };
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,136 @@
+// StarBoard - Three-way document merge
+// Used when a save is rejected because another device changed the data first:
+// the local edits (relative to the copy they were based on) are replayed on
+// top of the server copy. Star ledgers are merged event by event, so stars
+// awarded in different classrooms are never lost.
+// Depends on shared/ledger.js.
+
+(function (root) {
+    // Thrown by the save paths when the server rejects a stale write;
+    // `current` holds the server copy to merge with.
+    class ConflictError extends Error {
+        constructor(current) {
+            super('Data was changed by someone else');
+            this.name = 'ConflictError';
+            this.current = current;
+        }
+    }
+
+    function isPlainObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    function clone(value) {
+        return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+    }
+
+    function isEqual(a, b) {
+        return JSON.stringify(a) === JSON.stringify(b);
+    }
+
+    // Union of two event lists by id, oldest first
+    function mergeLedgers(local, remote) {
+        const events = new Map();
+        [...(remote || []), ...(local || [])].forEach(event => {
+            if (event && event.id && !events.has(event.id)) events.set(event.id, event);
+        });
+        return Array.from(events.values()).sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    }
+
+    function mergeValue(base, local, remote, path, conflicts) {
+        if (isEqual(local, base)) return clone(remote);
+        if (isEqual(remote, base) || isEqual(local, remote)) return clone(local);
+
+        const key = path[path.length - 1];
+        if (key === 'ledger' && Array.isArray(local) && Array.isArray(remote)) {
+            return mergeLedgers(local, remote);
+        }
+
+        if (isPlainObject(local) && isPlainObject(remote)) {
+            const baseObject = isPlainObject(base) ? base : {};
+            const merged = {};
+            const keys = new Set([...Object.keys(baseObject), ...Object.keys(local), ...Object.keys(remote)]);
+            keys.forEach(childKey => {
+                // Star totals are derived from the ledger after merging
+                if (childKey === 'stars' && Array.isArray(local.ledger || remote.ledger)) return;
+                const value = mergeValue(baseObject[childKey], local[childKey], remote[childKey], path.concat(childKey), conflicts);
+                if (value !== undefined) merged[childKey] = value;
+            });
+            return merged;
+        }
+
+        // Both sides changed the same value differently; keep ours for now
+        conflicts.push({ path, local: clone(local), remote: clone(remote) });
+        return clone(local);
+    }
+
+    function refreshStarTotals(doc) {
+        Object.values((doc && doc.classes) || {}).forEach(classData => {
+            Object.values((classData && classData.students) || {}).forEach(student => {
+                if (Array.isArray(student.ledger)) {
+                    student.stars = root.StarLedger.deriveStars(student);
+                }
+            });
+        });
+    }
+
+    // Merge `local` and `remote`, both descended from `base`. Returns the
+    // merged document (carrying the remote revision, so it can be saved
+    // straight back) and the list of values both sides changed differently.
+    function mergeDocuments(base, local, remote) {
+        const conflicts = [];
+        const merged = mergeValue(base || {}, local || {}, remote || {}, [], conflicts) || {};
+
+        merged.metadata = { ...(local && local.metadata), ...(remote && remote.metadata) };
+        refreshStarTotals(merged);
+
+        return {
+            merged,
+            conflicts: conflicts.filter(conflict => conflict.path[0] !== 'metadata')
+        };
+    }
+
+    // Apply the remote side of the given conflicts to a merged document
+    function useRemote(merged, conflicts) {
+        conflicts.forEach(({ path, remote }) => {
+            let target = merged;
+            for (let i = 0; i < path.length - 1; i++) {
+                if (!isPlainObject(target[path[i]])) target[path[i]] = {};
+                target = target[path[i]];
+            }
+            const last = path[path.length - 1];
+            if (remote === undefined) delete target[last];
+            else target[last] = clone(remote);
+        });
+        refreshStarTotals(merged);
+        return merged;
+    }
+
+    // Human readable label for a conflict, e.g. `Class "4B" › student "Ana" › name`
+    function describeConflict(conflict, doc) {
+        const [section, className, child, studentId, ...rest] = conflict.path;
+        if (section !== 'classes' || className === undefined) return conflict.path.join(' › ');
+
+        const parts = [`Class "${className}"`];
+        if (child === 'students' && studentId !== undefined) {
+            const classData = doc && doc.classes && doc.classes[className];
+            const student = classData && classData.students && classData.students[studentId];
+            const name = (student && student.name) ||
+                (conflict.local && conflict.local.name) ||
+                (conflict.remote && conflict.remote.name) ||
+                studentId;
+            parts.push(`student "${name}"`);
+            if (rest.length) parts.push(rest.join(' › '));
+        } else if (child !== undefined) {
+            parts.push([child, studentId, ...rest].filter(part => part !== undefined).join(' › '));
+        }
+        return parts.join(' › ');
+    }
+
+    root.StarMerge = {
+        ConflictError,
+        mergeDocuments,
+        useRemote,
+        describeConflict
+    };
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,1044 @@
+// StarBoard - Granular data operations
+// A single change (a star award, a new class, a renamed student, ...) as a
+// plain object. The pages apply operations to their local copy straight away
+// and send them to the Netlify functions, which apply the same operation to
+// the stored data, so a star click no longer uploads the whole document.
+// Deleting a class or student moves it to the document's trash, from which
+// it can be restored until it is purged. bulkStars gives several students of
+// one class the same stars as a single change: all of them or none.
+// rolloverTerm moves the school to another of its terms and archives the
+// standings of the one that ended; lifetime stars are left alone.
+// Students who get stars are given the achievements they have earned
+// (shared/achievements.js); star changes carry the page's time zone so every
+// copy counts days the same way. Timestamps come from the page that made
+// the change, so they must fall between MAX_DELAY ago and CLOCK_SKEW ahead
+// of the clock checking them.
+// Requires shared/ledger.js, shared/schema.js and shared/achievements.js to
+// be loaded first.
+
+(function (root) {
+    class OperationError extends Error {
+        constructor(status, message) {
+            super(message);
+            this.name = 'OperationError';
+            this.status = status;
+        }
+    }
+
+    const TYPES = [
+        'createClass', 'updateClass', 'deleteClass',
+        'addStudent', 'updateStudent', 'removeStudent',
+        'stars', 'bulkStars', 'setGroup', 'setCategories', 'restoreTrash', 'purgeTrash',
+        'setTerms', 'rolloverTerm', 'setTeams', 'setAchievements'
+    ];
+
+    // Days a deleted class or student stays in the trash, unless
+    // settings.trashRetentionDays says otherwise
+    const DEFAULT_TRASH_DAYS = 30;
+    const DAY = 24 * 60 * 60 * 1000;
+
+    // How far ahead of our clock a change's timestamp may be, and how long a
+    // change may wait in the outbox before freshen() gives it a new one
+    const CLOCK_SKEW = 5 * 60 * 1000;
+    const MAX_DELAY = 7 * DAY;
+
+    // Throws a 400 for the first way `value` breaks the schema rule (shared/schema.js)
+    function checkRule(value, rule, label) {
+        const problems = root.StarSchema.checkRule(value, rule);
+        if (problems.length > 0) throw new OperationError(400, `${label} ${problems[0]}`);
+        return value;
+    }
+
+    function optionalName(value, label, rule) {
+        if (value === undefined || value === null) return undefined;
+        const name = typeof value === 'string' ? value.trim() : '';
+        if (!name) throw new OperationError(400, `${label} cannot be empty`);
+        return checkRule(name, rule, label);
+    }
+
+    function requiredName(value, label, rule) {
+        const name = optionalName(value, label, rule);
+        if (!name) throw new OperationError(400, `${label} is required`);
+        return name;
+    }
+
+    // Free text such as a description or a star reason
+    function optionalText(value, label, rule) {
+        if (value === undefined || value === null) return undefined;
+        return checkRule(value, rule, label);
+    }
+
+    // Class owner: a username, or null (updateClass only) to unassign
+    function optionalOwner(value, allowNull) {
+        if (value === null && allowNull) return null;
+        return optionalName(value, 'Owner', 'username');
+    }
+
+    // Co-teacher usernames without blanks, duplicates or the owner
+    function optionalCoTeachers(value) {
+        if (value === undefined || value === null) return undefined;
+        if (!Array.isArray(value)) throw new OperationError(400, 'coTeachers must be a list of usernames');
+        const names = value.map(name => requiredName(name, 'Co-teacher', 'username'));
+        return [...new Set(names)];
+    }
+
+    function requiredDelta(value, label) {
+        if (!Number.isInteger(value) || value === 0) {
+            throw new OperationError(400, `${label} must be a non-zero whole number`);
+        }
+        return value;
+    }
+
+    // The students of a bulkStars change, each listed once; an award's own
+    // delta (used when undoing) overrides the operation's
+    function requiredAwards(value) {
+        if (!Array.isArray(value) || value.length === 0) throw new OperationError(400, 'Choose at least one student');
+        const max = root.StarSchema.LIMITS.studentsPerClass;
+        if (value.length > max) throw new OperationError(400, `At most ${max} students can get stars at once`);
+
+        const seen = new Set();
+        return value.map(award => {
+            const clean = { studentId: requiredName(award && award.studentId, 'Student id', 'studentId') };
+            if (seen.has(clean.studentId)) throw new OperationError(400, 'Each student can only be listed once');
+            seen.add(clean.studentId);
+            const eventId = optionalName(award.eventId, 'Event id', 'eventId');
+            if (eventId) clean.eventId = eventId;
+            if (award.delta !== undefined) clean.delta = requiredDelta(award.delta, 'delta');
+            return clean;
+        });
+    }
+
+    // A group's student ids, or null to remove the group
+    function optionalMembers(value) {
+        if (value === undefined || value === null) return null;
+        if (!Array.isArray(value)) throw new OperationError(400, 'studentIds must be a list of student ids');
+        const max = root.StarSchema.LIMITS.studentsPerClass;
+        if (value.length > max) throw new OperationError(400, `A group can have at most ${max} students`);
+        return [...new Set(value.map(studentId => requiredName(studentId, 'Student id', 'studentId')))];
+    }
+
+    // The school's star categories, or null to go back to the defaults
+    function optionalCategories(value) {
+        if (value === undefined || value === null) return null;
+        const schema = root.StarSchema;
+        const problems = schema.check(value, { type: 'array', items: schema.CATEGORY, max: schema.LIMITS.categories }, 'categories');
+        if (problems.length > 0) throw new OperationError(400, schema.describe(problems.slice(0, 1)));
+
+        const ids = value.map(category => category.id);
+        if (new Set(ids).size !== ids.length) throw new OperationError(400, 'Each category needs its own id');
+        if (value.some(category => category.points === 0)) throw new OperationError(400, 'Category points must not be 0');
+        return value.map(({ id, name, icon, points }) => ({ id, name: name.trim(), icon, points }));
+    }
+
+    function validDay(value) {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+        const date = new Date(`${value}T00:00:00Z`);
+        return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+    }
+
+    // The school's terms in date order; each needs its own id and dates, and
+    // terms may not overlap
+    function requiredTerms(value) {
+        const schema = root.StarSchema;
+        const problems = schema.check(value, { type: 'array', items: schema.TERM, max: schema.LIMITS.terms }, 'terms');
+        if (problems.length > 0) throw new OperationError(400, schema.describe(problems.slice(0, 1)));
+
+        const ids = value.map(term => term.id);
+        if (new Set(ids).size !== ids.length) throw new OperationError(400, 'Each term needs its own id');
+
+        const terms = value
+            .map(({ id, name, start, end }) => ({ id, name: name.trim(), start, end }))
+            .sort((a, b) => a.start.localeCompare(b.start));
+        terms.forEach((term, index) => {
+            if (!validDay(term.start) || !validDay(term.end)) {
+                throw new OperationError(400, `Term "${term.name}" needs dates written as YYYY-MM-DD`);
+            }
+            if (term.end < term.start) throw new OperationError(400, `Term "${term.name}" ends before it starts`);
+            const previous = terms[index - 1];
+            if (previous && term.start <= previous.end) {
+                throw new OperationError(400, `Terms "${previous.name}" and "${term.name}" overlap`);
+            }
+        });
+        return terms;
+    }
+
+    // The school's teams; each needs its own id and a '#rrggbb' colour
+    function requiredTeams(value) {
+        const schema = root.StarSchema;
+        const problems = schema.check(value, { type: 'array', items: schema.TEAM, max: schema.LIMITS.teams }, 'teams');
+        if (problems.length > 0) throw new OperationError(400, schema.describe(problems.slice(0, 1)));
+
+        const ids = value.map(team => team.id);
+        if (new Set(ids).size !== ids.length) throw new OperationError(400, 'Each team needs its own id');
+        return value.map(({ id, name, color, crest }) => {
+            if (!/^#[0-9a-f]{6}$/i.test(color)) throw new OperationError(400, `Team "${name}" needs a colour written as #rrggbb`);
+            return { id, name: name.trim(), color: color.toLowerCase(), crest };
+        });
+    }
+
+    // The school's achievements, or null to go back to the default medals.
+    // Each keeps only what its rule uses.
+    function optionalAchievements(value) {
+        if (value === undefined || value === null) return null;
+        const schema = root.StarSchema;
+        const problems = schema.check(value, { type: 'array', items: schema.ACHIEVEMENT, max: schema.LIMITS.achievements }, 'achievements');
+        if (problems.length > 0) throw new OperationError(400, schema.describe(problems.slice(0, 1)));
+
+        const ids = value.map(achievement => achievement.id);
+        if (new Set(ids).size !== ids.length) throw new OperationError(400, 'Each achievement needs its own id');
+        return value.map(({ id, name, icon, color, rule }) => {
+            const label = `Achievement "${name}"`;
+            if (!/^#[0-9a-f]{6}$/i.test(color)) throw new OperationError(400, `${label} needs a colour written as #rrggbb`);
+
+            const clean = { type: rule.type };
+            if (rule.type === 'total' || rule.type === 'category') {
+                if (!rule.stars) throw new OperationError(400, `${label} needs a number of stars`);
+                clean.stars = rule.stars;
+            }
+            if (rule.type === 'category') {
+                if (!rule.category) throw new OperationError(400, `${label} needs a category`);
+                clean.category = rule.category;
+            }
+            if (rule.type === 'streak') {
+                if (!rule.days) throw new OperationError(400, `${label} needs a number of days`);
+                clean.days = rule.days;
+            }
+            return { id, name: name.trim(), icon, color: color.toLowerCase(), rule: clean };
+        });
+    }
+
+    // A student's team id, or null (or '') to take them out of their team
+    function optionalTeam(value) {
+        if (value === undefined) return undefined;
+        if (value === null || value === '') return null;
+        return requiredName(value, 'Team', 'teamId');
+    }
+
+    // Minutes behind UTC of the page making the change (Date#getTimezoneOffset)
+    function optionalOffset(value) {
+        if (value === undefined || value === null) return undefined;
+        if (!Number.isInteger(value) || Math.abs(value) > 16 * 60) {
+            throw new OperationError(400, 'timezoneOffset must be a whole number of minutes');
+        }
+        return value;
+    }
+
+    // When the change was made, as an ISO string; undefined means now
+    function optionalTimestamp(value, now = Date.now()) {
+        if (value === undefined || value === null) return undefined;
+        checkRule(value, 'timestamp', 'timestamp');
+        const time = /^\d{4}-\d\d-\d\dT/.test(value) ? Date.parse(value) : NaN;
+        if (Number.isNaN(time)) throw new OperationError(400, 'timestamp must be an ISO date and time');
+        if (time > now + CLOCK_SKEW || time < now - MAX_DELAY) {
+            throw new OperationError(400, 'timestamp is too far from the current time');
+        }
+        return new Date(time).toISOString();
+    }
+
+    // Check an operation's fields and return a cleaned-up copy.
+    // Throws an OperationError (status 400) describing the first problem.
+    function validate(op) {
+        if (!op || !TYPES.includes(op.type)) {
+            throw new OperationError(400, 'Unknown operation');
+        }
+
+        const clean = { ...op, timestamp: optionalTimestamp(op.timestamp) };
+        switch (op.type) {
+            case 'createClass':
+                clean.className = requiredName(op.className, 'Class name', 'className');
+                clean.description = optionalText(op.description, 'Description', 'description');
+                clean.owner = optionalOwner(op.owner, false);
+                clean.coTeachers = optionalCoTeachers(op.coTeachers);
+                break;
+            case 'updateClass':
+                clean.className = requiredName(op.className, 'Class name', 'className');
+                clean.newName = optionalName(op.newName, 'New class name', 'className');
+                clean.description = optionalText(op.description, 'Description', 'description');
+                clean.owner = optionalOwner(op.owner, true);
+                clean.coTeachers = optionalCoTeachers(op.coTeachers);
+                break;
+            case 'deleteClass':
+                clean.className = requiredName(op.className, 'Class name', 'className');
+                clean.trashId = optionalName(op.trashId, 'Trash id', 'trashId');
+                break;
+            case 'addStudent':
+                clean.className = requiredName(op.className, 'Class name', 'className');
+                clean.studentId = requiredName(op.studentId, 'Student id', 'studentId');
+                clean.name = requiredName(op.name, 'Student name', 'studentName');
+                clean.stars = checkRule(Math.max(0, Math.floor(Number(op.stars) || 0)), 'stars', 'Stars');
+                clean.eventId = optionalName(op.eventId, 'Event id', 'eventId');
+                break;
+            case 'updateStudent':
+                clean.studentId = requiredName(op.studentId, 'Student id', 'studentId');
+                clean.name = optionalName(op.name, 'Student name', 'studentName');
+                clean.newClassName = optionalName(op.newClassName, 'Class name', 'className');
+                clean.team = optionalTeam(op.team);
+                break;
+            case 'removeStudent':
+                clean.studentId = requiredName(op.studentId, 'Student id', 'studentId');
+                clean.trashId = optionalName(op.trashId, 'Trash id', 'trashId');
+                break;
+            case 'restoreTrash':
+            case 'purgeTrash':
+                clean.trashId = requiredName(op.trashId, 'Trash id', 'trashId');
+                break;
+            case 'stars':
+                clean.className = requiredName(op.className, 'Class name', 'className');
+                clean.studentId = requiredName(op.studentId, 'Student id', 'studentId');
+                requiredDelta(op.delta, 'delta');
+                clean.eventId = optionalName(op.eventId, 'Event id', 'eventId');
+                clean.reason = optionalText(op.reason, 'Reason', 'reason');
+                clean.category = optionalName(op.category, 'Category', 'categoryId');
+                clean.timezoneOffset = optionalOffset(op.timezoneOffset);
+                break;
+            case 'bulkStars':
+                clean.className = requiredName(op.className, 'Class name', 'className');
+                clean.delta = requiredDelta(op.delta, 'delta');
+                clean.awards = requiredAwards(op.awards);
+                clean.reason = optionalText(op.reason, 'Reason', 'reason');
+                clean.category = optionalName(op.category, 'Category', 'categoryId');
+                clean.timezoneOffset = optionalOffset(op.timezoneOffset);
+                break;
+            case 'setCategories':
+                clean.categories = optionalCategories(op.categories);
+                break;
+            case 'setGroup':
+                clean.className = requiredName(op.className, 'Class name', 'className');
+                clean.group = requiredName(op.group, 'Group name', 'groupName');
+                clean.studentIds = optionalMembers(op.studentIds);
+                break;
+            case 'setTerms':
+                clean.terms = requiredTerms(op.terms);
+                break;
+            case 'rolloverTerm':
+                clean.termId = requiredName(op.termId, 'Term id', 'termId');
+                clean.archiveId = optionalName(op.archiveId, 'Archive id', 'archiveId');
+                clean.timezoneOffset = optionalOffset(op.timezoneOffset);
+                break;
+            case 'setTeams':
+                clean.teams = requiredTeams(op.teams);
+                break;
+            case 'setAchievements':
+                clean.achievements = optionalAchievements(op.achievements);
+                break;
+        }
+        return clean;
+    }
+
+    function generateTrashId() {
+        return 'trash_' + Date.now().toString(36) + Math.random().toString(36).substr(2, 8);
+    }
+
+    function requireClass(doc, className) {
+        const classData = doc.classes[className];
+        if (!classData) throw new OperationError(404, `Class "${className}" not found`);
+        classData.students = classData.students || {};
+        return classData;
+    }
+
+    // Locate a student by id in any class
+    function findStudent(doc, studentId) {
+        for (const [className, classData] of Object.entries(doc.classes || {})) {
+            const student = classData && classData.students && classData.students[studentId];
+            if (student) return { className, student };
+        }
+        return null;
+    }
+
+    function requireStudent(doc, studentId) {
+        const found = findStudent(doc, studentId);
+        if (!found) throw new OperationError(404, 'Student not found');
+        return found;
+    }
+
+    function requireTrash(doc, trashId) {
+        const entry = doc.trash && doc.trash[trashId];
+        if (!entry) throw new OperationError(404, 'Not found in the trash');
+        return entry;
+    }
+
+    function retentionDays(settings) {
+        const days = Number(settings && settings.trashRetentionDays);
+        return Number.isInteger(days) && days > 0 ? days : DEFAULT_TRASH_DAYS;
+    }
+
+    // Trash entries deleted before this time (ms) have expired at `now`
+    function trashCutoff(settings, now = new Date()) {
+        return new Date(now).getTime() - retentionDays(settings) * DAY;
+    }
+
+    // Ids of trash entries deleted longer ago than the retention period
+    function expiredTrash(doc, now = new Date()) {
+        const cutoff = trashCutoff(doc.settings, now);
+        return Object.entries(doc.trash || {})
+            .filter(([, entry]) => new Date(entry.deletedAt).getTime() < cutoff)
+            .map(([trashId]) => trashId);
+    }
+
+    // Drop the trash entries that have expired at `now`; returns their ids
+    function dropExpiredTrash(doc, now = new Date()) {
+        const expired = expiredTrash(doc, now);
+        expired.forEach(trashId => delete doc.trash[trashId]);
+        return expired;
+    }
+
+    // Record a deleted class or student in the trash, dropping entries that
+    // have expired by the time of the deletion; returns the entry's id
+    function moveToTrash(doc, op, actor, entry) {
+        doc.trash = doc.trash || {};
+        // Ids come from the page; one must never replace an entry
+        if (op.trashId && doc.trash[op.trashId]) throw new OperationError(409, 'Trash entry already exists');
+        const deletedAt = op.timestamp || new Date().toISOString();
+        dropExpiredTrash(doc, deletedAt);
+
+        const trashId = op.trashId || generateTrashId();
+        doc.trash[trashId] = { ...entry, deletedAt, deletedBy: actor };
+        return trashId;
+    }
+
+    function generateArchiveId() {
+        return 'archive_' + Date.now().toString(36) + Math.random().toString(36).substr(2, 8);
+    }
+
+    // The stretch of `previous` whose stars are archived when the school
+    // rolls over to `next`: the term's days, cut short at the rollover or
+    // where `next` begins, so no star counts towards both terms
+    function archiveRange(previous, next, op) {
+        const range = root.StarLedger.termRange(previous, op.timezoneOffset);
+        const nextStart = root.StarLedger.dayStart(next.start, op.timezoneOffset);
+        const ends = [range.end.getTime(), new Date(op.timestamp || Date.now()).getTime()];
+        if (nextStart > range.start) ends.push(nextStart.getTime());
+        return { start: range.start, end: new Date(Math.min(...ends)) };
+    }
+
+    // The term an operation rolls over to, and the current one it archives (or null)
+    function rolloverTerms(settings, op) {
+        const term = ((settings && settings.terms) || []).find(item => item.id === op.termId);
+        if (!term) throw new OperationError(404, 'Term not found');
+        if (settings.currentTerm === op.termId) throw new OperationError(409, `"${term.name}" is already the current term`);
+        return { term, previous: root.StarLedger.currentTerm(settings) };
+    }
+
+    // Apply an operation's owner / coTeachers to a class
+    function assignStaff(classData, op) {
+        if (op.owner === null) delete classData.owner;
+        else if (op.owner !== undefined) classData.owner = op.owner;
+
+        const coTeachers = op.coTeachers !== undefined ? op.coTeachers : classData.coTeachers;
+        if (coTeachers !== undefined) {
+            classData.coTeachers = coTeachers.filter(name => name !== classData.owner);
+        }
+    }
+
+    const handlers = {
+        createClass(doc, op) {
+            if (doc.classes[op.className]) throw new OperationError(409, 'Class already exists');
+            doc.classes[op.className] = {
+                students: {},
+                created: op.timestamp || new Date().toISOString()
+            };
+            if (op.description) doc.classes[op.className].description = op.description;
+            assignStaff(doc.classes[op.className], op);
+            return { className: op.className };
+        },
+
+        updateClass(doc, op) {
+            const classData = requireClass(doc, op.className);
+            if (op.description !== undefined) classData.description = op.description;
+            assignStaff(classData, op);
+
+            const newName = op.newName || op.className;
+            if (newName !== op.className) {
+                if (doc.classes[newName]) throw new OperationError(409, 'Class already exists');
+                doc.classes[newName] = classData;
+                delete doc.classes[op.className];
+            }
+            return { className: newName };
+        },
+
+        deleteClass(doc, op, actor) {
+            const classData = requireClass(doc, op.className);
+            const trashId = moveToTrash(doc, op, actor, { type: 'class', className: op.className, data: classData });
+            delete doc.classes[op.className];
+            return { className: op.className, trashId };
+        },
+
+        addStudent(doc, op, actor) {
+            const classData = requireClass(doc, op.className);
+            if (findStudent(doc, op.studentId)) throw new OperationError(409, 'Student already exists');
+
+            const student = {
+                name: op.name,
+                stars: 0,
+                ledger: [],
+                created: op.timestamp || new Date().toISOString()
+            };
+            if (op.stars > 0) {
+                root.StarLedger.record(student, {
+                    id: op.eventId,
+                    studentId: op.studentId,
+                    className: op.className,
+                    delta: op.stars,
+                    teacher: actor,
+                    reason: 'Initial stars',
+                    timestamp: student.created
+                });
+            }
+            classData.students[op.studentId] = student;
+            return { className: op.className, studentId: op.studentId };
+        },
+
+        updateStudent(doc, op) {
+            const { className, student } = requireStudent(doc, op.studentId);
+            const teams = (doc.settings && doc.settings.teams) || [];
+            if (op.team && !teams.some(team => team.id === op.team)) throw new OperationError(404, 'Team not found');
+
+            if (op.name) student.name = op.name;
+            if (op.team) student.team = op.team;
+            else if (op.team === null) delete student.team;
+
+            const newClassName = op.newClassName || className;
+            if (newClassName !== className) {
+                requireClass(doc, newClassName).students[op.studentId] = student;
+                delete doc.classes[className].students[op.studentId];
+            }
+            return { className: newClassName, studentId: op.studentId };
+        },
+
+        removeStudent(doc, op, actor) {
+            const { className, student } = requireStudent(doc, op.studentId);
+            const trashId = moveToTrash(doc, op, actor, { type: 'student', className, studentId: op.studentId, data: student });
+            delete doc.classes[className].students[op.studentId];
+            return { className, studentId: op.studentId, trashId };
+        },
+
+        stars(doc, op, actor) {
+            const student = requireClass(doc, op.className).students[op.studentId];
+            if (!student) throw new OperationError(404, 'Student not found');
+
+            const event = root.StarLedger.record(student, {
+                id: op.eventId,
+                studentId: op.studentId,
+                className: op.className,
+                delta: op.delta,
+                teacher: actor,
+                reason: op.reason,
+                category: op.category,
+                timestamp: op.timestamp
+            });
+            const achievements = event && event.delta > 0 ? awardAchievements(doc, op, [student])[0] : [];
+            return { className: op.className, studentId: op.studentId, event, stars: student.stars, achievements };
+        },
+
+        // Every student is checked before anyone gets stars, so a missing
+        // student leaves the whole class unchanged
+        bulkStars(doc, op, actor) {
+            const students = requireClass(doc, op.className).students;
+            op.awards.forEach(award => {
+                if (!students[award.studentId]) throw new OperationError(404, 'Student not found');
+            });
+
+            const awards = op.awards.map(award => {
+                const student = students[award.studentId];
+                const event = root.StarLedger.record(student, {
+                    id: award.eventId,
+                    studentId: award.studentId,
+                    className: op.className,
+                    delta: award.delta || op.delta,
+                    teacher: actor,
+                    reason: op.reason,
+                    category: op.category,
+                    timestamp: op.timestamp
+                });
+                return { studentId: award.studentId, event, stars: student.stars };
+            });
+
+            // Achievements once everyone has their stars, so classmates given
+            // stars together are compared fairly
+            const gained = awards.filter(award => award.event && award.event.delta > 0);
+            const earned = awardAchievements(doc, op, gained.map(award => students[award.studentId]));
+            awards.forEach(award => {
+                const index = gained.indexOf(award);
+                award.achievements = index === -1 ? [] : earned[index];
+            });
+            return { className: op.className, awards };
+        },
+
+        // Students no longer in the class are left out of the group
+        setGroup(doc, op) {
+            const classData = requireClass(doc, op.className);
+            const members = (op.studentIds || []).filter(studentId => classData.students[studentId]);
+            if (op.studentIds) {
+                classData.groups = { ...classData.groups, [op.group]: members };
+            } else if (classData.groups) {
+                delete classData.groups[op.group];
+            }
+            return { className: op.className, group: op.group };
+        },
+
+        setCategories(doc, op) {
+            const settings = { ...doc.settings };
+            if (op.categories) settings.categories = op.categories;
+            else delete settings.categories;
+            doc.settings = settings;
+            return { categories: root.StarLedger.categories(settings) };
+        },
+
+        // Put a deleted class or student back where it was
+        restoreTrash(doc, op) {
+            const entry = requireTrash(doc, op.trashId);
+            if (entry.type === 'class') {
+                if (doc.classes[entry.className]) throw new OperationError(409, 'Class already exists');
+                Object.keys(entry.data.students || {}).forEach(studentId => {
+                    if (findStudent(doc, studentId)) throw new OperationError(409, 'Student already exists');
+                });
+                doc.classes[entry.className] = entry.data;
+            } else {
+                const classData = requireClass(doc, entry.className);
+                if (findStudent(doc, entry.studentId)) throw new OperationError(409, 'Student already exists');
+                classData.students[entry.studentId] = entry.data;
+            }
+            delete doc.trash[op.trashId];
+            return { className: entry.className, studentId: entry.studentId, trashId: op.trashId };
+        },
+
+        purgeTrash(doc, op) {
+            requireTrash(doc, op.trashId);
+            delete doc.trash[op.trashId];
+            return { trashId: op.trashId };
+        },
+
+        setTerms(doc, op) {
+            doc.settings = doc.settings || {};
+            const current = doc.settings.currentTerm;
+            if (current && !op.terms.some(term => term.id === current)) {
+                throw new OperationError(409, 'The current term cannot be removed');
+            }
+            doc.settings.terms = op.terms;
+            return { terms: op.terms };
+        },
+
+        rolloverTerm(doc, op, actor) {
+            doc.settings = doc.settings || {};
+            const { term, previous } = rolloverTerms(doc.settings, op);
+
+            let archiveId = null;
+            if (previous) {
+                doc.archives = doc.archives || {};
+                if (Object.keys(doc.archives).length >= root.StarSchema.LIMITS.archives) {
+                    throw new OperationError(409, 'Too many archived terms');
+                }
+                archiveId = op.archiveId || generateArchiveId();
+                doc.archives[archiveId] = {
+                    termId: previous.id,
+                    name: previous.name,
+                    start: previous.start,
+                    end: previous.end,
+                    archivedAt: op.timestamp || new Date().toISOString(),
+                    archivedBy: actor,
+                    classes: root.StarLedger.standings(doc, archiveRange(previous, term, op))
+                };
+            }
+            doc.settings.currentTerm = term.id;
+            return { termId: term.id, archiveId };
+        },
+
+        // Students keep the id of a team that is removed, and count for no team
+        setTeams(doc, op) {
+            doc.settings = { ...doc.settings, teams: op.teams };
+            return { teams: op.teams };
+        },
+
+        // Achievements already earned stay on the students
+        setAchievements(doc, op) {
+            const settings = { ...doc.settings };
+            if (op.achievements) settings.achievements = op.achievements;
+            else delete settings.achievements;
+            doc.settings = settings;
+            return { achievements: root.StarAchievements.definitions(settings) };
+        }
+    };
+
+    // Record the achievements each of `students` (of the operation's class)
+    // has earned; returns the new achievement ids per student
+    function awardAchievements(doc, op, students) {
+        const engine = root.StarAchievements;
+        const achievements = engine.definitions(doc.settings);
+        const context = engine.context(doc.classes[op.className].students, op.timezoneOffset);
+        return students.map(student => engine.award(student, achievements, context));
+    }
+
+    // Apply an operation to a whole document in place and return what changed.
+    // Throws an OperationError when the operation is invalid or does not fit
+    // the document (missing class, duplicate name, ...).
+    function apply(doc, op, actor) {
+        const clean = validate(op);
+        doc.classes = doc.classes || {};
+        return handlers[clean.type](doc, clean, actor);
+    }
+
+    // The operation that undoes `op` on `doc`, worked out before `op` is
+    // applied; null when `op` cannot be undone or would not change anything.
+    // Deletions are undone by restoring from the trash, so classes and
+    // students come back whole. Star changes are undone with a compensating
+    // event, so the ledger keeps both.
+    function inverse(doc, op) {
+        const classes = (doc && doc.classes) || {};
+        switch (op.type) {
+            case 'createClass':
+                return { type: 'deleteClass', className: op.className };
+            case 'updateClass': {
+                const classData = classes[op.className];
+                if (!classData) return null;
+                const undo = { type: 'updateClass', className: op.newName || op.className };
+                if (op.newName && op.newName !== op.className) undo.newName = op.className;
+                if (op.description !== undefined) undo.description = classData.description || '';
+                if (op.owner !== undefined) undo.owner = classData.owner || null;
+                if (op.owner !== undefined || op.coTeachers !== undefined) undo.coTeachers = classData.coTeachers || [];
+                return undo;
+            }
+            case 'deleteClass':
+                if (!classes[op.className] || !op.trashId) return null;
+                return { type: 'restoreTrash', trashId: op.trashId };
+            case 'addStudent':
+                return { type: 'removeStudent', studentId: op.studentId };
+            case 'updateStudent': {
+                const found = findStudent(doc, op.studentId);
+                if (!found) return null;
+                const undo = { type: 'updateStudent', studentId: op.studentId, name: found.student.name, newClassName: found.className };
+                if (op.team !== undefined) undo.team = found.student.team || null;
+                return undo;
+            }
+            case 'removeStudent':
+                if (!findStudent(doc, op.studentId) || !op.trashId) return null;
+                return { type: 'restoreTrash', trashId: op.trashId };
+            case 'restoreTrash': {
+                const entry = doc.trash && doc.trash[op.trashId];
+                if (!entry) return null;
+                return entry.type === 'class'
+                    ? { type: 'deleteClass', className: entry.className }
+                    : { type: 'removeStudent', studentId: entry.studentId };
+            }
+            case 'stars': {
+                const students = classes[op.className] && classes[op.className].students;
+                const student = students && students[op.studentId];
+                if (!student) return null;
+                // Removals stop at zero, as in StarLedger.record
+                const applied = Math.max(op.delta, -Math.max(0, Number(student.stars) || 0));
+                if (!applied) return null;
+                const reason = op.reason ? `Undo: ${op.reason}` : 'Undo';
+                return {
+                    type: 'stars',
+                    className: op.className,
+                    studentId: op.studentId,
+                    delta: -applied,
+                    reason: reason.slice(0, root.StarSchema.LIMITS.reason),
+                    category: op.category
+                };
+            }
+            case 'bulkStars': {
+                const students = classes[op.className] && classes[op.className].students;
+                if (!students) return null;
+                const awards = [];
+                op.awards.forEach(award => {
+                    const student = students[award.studentId];
+                    if (!student) return;
+                    const applied = Math.max(award.delta || op.delta, -Math.max(0, Number(student.stars) || 0));
+                    if (applied) awards.push({ studentId: award.studentId, delta: -applied });
+                });
+                if (awards.length === 0) return null;
+                const reason = op.reason ? `Undo: ${op.reason}` : 'Undo';
+                return {
+                    type: 'bulkStars',
+                    className: op.className,
+                    delta: -op.delta,
+                    awards,
+                    reason: reason.slice(0, root.StarSchema.LIMITS.reason),
+                    category: op.category
+                };
+            }
+            case 'setCategories': {
+                const defined = doc && doc.settings && doc.settings.categories;
+                return { type: 'setCategories', categories: Array.isArray(defined) ? defined.map(category => ({ ...category })) : null };
+            }
+            case 'setGroup': {
+                const classData = classes[op.className];
+                if (!classData) return null;
+                const members = classData.groups && classData.groups[op.group];
+                return { type: 'setGroup', className: op.className, group: op.group, studentIds: members ? [...members] : null };
+            }
+            case 'setTerms': {
+                const defined = doc && doc.settings && doc.settings.terms;
+                return { type: 'setTerms', terms: Array.isArray(defined) ? defined.map(term => ({ ...term })) : [] };
+            }
+            case 'setTeams': {
+                const defined = doc && doc.settings && doc.settings.teams;
+                return { type: 'setTeams', teams: Array.isArray(defined) ? defined.map(team => ({ ...team })) : [] };
+            }
+            case 'setAchievements': {
+                const defined = doc && doc.settings && doc.settings.achievements;
+                return {
+                    type: 'setAchievements',
+                    achievements: Array.isArray(defined) ? defined.map(achievement => ({ ...achievement, rule: { ...achievement.rule } })) : null
+                };
+            }
+            default:
+                return null;
+        }
+    }
+
+    // Give an operation the ids and timestamp it needs so that every copy it
+    // is applied to ends up with identical records
+    function prepare(op) {
+        const prepared = { timestamp: new Date().toISOString(), ...op };
+        if ((op.type === 'stars' || op.type === 'addStudent') && !prepared.eventId) {
+            prepared.eventId = root.StarLedger.generateEventId();
+        }
+        if ((op.type === 'deleteClass' || op.type === 'removeStudent') && !prepared.trashId) {
+            prepared.trashId = generateTrashId();
+        }
+        if (op.type === 'bulkStars' && Array.isArray(op.awards)) {
+            prepared.awards = op.awards.map(award => ({ eventId: root.StarLedger.generateEventId(), ...award }));
+        }
+        if (op.type === 'rolloverTerm') {
+            prepared.archiveId = prepared.archiveId || generateArchiveId();
+        }
+        if (['stars', 'bulkStars', 'rolloverTerm'].includes(op.type) && prepared.timezoneOffset === undefined) {
+            prepared.timezoneOffset = new Date().getTimezoneOffset();
+        }
+        return prepared;
+    }
+
+    // A queued operation ready to send: one that waited too long in the
+    // outbox is stamped with the current time, so the server still takes it
+    function freshen(op, now = Date.now()) {
+        const time = Date.parse(op.timestamp);
+        if (!(time < now - MAX_DELAY + CLOCK_SKEW)) return op;
+        return { ...op, timestamp: new Date(now).toISOString() };
+    }
+
+    // HTTP request for an operation; `path` is relative to the function URL
+    function toRequest(op) {
+        const className = encodeURIComponent(op.className || '');
+        const studentId = encodeURIComponent(op.studentId || '');
+
+        switch (op.type) {
+            case 'createClass':
+                return {
+                    method: 'POST',
+                    path: '/classes',
+                    body: { name: op.className, description: op.description, owner: op.owner, coTeachers: op.coTeachers, timestamp: op.timestamp }
+                };
+            case 'updateClass':
+                return {
+                    method: 'PATCH',
+                    path: `/classes/${className}`,
+                    body: { name: op.newName, description: op.description, owner: op.owner, coTeachers: op.coTeachers }
+                };
+            case 'deleteClass':
+                return { method: 'DELETE', path: `/classes/${className}`, body: { trashId: op.trashId, timestamp: op.timestamp } };
+            case 'addStudent':
+                return {
+                    method: 'POST',
+                    path: `/classes/${className}/students`,
+                    body: { id: op.studentId, name: op.name, stars: op.stars, eventId: op.eventId, timestamp: op.timestamp }
+                };
+            case 'updateStudent':
+                return { method: 'PATCH', path: `/students/${studentId}`, body: { name: op.name, className: op.newClassName, team: op.team } };
+            case 'removeStudent':
+                return { method: 'DELETE', path: `/students/${studentId}`, body: { trashId: op.trashId, timestamp: op.timestamp } };
+            case 'stars':
+                return {
+                    method: 'POST',
+                    path: `/classes/${className}/students/${studentId}/stars`,
+                    body: {
+                        delta: op.delta,
+                        reason: op.reason,
+                        category: op.category,
+                        eventId: op.eventId,
+                        timezoneOffset: op.timezoneOffset,
+                        timestamp: op.timestamp
+                    }
+                };
+            case 'bulkStars':
+                return {
+                    method: 'POST',
+                    path: `/classes/${className}/stars`,
+                    body: {
+                        awards: op.awards,
+                        delta: op.delta,
+                        reason: op.reason,
+                        category: op.category,
+                        timezoneOffset: op.timezoneOffset,
+                        timestamp: op.timestamp
+                    }
+                };
+            case 'setGroup':
+                return op.studentIds
+                    ? { method: 'PUT', path: `/classes/${className}/groups/${encodeURIComponent(op.group)}`, body: { studentIds: op.studentIds } }
+                    : { method: 'DELETE', path: `/classes/${className}/groups/${encodeURIComponent(op.group)}`, body: {} };
+            case 'setCategories':
+                return op.categories
+                    ? { method: 'PUT', path: '/categories', body: { categories: op.categories } }
+                    : { method: 'DELETE', path: '/categories', body: {} };
+            case 'setTerms':
+                return { method: 'PUT', path: '/terms', body: { terms: op.terms } };
+            case 'rolloverTerm':
+                return {
+                    method: 'POST',
+                    path: `/terms/${encodeURIComponent(op.termId)}/rollover`,
+                    body: { archiveId: op.archiveId, timezoneOffset: op.timezoneOffset, timestamp: op.timestamp }
+                };
+            case 'setTeams':
+                return { method: 'PUT', path: '/teams', body: { teams: op.teams } };
+            case 'setAchievements':
+                return op.achievements
+                    ? { method: 'PUT', path: '/achievements', body: { achievements: op.achievements } }
+                    : { method: 'DELETE', path: '/achievements', body: {} };
+            case 'restoreTrash':
+                return { method: 'POST', path: `/trash/${encodeURIComponent(op.trashId)}/restore`, body: {} };
+            case 'purgeTrash':
+                return { method: 'DELETE', path: `/trash/${encodeURIComponent(op.trashId)}`, body: {} };
+            default:
+                throw new OperationError(400, 'Unknown operation');
+        }
+    }
+
+    // Operation for an HTTP method and decoded route segments (the inverse of
+    // toRequest), or null when the route is not an operation
+    function fromRequest(method, route, body) {
+        const data = body || {};
+        const [resource, key, child, childKey, action] = route;
+
+        if (resource === 'classes') {
+            if (route.length === 1 && method === 'POST') {
+                return {
+                    type: 'createClass',
+                    className: data.name,
+                    description: data.description,
+                    owner: data.owner,
+                    coTeachers: data.coTeachers,
+                    timestamp: data.timestamp
+                };
+            }
+            if (route.length === 2 && method === 'PATCH') {
+                return {
+                    type: 'updateClass',
+                    className: key,
+                    newName: data.name,
+                    description: data.description,
+                    owner: data.owner,
+                    coTeachers: data.coTeachers
+                };
+            }
+            if (route.length === 2 && method === 'DELETE') {
+                return { type: 'deleteClass', className: key, trashId: data.trashId, timestamp: data.timestamp };
+            }
+            if (route.length === 3 && child === 'students' && method === 'POST') {
+                return {
+                    type: 'addStudent',
+                    className: key,
+                    studentId: data.id,
+                    name: data.name,
+                    stars: data.stars,
+                    eventId: data.eventId,
+                    timestamp: data.timestamp
+                };
+            }
+            if (route.length === 5 && child === 'students' && action === 'stars' && method === 'POST') {
+                return {
+                    type: 'stars',
+                    className: key,
+                    studentId: childKey,
+                    delta: data.delta,
+                    reason: data.reason,
+                    category: data.category,
+                    eventId: data.eventId,
+                    timezoneOffset: data.timezoneOffset,
+                    timestamp: data.timestamp
+                };
+            }
+            if (route.length === 3 && child === 'stars' && method === 'POST') {
+                return {
+                    type: 'bulkStars',
+                    className: key,
+                    awards: data.awards,
+                    delta: data.delta,
+                    reason: data.reason,
+                    category: data.category,
+                    timezoneOffset: data.timezoneOffset,
+                    timestamp: data.timestamp
+                };
+            }
+            if (route.length === 4 && child === 'groups' && method === 'PUT') {
+                return { type: 'setGroup', className: key, group: childKey, studentIds: data.studentIds || [] };
+            }
+            if (route.length === 4 && child === 'groups' && method === 'DELETE') {
+                return { type: 'setGroup', className: key, group: childKey, studentIds: null };
+            }
+        }
+
+        if (resource === 'students' && route.length === 2) {
+            if (method === 'PATCH') {
+                return { type: 'updateStudent', studentId: key, name: data.name, newClassName: data.className, team: data.team };
+            }
+            if (method === 'DELETE') return { type: 'removeStudent', studentId: key, trashId: data.trashId, timestamp: data.timestamp };
+        }
+
+        if (resource === 'categories' && route.length === 1) {
+            if (method === 'PUT') return { type: 'setCategories', categories: data.categories || [] };
+            if (method === 'DELETE') return { type: 'setCategories', categories: null };
+        }
+
+        if (resource === 'terms') {
+            if (route.length === 1 && method === 'PUT') return { type: 'setTerms', terms: data.terms || [] };
+            if (route.length === 3 && child === 'rollover' && method === 'POST') {
+                return {
+                    type: 'rolloverTerm',
+                    termId: key,
+                    archiveId: data.archiveId,
+                    timezoneOffset: data.timezoneOffset,
+                    timestamp: data.timestamp
+                };
+            }
+        }
+
+        if (resource === 'teams' && route.length === 1 && method === 'PUT') {
+            return { type: 'setTeams', teams: data.teams || [] };
+        }
+
+        if (resource === 'achievements' && route.length === 1) {
+            if (method === 'PUT') return { type: 'setAchievements', achievements: data.achievements || [] };
+            if (method === 'DELETE') return { type: 'setAchievements', achievements: null };
+        }
+
+        if (resource === 'trash' && key) {
+            if (route.length === 3 && child === 'restore' && method === 'POST') return { type: 'restoreTrash', trashId: key };
+            if (route.length === 2 && method === 'DELETE') return { type: 'purgeTrash', trashId: key };
+        }
+
+        return null;
+    }
+
+    root.StarOperations = {
+        OperationError,
+        validate,
+        apply,
+        inverse,
+        prepare,
+        freshen,
+        optionalTimestamp,
+        findStudent,
+        generateTrashId,
+        generateArchiveId,
+        retentionDays,
+        trashCutoff,
+        expiredTrash,
+        dropExpiredTrash,
+        archiveRange,
+        rolloverTerms,
+        assignStaff,
+        toRequest,
+        fromRequest
+    };
+})(typeof window !== 'undefined' ? window : globalThis);
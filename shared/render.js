@@ -0,0 +1,77 @@
+// StarBoard - Safe HTML rendering
+// Class, student and teacher names are typed by users and shown on the public
+// projector page, so they never reach innerHTML as they are. html`...`
+// escapes every value put into it; markup made by another html`...` (or
+// marked with raw() for fixed strings) is kept, lists are joined, and null,
+// undefined and false leave nothing.
+// Buttons and links carry data-action (with their arguments as data-*
+// attributes) instead of inline onclick code; delegate() sends clicks on them
+// to a handler.
+
+(function (root) {
+    const ENTITIES = {
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&#39;',
+        '`': '&#96;'
+    };
+
+    function escape(value) {
+        return String(value === null || value === undefined ? '' : value).replace(/[&<>"'`]/g, char => ENTITIES[char]);
+    }
+
+    // Markup that is already safe to insert; innerHTML takes it as a string
+    class SafeHtml {
+        constructor(markup) {
+            this.markup = markup;
+        }
+
+        toString() {
+            return this.markup;
+        }
+    }
+
+    function raw(markup) {
+        return new SafeHtml(String(markup));
+    }
+
+    function fragment(value) {
+        if (value instanceof SafeHtml) return value.markup;
+        if (Array.isArray(value)) return value.map(fragment).join('');
+        if (value === null || value === undefined || value === false) return '';
+        return escape(value);
+    }
+
+    function html(strings, ...values) {
+        let markup = strings[0];
+        values.forEach((value, index) => {
+            markup += fragment(value) + strings[index + 1];
+        });
+        return new SafeHtml(markup);
+    }
+
+    // One click listener for every [data-action] inside `container`;
+    // handlers[action] gets the element's dataset and the event
+    function delegate(container, handlers) {
+        container.addEventListener('click', event => {
+            const target = event.target.closest('[data-action]');
+            if (!target || !container.contains(target)) return;
+
+            const handler = handlers[target.dataset.action];
+            if (!handler) return;
+
+            event.preventDefault();
+            handler(target.dataset, event);
+        });
+    }
+
+    root.StarRender = {
+        SafeHtml,
+        escape,
+        raw,
+        html,
+        delegate
+    };
+})(typeof window !== 'undefined' ? window : globalThis);
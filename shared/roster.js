@@ -0,0 +1,222 @@
+// StarBoard - Roster import
+// Turns a pasted or uploaded class list into students to add. Accepts CSV,
+// TSV or plain text with one name per line. A header row names the columns
+// (name, or first and last name; student ID; stars; class) in any order;
+// without one the columns are read as name, student ID, stars, class.
+// Without a header a comma or semicolon only splits a row whose second cell
+// looks like an ID or number; "Smith, John" stays one name and is marked for
+// the teacher to confirm.
+// check() marks every row as ready to add, to confirm, a duplicate of a
+// student who is already there, or an error, so the page can show a preview
+// before anything is saved.
+// Requires shared/schema.js, shared/operations.js and shared/access.js to be
+// loaded first.
+
+(function (root) {
+    const MAX_ROWS = 1000;
+
+    const HEADERS = {
+        name: ['name', 'student', 'student name', 'full name', 'pupil', 'pupil name'],
+        firstName: ['first name', 'firstname', 'given name', 'forename'],
+        lastName: ['last name', 'lastname', 'surname', 'family name'],
+        studentId: ['id', 'student id', 'studentid', 'student number', 'pupil id'],
+        stars: ['stars', 'starting stars', 'points'],
+        className: ['class', 'class name', 'form', 'group', 'homeroom']
+    };
+
+    const DEFAULT_COLUMNS = ['name', 'studentId', 'stars', 'className'];
+
+    // A student ID or star count has a digit in it; a first name does not
+    function looksLikeId(cell) {
+        return /\d/.test(cell);
+    }
+
+    function delimiterOf(text) {
+        const firstLine = text.split(/\r?\n/).find(line => line.trim()) || '';
+        if (firstLine.includes('\t')) return '\t';
+        if (firstLine.includes(',')) return ',';
+        if (firstLine.includes(';')) return ';';
+        return null;
+    }
+
+    // Rows of cells; quoted cells may hold the delimiter, quotes ("") and line breaks
+    function splitRows(text, delimiter) {
+        if (!delimiter) return text.split(/\r?\n/).map(line => [line]);
+
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let quoted = false;
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"' && cell.trim() === '') {
+                cell = '';
+                quoted = true;
+            } else if (char === delimiter) {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+        row.push(cell);
+        rows.push(row);
+        return rows;
+    }
+
+    function columnFor(cell) {
+        const label = cell.trim().toLowerCase().replace(/[_-]+/g, ' ').replace(/\s+/g, ' ');
+        return Object.keys(HEADERS).find(column => HEADERS[column].includes(label)) || null;
+    }
+
+    // The header row's columns, or null when the first row is already a student
+    function headerColumns(cells) {
+        const columns = cells.map(columnFor);
+        const known = columns.filter(Boolean);
+        const named = known.includes('name') || (known.includes('firstName') && known.includes('lastName'));
+        return named ? columns : null;
+    }
+
+    // { rows: [{ line, name, studentId, stars, className, unsure }], header }
+    // where `line` is the row's line number in the text, unset cells are left
+    // out and `unsure` marks a headerless row read as one name with its delimiters
+    function parse(text) {
+        const source = String(text || '').replace(/^\uFEFF/, '');
+        const delimiter = delimiterOf(source);
+
+        // Quoted cells can span lines, so count them to number the rows
+        let next = 1;
+        const lines = splitRows(source, delimiter)
+            .map(cells => {
+                const line = next;
+                next += 1 + cells.reduce((breaks, cell) => breaks + (cell.match(/\n/g) || []).length, 0);
+                return { line, cells: cells.map(cell => cell.replace(/\s+/g, ' ').trim()) };
+            })
+            .filter(entry => entry.cells.some(Boolean));
+
+        const header = lines.length > 0 && delimiter ? headerColumns(lines[0].cells) : null;
+        const columns = header || DEFAULT_COLUMNS;
+        const body = header ? lines.slice(1) : lines;
+
+        const rows = body.map(({ line: rowLine, cells }) => {
+            if (!header && delimiter !== '\t' && cells[1] && !looksLikeId(cells[1])) {
+                return { line: rowLine, name: cells.filter(Boolean).join(`${delimiter} `), unsure: true };
+            }
+
+            const values = {};
+            columns.forEach((column, index) => {
+                if (column && cells[index] && values[column] === undefined) values[column] = cells[index];
+            });
+
+            const row = { line: rowLine };
+            const name = values.name || [values.firstName, values.lastName].filter(Boolean).join(' ');
+            if (name) row.name = name;
+            if (values.studentId) row.studentId = values.studentId;
+            if (values.stars) row.stars = values.stars;
+            if (values.className) row.className = values.className;
+            return row;
+        });
+
+        return { rows, header: Boolean(header) };
+    }
+
+    function firstProblem(value, rule, label) {
+        const problems = root.StarSchema.checkRule(value, rule);
+        return problems.length > 0 ? `${label} ${problems[0]}` : null;
+    }
+
+    function nameKey(className, name) {
+        return `${className}\n${name.toLowerCase()}`;
+    }
+
+    // Sort parsed rows against `doc` into what would be added. Rows without a
+    // class go to `className`; `user` must be able to edit every target class.
+    // Each row gains `status` ('ready', 'confirm', 'duplicate' or 'error')
+    // and, unless ready, a `message`. Rows that are not errors also get the
+    // `className` and `stars` (a number) they would be added with.
+    function check(doc, rows, { className, user }) {
+        const classes = (doc && doc.classes) || {};
+        // Ids and names taken so far, with who took them
+        const usedIds = new Map();
+        const names = new Map();
+        Object.entries(classes).forEach(([name, classData]) => {
+            Object.entries(classData.students || {}).forEach(([studentId, student]) => {
+                usedIds.set(studentId, `${student.name} in ${name}`);
+                names.set(nameKey(name, student.name), `already in ${name}`);
+            });
+        });
+
+        return rows.map((row, index) => {
+            const checked = { ...row };
+            const fail = message => ({ ...checked, status: 'error', message });
+
+            if (index >= MAX_ROWS) return fail(`Only ${MAX_ROWS} students can be imported at once`);
+            if (!row.name) return fail('Name is missing');
+            const nameProblem = firstProblem(row.name, 'studentName', 'Name');
+            if (nameProblem) return fail(nameProblem);
+
+            checked.className = row.className || className;
+            if (!checked.className) return fail('No class given');
+            if (!classes[checked.className]) return fail(`Class "${checked.className}" not found`);
+            if (!root.StarAccess.canEdit(classes[checked.className], user)) {
+                return fail(`You cannot add students to "${checked.className}"`);
+            }
+
+            const stars = row.stars === undefined ? 0 : Number(row.stars);
+            if (!Number.isInteger(stars)) return fail('Stars must be a whole number');
+            const starsProblem = firstProblem(stars, 'stars', 'Stars');
+            if (starsProblem) return fail(starsProblem);
+            checked.stars = stars;
+
+            if (row.studentId) {
+                const idProblem = firstProblem(row.studentId, 'studentId', 'Student ID');
+                if (idProblem) return fail(idProblem);
+                if (usedIds.has(row.studentId)) return fail(`Student ID already used by ${usedIds.get(row.studentId)}`);
+                usedIds.set(row.studentId, `${row.name} on line ${row.line}`);
+            }
+
+            const key = nameKey(checked.className, row.name);
+            if (names.has(key)) {
+                return { ...checked, status: 'duplicate', message: `${row.name} is ${names.get(key)}` };
+            }
+            names.set(key, `also on line ${row.line}`);
+            if (row.unsure) {
+                return { ...checked, status: 'confirm', message: 'Read as one name; add a header row to read the parts as columns' };
+            }
+            return { ...checked, status: 'ready' };
+        });
+    }
+
+    // addStudent operations for checked rows; `generateId` makes ids for rows without one
+    function operations(rows, generateId) {
+        return rows.map(row => ({
+            type: 'addStudent',
+            className: row.className,
+            studentId: row.studentId || generateId(),
+            name: row.name,
+            stars: row.stars
+        }));
+    }
+
+    root.StarRoster = {
+        MAX_ROWS,
+        parse,
+        check,
+        operations
+    };
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,424 @@
+// StarBoard - Document schema
+// One declarative description of the StarBoard document, used by the pages
+// before they save and by the Netlify functions before they store anything a
+// client sent. validate() lists every path that does not fit, so a refused
+// write can say exactly what was wrong.
+//
+// A schema node is a plain object:
+//   { type: 'object', fields, required }  known fields are checked, others kept
+//   { type: 'map', keys, values, max }     any keys; `keys` checks the key itself
+//   { type: 'array', items, max }
+//   { type: 'string', min, max, plain, values }  `plain` refuses < and > (markup)
+//   { type: 'integer', min, max }, { type: 'boolean' }
+//   { oneOf: [node, ...] }                 the first node that fits
+// Loaded as a plain <script> by the pages and imported by the Netlify functions.
+
+(function (root) {
+    const LIMITS = {
+        // Serialized size of a whole document
+        documentBytes: 5 * 1024 * 1024,
+        classes: 500,
+        studentsPerClass: 1000,
+        ledgerEvents: 20000,
+        trashEntries: 5000,
+        categories: 30,
+        terms: 50,
+        archives: 200,
+        teams: 50,
+        achievements: 50,
+        // Achievement records on one student, including achievements removed since
+        earnedAchievements: 200,
+        name: 100,
+        username: 64,
+        id: 100,
+        description: 500,
+        reason: 200,
+        // Problems listed in one answer
+        errors: 20
+    };
+
+    const ROLES = ['teacher', 'viewer'];
+
+    // Font Awesome icons (without the fa- prefix) a star category may use
+    const ICONS = [
+        'star', 'hand-paper', 'book', 'smile', 'users', 'lightbulb', 'heart', 'trophy',
+        'pencil-alt', 'flask', 'music', 'running', 'palette', 'calculator', 'comments',
+        'clock', 'thumbs-up', 'globe', 'leaf', 'broom', 'exclamation-triangle', 'times-circle'
+    ];
+
+    // Font Awesome icons an achievement's badge may show
+    const BADGES = [
+        'medal', 'award', 'trophy', 'crown', 'star', 'gem', 'rocket', 'fire', 'bolt',
+        'heart', 'thumbs-up', 'calendar-check', 'sun', 'book', 'hand-paper', 'users',
+        'lightbulb', 'smile', 'running', 'music'
+    ];
+
+    // Kinds of achievement rule (see shared/achievements.js)
+    const ACHIEVEMENT_RULES = ['total', 'streak', 'category', 'firstOfWeek'];
+
+    // Font Awesome icons a team (house) may use as its crest
+    const CRESTS = [
+        'shield-alt', 'crown', 'dragon', 'crow', 'dove', 'feather-alt', 'horse', 'paw',
+        'fish', 'tree', 'leaf', 'fire', 'water', 'mountain', 'sun', 'moon', 'bolt',
+        'anchor', 'chess-rook', 'star'
+    ];
+
+    const rules = {
+        className: { type: 'string', min: 1, max: LIMITS.name, plain: true },
+        studentName: { type: 'string', min: 1, max: LIMITS.name, plain: true },
+        studentId: { type: 'string', min: 1, max: LIMITS.id, plain: true },
+        trashId: { type: 'string', min: 1, max: LIMITS.id, plain: true },
+        eventId: { type: 'string', min: 1, max: LIMITS.id },
+        groupName: { type: 'string', min: 1, max: LIMITS.name, plain: true },
+        categoryId: { type: 'string', min: 1, max: LIMITS.id, plain: true },
+        termId: { type: 'string', min: 1, max: LIMITS.id, plain: true },
+        archiveId: { type: 'string', min: 1, max: LIMITS.id, plain: true },
+        teamId: { type: 'string', min: 1, max: LIMITS.id, plain: true },
+        achievementId: { type: 'string', min: 1, max: LIMITS.id, plain: true },
+        // A calendar day, 'YYYY-MM-DD'
+        day: { type: 'string', min: 10, max: 10, plain: true },
+        username: { type: 'string', min: 1, max: LIMITS.username, plain: true },
+        description: { type: 'string', max: LIMITS.description },
+        reason: { type: 'string', max: LIMITS.reason },
+        timestamp: { type: 'string', max: 40 },
+        stars: { type: 'integer', min: 0, max: 1000000 }
+    };
+
+    const EVENT = {
+        type: 'object',
+        required: ['id', 'delta'],
+        fields: {
+            id: rules.eventId,
+            studentId: rules.studentId,
+            className: rules.className,
+            delta: { type: 'integer', min: -1000000, max: 1000000 },
+            teacher: { type: 'string', max: LIMITS.username, plain: true },
+            reason: rules.reason,
+            category: rules.categoryId,
+            timestamp: rules.timestamp
+        }
+    };
+
+    // A star reason category (settings.categories) with its default points
+    const CATEGORY = {
+        type: 'object',
+        required: ['id', 'name', 'icon', 'points'],
+        fields: {
+            id: rules.categoryId,
+            name: { type: 'string', min: 1, max: LIMITS.name, plain: true },
+            icon: { type: 'string', values: ICONS },
+            points: { type: 'integer', min: -100, max: 100 }
+        }
+    };
+
+    // A school term (settings.terms); `start` and `end` are the first and last day
+    const TERM = {
+        type: 'object',
+        required: ['id', 'name', 'start', 'end'],
+        fields: {
+            id: rules.termId,
+            name: { type: 'string', min: 1, max: LIMITS.name, plain: true },
+            start: rules.day,
+            end: rules.day
+        }
+    };
+
+    // A team or house (settings.teams) students from any class can belong to;
+    // `color` is a '#rrggbb' hex colour
+    const TEAM = {
+        type: 'object',
+        required: ['id', 'name', 'color', 'crest'],
+        fields: {
+            id: rules.teamId,
+            name: { type: 'string', min: 1, max: LIMITS.name, plain: true },
+            color: { type: 'string', max: 7, plain: true },
+            crest: { type: 'string', values: CRESTS }
+        }
+    };
+
+    // An achievement (settings.achievements): its badge and the rule that
+    // earns it; `stars`, `days` and `category` are used by the rules that need them
+    const ACHIEVEMENT = {
+        type: 'object',
+        required: ['id', 'name', 'icon', 'color', 'rule'],
+        fields: {
+            id: rules.achievementId,
+            name: { type: 'string', min: 1, max: LIMITS.name, plain: true },
+            icon: { type: 'string', values: BADGES },
+            color: { type: 'string', max: 7, plain: true },
+            rule: {
+                type: 'object',
+                required: ['type'],
+                fields: {
+                    type: { type: 'string', values: ACHIEVEMENT_RULES },
+                    stars: { type: 'integer', min: 1, max: 1000000 },
+                    days: { type: 'integer', min: 2, max: 365 },
+                    category: rules.categoryId
+                }
+            }
+        }
+    };
+
+    const STUDENT = {
+        type: 'object',
+        required: ['name', 'stars'],
+        fields: {
+            name: rules.studentName,
+            stars: rules.stars,
+            team: rules.teamId,
+            // Achievement id to when it was earned
+            achievements: { type: 'map', keys: rules.achievementId, values: rules.timestamp, max: LIMITS.earnedAchievements },
+            ledger: { type: 'array', items: EVENT, max: LIMITS.ledgerEvents },
+            created: rules.timestamp
+        }
+    };
+
+    const CLASS = {
+        type: 'object',
+        required: ['students'],
+        fields: {
+            students: { type: 'map', keys: rules.studentId, values: STUDENT, max: LIMITS.studentsPerClass },
+            description: rules.description,
+            owner: rules.username,
+            coTeachers: { type: 'array', items: rules.username, max: 50 },
+            // Named sets of students for awarding stars together
+            groups: {
+                type: 'map',
+                keys: rules.groupName,
+                values: { type: 'array', items: rules.studentId, max: LIMITS.studentsPerClass },
+                max: 100
+            },
+            created: rules.timestamp
+        }
+    };
+
+    // A deleted class or student waiting in the trash (shared/operations.js)
+    const TRASH_ENTRY = {
+        type: 'object',
+        required: ['type', 'className', 'data', 'deletedAt'],
+        fields: {
+            type: { type: 'string', values: ['class', 'student'] },
+            className: rules.className,
+            studentId: rules.studentId,
+            data: { oneOf: [CLASS, STUDENT] },
+            deletedAt: rules.timestamp,
+            deletedBy: { type: 'string', max: LIMITS.username, plain: true }
+        }
+    };
+
+    // A finished term's final standings, kept when the school rolls over to
+    // the next term: each class's students by the stars they earned in it
+    const ARCHIVE = {
+        type: 'object',
+        required: ['termId', 'name', 'start', 'end', 'archivedAt', 'classes'],
+        fields: {
+            termId: rules.termId,
+            name: TERM.fields.name,
+            start: rules.day,
+            end: rules.day,
+            archivedAt: rules.timestamp,
+            archivedBy: { type: 'string', max: LIMITS.username, plain: true },
+            classes: {
+                type: 'map',
+                keys: rules.className,
+                values: {
+                    type: 'array',
+                    max: LIMITS.studentsPerClass,
+                    items: {
+                        type: 'object',
+                        required: ['studentId', 'name', 'stars'],
+                        fields: {
+                            studentId: rules.studentId,
+                            name: rules.studentName,
+                            stars: { type: 'integer', min: -1000000, max: 1000000 },
+                            total: rules.stars,
+                            team: rules.teamId
+                        }
+                    }
+                },
+                max: LIMITS.classes
+            }
+        }
+    };
+
+    // Teacher accounts: a bare password (older documents) or { password, role }
+    const ACCOUNT = {
+        oneOf: [
+            { type: 'string', max: 200 },
+            {
+                type: 'object',
+                required: ['password'],
+                fields: {
+                    password: { type: 'string', max: 200 },
+                    role: { type: 'string', values: ROLES }
+                }
+            }
+        ]
+    };
+
+    const DOCUMENT = {
+        type: 'object',
+        required: ['classes', 'teachers', 'settings'],
+        fields: {
+            classes: { type: 'map', keys: rules.className, values: CLASS, max: LIMITS.classes },
+            teachers: { type: 'map', keys: rules.username, values: ACCOUNT, max: 500 },
+            trash: {
+                type: 'map',
+                keys: rules.trashId,
+                values: TRASH_ENTRY,
+                max: LIMITS.trashEntries
+            },
+            archives: { type: 'map', keys: rules.archiveId, values: ARCHIVE, max: LIMITS.archives },
+            settings: {
+                type: 'object',
+                fields: {
+                    trashRetentionDays: { type: 'integer', min: 1, max: 3650 },
+                    categories: { type: 'array', items: CATEGORY, max: LIMITS.categories },
+                    terms: { type: 'array', items: TERM, max: LIMITS.terms },
+                    currentTerm: rules.termId,
+                    teams: { type: 'array', items: TEAM, max: LIMITS.teams },
+                    achievements: { type: 'array', items: ACHIEVEMENT, max: LIMITS.achievements }
+                }
+            },
+            metadata: {
+                type: 'object',
+                fields: { revision: { type: 'integer', min: 0 } }
+            }
+        }
+    };
+
+    // `classes["Year 3"].students.s1.stars`
+    function joinPath(path, key) {
+        if (typeof key === 'number') return `${path}[${key}]`;
+        if (/^[A-Za-z_$][\w$]*$/.test(key)) return path ? `${path}.${key}` : key;
+        return `${path}[${JSON.stringify(key)}]`;
+    }
+
+    function typeOf(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        return typeof value;
+    }
+
+    // Problems with one value, as messages without the path
+    function checkScalar(value, node) {
+        if (node.type === 'string') {
+            if (typeof value !== 'string') return [`must be a string, not ${typeOf(value)}`];
+            const problems = [];
+            if (node.min && value.trim().length < node.min) problems.push('must not be empty');
+            if (node.max && value.length > node.max) problems.push(`must be at most ${node.max} characters`);
+            if (node.plain && /[<>]/.test(value)) problems.push('must not contain < or >');
+            if (node.values && !node.values.includes(value)) problems.push(`must be one of: ${node.values.join(', ')}`);
+            return problems;
+        }
+        if (node.type === 'integer') {
+            if (typeof value !== 'number') return [`must be a whole number, not ${typeOf(value)}`];
+            if (!Number.isInteger(value)) return ['must be a whole number'];
+            if (node.min !== undefined && value < node.min) return [`must be at least ${node.min}`];
+            if (node.max !== undefined && value > node.max) return [`must be at most ${node.max}`];
+            return [];
+        }
+        if (node.type === 'boolean') {
+            return typeof value === 'boolean' ? [] : [`must be true or false, not ${typeOf(value)}`];
+        }
+        return [];
+    }
+
+    // Collect { path, message } for everything in `value` that does not fit `node`
+    function check(value, node, path = '', errors = []) {
+        if (errors.length >= LIMITS.errors) return errors;
+
+        if (node.oneOf) {
+            const fits = node.oneOf.some(option => check(value, option, path).length === 0);
+            if (!fits) errors.push({ path, message: 'has an unexpected shape' });
+            return errors;
+        }
+
+        if (node.type === 'object' || node.type === 'map') {
+            if (typeOf(value) !== 'object') {
+                errors.push({ path, message: `must be an object, not ${typeOf(value)}` });
+                return errors;
+            }
+        }
+
+        if (node.type === 'object') {
+            (node.required || []).forEach(field => {
+                if (value[field] === undefined) errors.push({ path: joinPath(path, field), message: 'is required' });
+            });
+            Object.entries(node.fields || {}).forEach(([field, fieldNode]) => {
+                if (value[field] !== undefined) check(value[field], fieldNode, joinPath(path, field), errors);
+            });
+            return errors;
+        }
+
+        if (node.type === 'map') {
+            const entries = Object.entries(value);
+            if (node.max && entries.length > node.max) {
+                errors.push({ path, message: `must have at most ${node.max} entries` });
+                return errors;
+            }
+            entries.forEach(([key, entry]) => {
+                const itemPath = joinPath(path, key);
+                if (node.keys) {
+                    checkScalar(key, node.keys).forEach(message => errors.push({ path: itemPath, message: `key ${message}` }));
+                }
+                check(entry, node.values, itemPath, errors);
+            });
+            return errors;
+        }
+
+        if (node.type === 'array') {
+            if (!Array.isArray(value)) {
+                errors.push({ path, message: `must be a list, not ${typeOf(value)}` });
+                return errors;
+            }
+            if (node.max && value.length > node.max) {
+                errors.push({ path, message: `must have at most ${node.max} items` });
+                return errors;
+            }
+            value.forEach((item, index) => check(item, node.items, joinPath(path, index), errors));
+            return errors;
+        }
+
+        checkScalar(value, node).forEach(message => errors.push({ path, message }));
+        return errors;
+    }
+
+    // Problems with a whole document ([] when it is valid). `bytes` is the
+    // size of the received body, when there is one; otherwise it is measured.
+    function validate(doc, bytes) {
+        const size = bytes !== undefined ? bytes : JSON.stringify(doc === undefined ? null : doc).length;
+        if (size > LIMITS.documentBytes) {
+            return [{ path: '', message: `is larger than ${LIMITS.documentBytes / (1024 * 1024)} MB` }];
+        }
+        return check(doc, DOCUMENT).slice(0, LIMITS.errors);
+    }
+
+    // Problems with a single value against one of the named rules
+    function checkRule(value, rule) {
+        return checkScalar(value, rules[rule]);
+    }
+
+    // One line for a list of problems, e.g. for a 400 answer or a toast
+    function describe(errors) {
+        return errors.map(error => `${error.path || 'document'} ${error.message}`).join('; ');
+    }
+
+    root.StarSchema = {
+        LIMITS,
+        ICONS,
+        CRESTS,
+        BADGES,
+        ACHIEVEMENT_RULES,
+        DOCUMENT,
+        CATEGORY,
+        TERM,
+        TEAM,
+        ACHIEVEMENT,
+        rules,
+        check,
+        validate,
+        checkRule,
+        describe
+    };
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,481 @@
+// StarBoard - Storage adapters
+// The app and the admin dashboard read and write the StarBoard document
+// through a chain of adapters tried in priority order: by default the
+// Supabase function, the Netlify Blobs function, then IndexedDB and
+// localStorage in the browser. Each adapter has the same interface, so a new
+// backend only needs an adapter (see register) and a place in the order.
+//
+// Every adapter has a `name`, a display `label` and `remote` (true when its
+// copy is shared with other devices), and these async methods:
+//   load({ conditional })  { data }, { unchanged: true } after a 304, or null
+//                          when the backend is not available
+//   save(doc)              { revision } (remote) or {}, or null when not
+//                          available; throws StarMerge.ConflictError when the
+//                          document was based on an older revision, and a
+//                          StorageError when the server refuses it as invalid
+// Remote adapters also have:
+//   send(op)               the server's result for a StarOperations operation,
+//                          or null; throws an OperationError when refused
+//   request(method, path, body)  any other route (logins, accounts); resolves
+//                          to the JSON answer or null, throws a StorageError
+//                          when refused
+// A page opened with ?school=<id> works on that school of a multi-school
+// deployment: requests name it in the X-StarBoard-School header, and the
+// copies and sessions kept in the browser are stored under keys of its own
+// (see localKey). Without the parameter the server decides (by subdomain, or
+// the default school).
+// Requires shared/merge.js and shared/operations.js to be loaded first.
+
+(function (root) {
+    const DEFAULT_ORDER = ['supabase', 'netlify', 'indexeddb', 'localstorage'];
+    // Overrides the order for one browser, e.g. "memory,localstorage"
+    const ORDER_KEY = 'starboard_storage_order';
+    const SCHOOL_HEADER = 'X-StarBoard-School';
+
+    // School named by the page URL, or null
+    function pageSchool() {
+        try {
+            const school = new URLSearchParams(root.location.search).get('school');
+            return school ? school.trim().toLowerCase() : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    const school = pageSchool();
+
+    // Browser storage key for this page's school
+    function localKey(name) {
+        return school ? `${name}_${school}` : name;
+    }
+
+    function schoolHeaders() {
+        return school ? { [SCHOOL_HEADER]: school } : {};
+    }
+
+    // Link to another StarBoard page of the same school
+    function pageUrl(page) {
+        return school ? `${page}?school=${encodeURIComponent(school)}` : page;
+    }
+
+    // A backend answered a request with an error meant for the user
+    class StorageError extends Error {
+        constructor(status, message) {
+            super(message);
+            this.name = 'StorageError';
+            this.status = status;
+        }
+    }
+
+    function clone(value) {
+        return JSON.parse(JSON.stringify(value));
+    }
+
+    function revisionOf(doc) {
+        return Number(doc && doc.metadata && doc.metadata.revision) || 0;
+    }
+
+    // A missing function answers with an HTML page rather than JSON
+    function isJson(res) {
+        return (res.headers.get('Content-Type') || '').includes('application/json');
+    }
+
+    // Answers that must reach the caller instead of moving on to the next adapter
+    function isRefusal(error) {
+        return error instanceof StorageError ||
+            error instanceof root.StarMerge.ConflictError ||
+            error instanceof root.StarOperations.OperationError;
+    }
+
+    // -----------------------------------------------------------------------
+    // Netlify functions (Supabase and Netlify Blobs)
+    // -----------------------------------------------------------------------
+
+    // `headers()` supplies the session's Authorization header;
+    // `onUnauthorized()` runs when the server no longer accepts it
+    class FunctionAdapter {
+        constructor(name, label, url, options = {}) {
+            this.name = name;
+            this.label = label;
+            this.url = url;
+            this.remote = true;
+            this.headers = options.headers || (() => ({}));
+            this.onUnauthorized = options.onUnauthorized || (() => {});
+            // ETag of the last document loaded, for conditional requests
+            this.etag = null;
+        }
+
+        async load({ conditional = false } = {}) {
+            const headers = conditional && this.etag ? { 'If-None-Match': this.etag } : {};
+            Object.assign(headers, schoolHeaders());
+            // 'no-store' keeps the browser cache from turning a 304 into a full copy
+            const res = await fetch(this.url, { headers, cache: 'no-store' });
+            if (res.status === 304) return { unchanged: true };
+            if (!res.ok || !isJson(res)) return null;
+
+            const data = await res.json();
+            this.etag = res.headers.get('ETag');
+            return { data };
+        }
+
+        async save(doc) {
+            const res = await fetch(this.url, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json', ...schoolHeaders(), ...this.headers() },
+                body: JSON.stringify(doc)
+            });
+            if (res.status === 409) {
+                const body = await res.json();
+                throw new root.StarMerge.ConflictError(body.current);
+            }
+            // Lists the paths that failed shared/schema.js
+            if (res.status === 400 && isJson(res)) {
+                const body = await res.json().catch(() => ({}));
+                throw new StorageError(400, body.error || 'Invalid data');
+            }
+            if (res.status === 401) this.onUnauthorized();
+            if (!res.ok) return null;
+
+            const body = await res.json().catch(() => ({}));
+            return { revision: body.revision };
+        }
+
+        async send(op) {
+            const request = root.StarOperations.toRequest(op);
+            const res = await fetch(this.url + request.path, {
+                method: request.method,
+                headers: { 'Content-Type': 'application/json', ...schoolHeaders(), ...this.headers() },
+                body: JSON.stringify(request.body)
+            });
+
+            if (!isJson(res)) return null;
+            if (res.ok) return res.json();
+            if (res.status >= 400 && res.status < 500) {
+                const body = await res.json().catch(() => ({}));
+                throw new root.StarOperations.OperationError(res.status, body.error || 'Change rejected by the server');
+            }
+            return null;
+        }
+
+        async request(method, path, body) {
+            const res = await fetch(this.url + path, {
+                method,
+                headers: { 'Content-Type': 'application/json', ...schoolHeaders(), ...this.headers() },
+                body: body ? JSON.stringify(body) : undefined
+            });
+            if (!isJson(res) || res.status >= 500) return null;
+
+            const result = await res.json().catch(() => ({}));
+            if (res.status === 401) this.onUnauthorized();
+            if (!res.ok) throw new StorageError(res.status, result.error || 'Request failed');
+            return result;
+        }
+    }
+
+    // -----------------------------------------------------------------------
+    // Browser storage
+    // -----------------------------------------------------------------------
+
+    // 'kv' holds the document, 'outbox' the operations not yet sent to a server
+    function idbOpen() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(localKey('starboard_db'), 2);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains('kv')) {
+                    db.createObjectStore('kv');
+                }
+                if (!db.objectStoreNames.contains('outbox')) {
+                    db.createObjectStore('outbox', { keyPath: 'seq', autoIncrement: true });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Run one request against an object store and resolve to its result
+    async function idbRequest(storeName, mode, makeRequest) {
+        const db = await idbOpen();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeName, mode);
+            const request = makeRequest(tx.objectStore(storeName));
+            tx.oncomplete = () => db.close();
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    class IndexedDBAdapter {
+        constructor() {
+            this.name = 'indexeddb';
+            this.label = 'IndexedDB';
+            this.remote = false;
+        }
+
+        async load() {
+            const data = await idbRequest('kv', 'readonly', store => store.get('data'));
+            return data ? { data } : null;
+        }
+
+        async save(doc) {
+            await idbRequest('kv', 'readwrite', store => store.put(doc, 'data'));
+            return {};
+        }
+    }
+
+    class LocalStorageAdapter {
+        constructor(key = localKey('starboard_data')) {
+            this.name = 'localstorage';
+            this.label = 'Local storage';
+            this.remote = false;
+            this.key = key;
+        }
+
+        async load() {
+            const stored = localStorage.getItem(this.key);
+            return stored ? { data: JSON.parse(stored) } : null;
+        }
+
+        async save(doc) {
+            localStorage.setItem(this.key, JSON.stringify(doc, null, 2));
+            return {};
+        }
+    }
+
+    // Keeps the document in memory. With { remote: true } it acts like a
+    // server (revision checks and operations), standing in for the functions
+    // in tests; `actor` is recorded as the teacher on star events.
+    class MemoryAdapter {
+        constructor(options = {}) {
+            this.name = options.name || 'memory';
+            this.label = 'Memory';
+            this.remote = Boolean(options.remote);
+            this.actor = options.actor;
+            this.data = options.data ? clone(options.data) : null;
+        }
+
+        async load() {
+            return this.data ? { data: clone(this.data) } : null;
+        }
+
+        async save(doc) {
+            if (!this.remote) {
+                this.data = clone(doc);
+                return {};
+            }
+            const current = revisionOf(this.data);
+            if (this.data && revisionOf(doc) !== current) {
+                throw new root.StarMerge.ConflictError(clone(this.data));
+            }
+            const revision = current + 1;
+            this.data = { ...clone(doc), metadata: { ...doc.metadata, revision } };
+            return { revision };
+        }
+
+        async send(op) {
+            if (!this.data) return null;
+            const result = root.StarOperations.apply(this.data, op, this.actor);
+            const revision = revisionOf(this.data) + 1;
+            this.data.metadata = { ...this.data.metadata, revision };
+            return { ...result, revision };
+        }
+
+        async request() {
+            return null;
+        }
+    }
+
+    // -----------------------------------------------------------------------
+    // The chain
+    // -----------------------------------------------------------------------
+
+    // Tries adapters in order and keeps a health record per adapter:
+    // { state: 'ok' | 'unavailable' | 'error', checkedAt, error }.
+    // `validate(doc)` rejects loaded documents the page cannot use.
+    class StorageChain {
+        constructor(adapters, options = {}) {
+            this.adapters = adapters;
+            this.validate = options.validate || (() => true);
+            this.status = {};
+            // Remote adapter that answered last
+            this.active = null;
+        }
+
+        get remotes() {
+            return this.adapters.filter(adapter => adapter.remote);
+        }
+
+        get locals() {
+            return this.adapters.filter(adapter => !adapter.remote);
+        }
+
+        find(name) {
+            return this.adapters.find(adapter => adapter.name === name) || null;
+        }
+
+        report(adapter, state, error) {
+            this.status[adapter.name] = {
+                state,
+                checkedAt: new Date().toISOString(),
+                error: error ? error.message || String(error) : null
+            };
+            if (state === 'ok' && adapter.remote) this.active = adapter;
+        }
+
+        // Run `task` on each adapter until one answers; resolves to
+        // { adapter, result } or null. Refusals are passed on to the caller.
+        async first(adapters, task) {
+            for (const adapter of adapters) {
+                let result;
+                try {
+                    result = await task(adapter);
+                } catch (error) {
+                    if (isRefusal(error)) {
+                        this.report(adapter, 'ok');
+                        throw error;
+                    }
+                    // fetch() rejects with a TypeError when there is no network
+                    this.report(adapter, error instanceof TypeError ? 'unavailable' : 'error', error);
+                    continue;
+                }
+                if (result === null || result === undefined) {
+                    this.report(adapter, 'unavailable');
+                    continue;
+                }
+                this.report(adapter, 'ok');
+                return { adapter, result };
+            }
+            return null;
+        }
+
+        // The shared copy from the first remote adapter that has one:
+        // { data, adapter }, { unchanged: true, adapter } or null
+        async load(options = {}) {
+            const found = await this.first(this.remotes, async adapter => {
+                const loaded = await adapter.load(options);
+                if (loaded && !loaded.unchanged && !this.validate(loaded.data)) {
+                    throw new Error('Invalid data structure');
+                }
+                return loaded;
+            });
+            return found ? { ...found.result, adapter: found.adapter } : null;
+        }
+
+        // { revision, adapter } from the remote adapter that stored `doc`, or null
+        async save(doc) {
+            const found = await this.first(this.remotes, adapter => adapter.save(doc));
+            return found ? { ...found.result, adapter: found.adapter } : null;
+        }
+
+        async send(op) {
+            const found = await this.first(this.remotes, adapter => adapter.send(op));
+            return found ? found.result : null;
+        }
+
+        async request(method, path, body) {
+            const found = await this.first(this.remotes, adapter => adapter.request(method, path, body));
+            return found ? found.result : null;
+        }
+
+        // The copy kept on this device: { data, adapter } or null
+        async loadLocal() {
+            const found = await this.first(this.locals, async adapter => {
+                const loaded = await adapter.load();
+                return loaded && this.validate(loaded.data) ? loaded : null;
+            });
+            return found ? { data: found.result.data, adapter: found.adapter } : null;
+        }
+
+        // Keep every local adapter's copy up to date
+        async saveLocal(doc) {
+            for (const adapter of this.locals) {
+                try {
+                    await adapter.save(doc);
+                    this.report(adapter, 'ok');
+                } catch (error) {
+                    this.report(adapter, 'error', error);
+                }
+            }
+        }
+
+        // Probe every adapter and return the health report
+        async checkHealth() {
+            for (const adapter of this.adapters) {
+                try {
+                    const loaded = await adapter.load();
+                    this.report(adapter, loaded || !adapter.remote ? 'ok' : 'unavailable');
+                } catch (error) {
+                    this.report(adapter, error instanceof TypeError ? 'unavailable' : 'error', error);
+                }
+            }
+            return this.health();
+        }
+
+        // [{ name, label, remote, state, checkedAt, error }] in priority
+        // order; adapters not used yet have the state 'unknown'
+        health() {
+            return this.adapters.map(adapter => ({
+                name: adapter.name,
+                label: adapter.label,
+                remote: adapter.remote,
+                state: 'unknown',
+                checkedAt: null,
+                error: null,
+                ...this.status[adapter.name]
+            }));
+        }
+    }
+
+    const factories = {
+        supabase: options => new FunctionAdapter('supabase', 'Supabase', '/.netlify/functions/supabase-starboard', options),
+        netlify: options => new FunctionAdapter('netlify', 'Netlify Blobs', '/.netlify/functions/starboard', options),
+        indexeddb: () => new IndexedDBAdapter(),
+        localstorage: () => new LocalStorageAdapter(),
+        memory: options => new MemoryAdapter(options.memory)
+    };
+
+    // Make a backend available under `name`; `factory(options)` receives the
+    // options given to createChain and returns an adapter
+    function register(name, factory) {
+        factories[name] = factory;
+    }
+
+    function configuredOrder() {
+        try {
+            const stored = root.localStorage && root.localStorage.getItem(ORDER_KEY);
+            return stored ? stored.split(',').map(name => name.trim()).filter(Boolean) : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    // Chain for `options.order`, else the order stored under
+    // 'starboard_storage_order', else DEFAULT_ORDER. Unknown names are skipped.
+    // Other options: headers, onUnauthorized (function adapters), validate
+    // (the chain) and memory (MemoryAdapter options).
+    function createChain(options = {}) {
+        const order = options.order || configuredOrder() || DEFAULT_ORDER;
+        const adapters = order
+            .filter(name => factories[name])
+            .map(name => factories[name](options));
+        return new StorageChain(adapters, options);
+    }
+
+    root.StarStorage = {
+        DEFAULT_ORDER,
+        school,
+        localKey,
+        schoolHeaders,
+        pageUrl,
+        StorageError,
+        StorageChain,
+        FunctionAdapter,
+        IndexedDBAdapter,
+        LocalStorageAdapter,
+        MemoryAdapter,
+        idbRequest,
+        register,
+        createChain
+    };
+})(typeof window !== 'undefined' ? window : globalThis);
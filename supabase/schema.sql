@@ -0,0 +1,266 @@
+-- StarBoard - Supabase schema
+-- Run this whole file in the Supabase SQL editor. It is safe to run again
+-- after upgrading: every statement only creates what is missing.
+
+-- ---------------------------------------------------------------------------
+-- Legacy single-document storage (read by POST /migrate, then kept as backup)
+-- ---------------------------------------------------------------------------
+CREATE TABLE IF NOT EXISTS starboard_data (
+    id TEXT PRIMARY KEY,
+    data JSONB NOT NULL,
+    revision INTEGER NOT NULL DEFAULT 0,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE starboard_data ADD COLUMN IF NOT EXISTS revision INTEGER NOT NULL DEFAULT 0;
+
+-- ---------------------------------------------------------------------------
+-- Normalized storage
+-- ---------------------------------------------------------------------------
+
+-- Schools besides the default one ('main'); see netlify/lib/schools.js
+CREATE TABLE IF NOT EXISTS starboard_schools (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Settings, document metadata and the revision used for conflict detection;
+-- one row per school, with the school id as its id
+CREATE TABLE IF NOT EXISTS starboard_settings (
+    id TEXT PRIMARY KEY DEFAULT 'main',
+    settings JSONB NOT NULL DEFAULT '{}'::jsonb,
+    metadata JSONB NOT NULL DEFAULT '{}'::jsonb,
+    -- Top-level document fields without a table of their own
+    extra JSONB NOT NULL DEFAULT '{}'::jsonb,
+    revision INTEGER NOT NULL DEFAULT 0,
+    migrated_at TIMESTAMP WITH TIME ZONE,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- The remaining tables hold the rows of every school, told apart by school_id
+CREATE TABLE IF NOT EXISTS starboard_classes (
+    school_id TEXT NOT NULL DEFAULT 'main',
+    name TEXT NOT NULL,
+    description TEXT,
+    -- Teacher who owns the class; NULL leaves it open to every teacher
+    owner TEXT,
+    co_teachers TEXT[] NOT NULL DEFAULT '{}',
+    -- Class fields without a column of their own
+    data JSONB NOT NULL DEFAULT '{}'::jsonb,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (school_id, name)
+);
+
+ALTER TABLE starboard_classes ADD COLUMN IF NOT EXISTS owner TEXT;
+ALTER TABLE starboard_classes ADD COLUMN IF NOT EXISTS co_teachers TEXT[] NOT NULL DEFAULT '{}';
+
+CREATE TABLE IF NOT EXISTS starboard_students (
+    school_id TEXT NOT NULL DEFAULT 'main',
+    id TEXT NOT NULL,
+    class_name TEXT NOT NULL,
+    name TEXT NOT NULL,
+    -- Cached total, kept equal to the sum of the student's star events
+    stars INTEGER NOT NULL DEFAULT 0 CHECK (stars >= 0),
+    data JSONB NOT NULL DEFAULT '{}'::jsonb,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (school_id, id),
+    CONSTRAINT starboard_students_class_name_fkey FOREIGN KEY (school_id, class_name)
+        REFERENCES starboard_classes(school_id, name) ON UPDATE CASCADE ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS starboard_teachers (
+    school_id TEXT NOT NULL DEFAULT 'main',
+    username TEXT NOT NULL,
+    -- Salted scrypt hash, see netlify/lib/auth.js
+    password TEXT NOT NULL,
+    -- 'teacher' or 'viewer' (read-only assistant)
+    role TEXT NOT NULL DEFAULT 'teacher' CHECK (role IN ('teacher', 'viewer')),
+    data JSONB NOT NULL DEFAULT '{}'::jsonb,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (school_id, username)
+);
+
+ALTER TABLE starboard_teachers ADD COLUMN IF NOT EXISTS role TEXT NOT NULL DEFAULT 'teacher' CHECK (role IN ('teacher', 'viewer'));
+
+-- Admin dashboard accounts, kept apart from teacher accounts
+CREATE TABLE IF NOT EXISTS starboard_admins (
+    school_id TEXT NOT NULL DEFAULT 'main',
+    username TEXT NOT NULL,
+    -- Salted scrypt hash, see netlify/lib/auth.js
+    password TEXT NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (school_id, username)
+);
+
+-- Immutable star ledger: one row per +/- star change
+CREATE TABLE IF NOT EXISTS starboard_star_events (
+    school_id TEXT NOT NULL DEFAULT 'main',
+    id TEXT NOT NULL,
+    student_id TEXT NOT NULL,
+    class_name TEXT,
+    delta INTEGER NOT NULL,
+    teacher TEXT,
+    reason TEXT,
+    -- Star category id from settings.categories, if the stars were given for one
+    category TEXT,
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (school_id, id),
+    CONSTRAINT starboard_star_events_student_id_fkey FOREIGN KEY (school_id, student_id)
+        REFERENCES starboard_students(school_id, id) ON DELETE CASCADE
+);
+
+-- Deleted classes and students, kept whole (with their ledgers) in `data`
+-- until they are restored or purged
+CREATE TABLE IF NOT EXISTS starboard_trash (
+    school_id TEXT NOT NULL DEFAULT 'main',
+    id TEXT NOT NULL,
+    type TEXT NOT NULL CHECK (type IN ('class', 'student')),
+    class_name TEXT NOT NULL,
+    student_id TEXT,
+    data JSONB NOT NULL,
+    deleted_by TEXT,
+    deleted_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (school_id, id)
+);
+
+-- Final standings of finished terms, saved when the school rolls over to the
+-- next term: `classes` maps each class to its students and their term stars
+CREATE TABLE IF NOT EXISTS starboard_term_archives (
+    school_id TEXT NOT NULL DEFAULT 'main',
+    id TEXT NOT NULL,
+    term_id TEXT NOT NULL,
+    name TEXT NOT NULL,
+    start_day DATE NOT NULL,
+    end_day DATE NOT NULL,
+    classes JSONB NOT NULL DEFAULT '{}'::jsonb,
+    archived_by TEXT,
+    archived_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (school_id, id)
+);
+
+-- Upgrade tables created before schools: existing rows belong to 'main', and
+-- keys and references gain school_id
+ALTER TABLE starboard_classes ADD COLUMN IF NOT EXISTS school_id TEXT NOT NULL DEFAULT 'main';
+ALTER TABLE starboard_students ADD COLUMN IF NOT EXISTS school_id TEXT NOT NULL DEFAULT 'main';
+ALTER TABLE starboard_teachers ADD COLUMN IF NOT EXISTS school_id TEXT NOT NULL DEFAULT 'main';
+ALTER TABLE starboard_admins ADD COLUMN IF NOT EXISTS school_id TEXT NOT NULL DEFAULT 'main';
+-- Star categories came later
+ALTER TABLE starboard_star_events ADD COLUMN IF NOT EXISTS category TEXT;
+ALTER TABLE starboard_star_events ADD COLUMN IF NOT EXISTS school_id TEXT NOT NULL DEFAULT 'main';
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.key_column_usage
+        WHERE table_name = 'starboard_classes'
+          AND constraint_name = 'starboard_classes_pkey'
+          AND column_name = 'school_id'
+    ) THEN
+        ALTER TABLE starboard_star_events DROP CONSTRAINT IF EXISTS starboard_star_events_student_id_fkey;
+        ALTER TABLE starboard_students DROP CONSTRAINT IF EXISTS starboard_students_class_name_fkey;
+
+        ALTER TABLE starboard_classes DROP CONSTRAINT starboard_classes_pkey;
+        ALTER TABLE starboard_classes ADD PRIMARY KEY (school_id, name);
+        ALTER TABLE starboard_students DROP CONSTRAINT starboard_students_pkey;
+        ALTER TABLE starboard_students ADD PRIMARY KEY (school_id, id);
+        ALTER TABLE starboard_teachers DROP CONSTRAINT starboard_teachers_pkey;
+        ALTER TABLE starboard_teachers ADD PRIMARY KEY (school_id, username);
+        ALTER TABLE starboard_admins DROP CONSTRAINT starboard_admins_pkey;
+        ALTER TABLE starboard_admins ADD PRIMARY KEY (school_id, username);
+        ALTER TABLE starboard_star_events DROP CONSTRAINT starboard_star_events_pkey;
+        ALTER TABLE starboard_star_events ADD PRIMARY KEY (school_id, id);
+
+        ALTER TABLE starboard_students ADD CONSTRAINT starboard_students_class_name_fkey
+            FOREIGN KEY (school_id, class_name) REFERENCES starboard_classes(school_id, name)
+            ON UPDATE CASCADE ON DELETE CASCADE;
+        ALTER TABLE starboard_star_events ADD CONSTRAINT starboard_star_events_student_id_fkey
+            FOREIGN KEY (school_id, student_id) REFERENCES starboard_students(school_id, id)
+            ON DELETE CASCADE;
+    END IF;
+END $$;
+
+DROP INDEX IF EXISTS idx_starboard_students_class;
+DROP INDEX IF EXISTS idx_starboard_star_events_student;
+CREATE INDEX IF NOT EXISTS idx_starboard_students_school_class ON starboard_students(school_id, class_name);
+CREATE INDEX IF NOT EXISTS idx_starboard_star_events_school_student ON starboard_star_events(school_id, student_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_starboard_trash_school_deleted ON starboard_trash(school_id, deleted_at);
+CREATE INDEX IF NOT EXISTS idx_starboard_star_events_school_created ON starboard_star_events(school_id, created_at);
+
+-- Keep starboard_students.stars equal to the ledger total
+CREATE OR REPLACE FUNCTION starboard_refresh_student_stars()
+RETURNS TRIGGER AS $$
+BEGIN
+    UPDATE starboard_students
+    SET stars = GREATEST(0, (
+        SELECT COALESCE(SUM(delta), 0) FROM starboard_star_events
+        WHERE school_id = NEW.school_id AND student_id = NEW.student_id
+    ))
+    WHERE school_id = NEW.school_id AND id = NEW.student_id;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS starboard_star_events_refresh ON starboard_star_events;
+CREATE TRIGGER starboard_star_events_refresh
+    AFTER INSERT ON starboard_star_events
+    FOR EACH ROW
+    EXECUTE FUNCTION starboard_refresh_student_stars();
+
+-- Record star events for a school, each clamped so the student's total never
+-- drops below zero. The student rows are locked first, so concurrent changes
+-- to one student wait for each other instead of both clamping against the
+-- same total. Returns the events that were recorded.
+CREATE OR REPLACE FUNCTION starboard_record_stars(events JSONB, school TEXT DEFAULT 'main')
+RETURNS SETOF starboard_star_events AS $$
+DECLARE
+    item JSONB;
+    available INTEGER;
+    applied INTEGER;
+BEGIN
+    FOR item IN SELECT value FROM jsonb_array_elements(events) ORDER BY value->>'student_id' LOOP
+        SELECT stars INTO available FROM starboard_students
+        WHERE school_id = school AND id = item->>'student_id'
+        FOR UPDATE;
+        CONTINUE WHEN NOT FOUND;
+
+        applied := GREATEST((item->>'delta')::INTEGER, -available);
+        CONTINUE WHEN applied = 0;
+
+        RETURN QUERY
+        INSERT INTO starboard_star_events (school_id, id, student_id, class_name, delta, teacher, reason, category, created_at)
+        VALUES (school, item->>'id', item->>'student_id', item->>'class_name', applied,
+                item->>'teacher', item->>'reason', item->>'category', (item->>'created_at')::TIMESTAMPTZ)
+        RETURNING *;
+    END LOOP;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Atomically move a school to its next revision. With `expected` set, only
+-- succeeds when the stored revision still matches it; returns NULL when it
+-- does not.
+DROP FUNCTION IF EXISTS starboard_claim_revision(INTEGER);
+CREATE OR REPLACE FUNCTION starboard_claim_revision(expected INTEGER DEFAULT NULL, school TEXT DEFAULT 'main')
+RETURNS INTEGER AS $$
+    UPDATE starboard_settings
+    SET revision = revision + 1, updated_at = NOW()
+    WHERE id = school AND (expected IS NULL OR revision = expected)
+    RETURNING revision;
+$$ LANGUAGE sql;
+
+-- ---------------------------------------------------------------------------
+-- Row level security
+-- ---------------------------------------------------------------------------
+-- The functions use the service role key, which bypasses these rules. With
+-- live updates on, browsers receive the anon key (for Realtime only); RLS
+-- without any policies keeps that key away from every table.
+ALTER TABLE starboard_data ENABLE ROW LEVEL SECURITY;
+ALTER TABLE starboard_schools ENABLE ROW LEVEL SECURITY;
+ALTER TABLE starboard_settings ENABLE ROW LEVEL SECURITY;
+ALTER TABLE starboard_classes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE starboard_students ENABLE ROW LEVEL SECURITY;
+ALTER TABLE starboard_teachers ENABLE ROW LEVEL SECURITY;
+ALTER TABLE starboard_admins ENABLE ROW LEVEL SECURITY;
+ALTER TABLE starboard_star_events ENABLE ROW LEVEL SECURITY;
+ALTER TABLE starboard_trash ENABLE ROW LEVEL SECURITY;
+ALTER TABLE starboard_term_archives ENABLE ROW LEVEL SECURITY;
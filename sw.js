@@ -0,0 +1,116 @@
+// StarBoard - Service worker
+// Caches the app shell (pages, scripts, styles, icons and the Font Awesome
+// CDN files) so the leaderboard and teacher portal start without a network.
+// Data never comes from this cache: requests to the Netlify functions go
+// straight to the network, and when they fail the page falls back to its
+// IndexedDB copy as before.
+
+const CACHE_NAME = 'starboard-shell-v7';
+
+const APP_SHELL = [
+    './',
+    'index.html',
+    'styles.css',
+    'script.js',
+    'shared/ledger.js',
+    'shared/merge.js',
+    'shared/schema.js',
+    'shared/achievements.js',
+    'shared/operations.js',
+    'shared/access.js',
+    'shared/storage.js',
+    'shared/live.js',
+    'shared/render.js',
+    'shared/roster.js',
+    'manifest.webmanifest',
+    'icons/icon-192.png',
+    'icons/icon-512.png'
+];
+
+// Precached when reachable; the icons' font files are cached on first use
+const CDN_ASSETS = [
+    'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css'
+];
+
+// Cross-origin assets that never change for a given URL (versioned CDN files)
+const CDN_ORIGINS = ['https://cdnjs.cloudflare.com'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(APP_SHELL).then(() => cache.addAll(CDN_ASSETS).catch(() => {})))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    // Data requests: network only, the page handles failures
+    if (url.pathname.startsWith('/.netlify/')) return;
+
+    if (CDN_ORIGINS.includes(url.origin)) {
+        event.respondWith(cacheFirst(request));
+        return;
+    }
+
+    if (url.origin !== self.location.origin) return;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(networkFirst(request, 'index.html'));
+        return;
+    }
+
+    event.respondWith(staleWhileRevalidate(request));
+});
+
+// Font files and the CDN stylesheet: fetched once, then served from the cache
+async function cacheFirst(request) {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok || response.type === 'opaque') {
+        const cache = await caches.open(CACHE_NAME);
+        cache.put(request, response.clone());
+    }
+    return response;
+}
+
+// Pages: the latest version when online, the cached shell when not
+async function networkFirst(request, fallback) {
+    const cache = await caches.open(CACHE_NAME);
+    try {
+        const response = await fetch(request);
+        if (response.ok) cache.put(request, response.clone());
+        return response;
+    } catch (error) {
+        return (await cache.match(request, { ignoreSearch: true })) || cache.match(fallback);
+    }
+}
+
+// Scripts, styles and icons: answer from the cache straight away and refresh
+// it in the background, so an update shows up on the next start
+async function staleWhileRevalidate(request) {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(request);
+    const refresh = fetch(request)
+        .then(response => {
+            if (response.ok) cache.put(request, response.clone());
+            return response;
+        })
+        .catch(() => cached || Response.error());
+
+    return cached || refresh;
+}